@@ -0,0 +1,151 @@
+/**
+ * ASCII エフェクトの描画結果をテキストとして書き出すクラス
+ * ascii.frag と同じタイル分割・輝度・文字の選択をピクセルデータに対して行い、
+ * プレーンテキスト、ANSI エスケープシーケンス（24 ビットカラー）、HTML のいずれかの文字列にする
+ * @class
+ */
+export class AsciiExporter {
+  /** @type {Array.<string>} */
+  static FORMATS = ['text', 'ansi', 'html'];
+  /** @type {Array.<number>} */
+  static LUMINANCE = [0.299, 0.587, 0.114];
+
+  /**
+   * ピクセルデータをタイルに分割し、各タイルの文字と色を求める。
+   * @param {object} pixels - RenderPipeline.readPixels の戻り値（行は下から上の順）
+   * @param {object} option
+   * @property {Array.<string>} option.glyphs - 暗い順に並んだ文字の配列（GlyphAtlas.glyphs）
+   * @property {number} option.tileSize - 1 文字あたりのピクセルサイズ
+   * @property {number} option.colorStep - 色の段階化の強さ
+   * @property {boolean} option.bioMode - 緑チャンネルだけを残すかどうか
+   * @return {object} 文字のグリッド
+   * @property {number} columns - 列数
+   * @property {number} rows - 行数
+   * @property {Array.<Array.<string>>} chars - 上の行から順に並んだ各行の文字
+   * @property {Array.<Array.<Array.<number>>>} colors - 各文字の色（0 ~ 255 の RGB）
+   */
+  static capture(pixels, option) {
+    const glyphs = option.glyphs;
+    const step = option.colorStep;
+    const columns = Math.floor(pixels.width / option.tileSize);
+    const rows = Math.floor(pixels.height / option.tileSize);
+    const chars = [];
+    const colors = [];
+    // テキストは上の行から並べるので、タイルの行を上下反転して走査する
+    for (let row = rows - 1; row >= 0; --row) {
+      const lineChars = [];
+      const lineColors = [];
+      const y = Math.min(pixels.height - 1, Math.floor((row + 0.5) / rows * pixels.height));
+      for (let column = 0; column < columns; ++column) {
+        // タイルの中心のピクセルをサンプリングする
+        const x = Math.min(pixels.width - 1, Math.floor((column + 0.5) / columns * pixels.width));
+        const offset = (y * pixels.width + x) * 4;
+        const rgb = [
+          pixels.data[offset] / 255,
+          pixels.data[offset + 1] / 255,
+          pixels.data[offset + 2] / 255,
+        ];
+        const brightness = rgb[0] * AsciiExporter.LUMINANCE[0] + rgb[1] * AsciiExporter.LUMINANCE[1] + rgb[2] * AsciiExporter.LUMINANCE[2];
+        const index = Math.min(Math.floor(brightness * glyphs.length), glyphs.length - 1);
+        const stepped = rgb.map((v) => Math.floor(v / step) * step);
+        if (option.bioMode === true) {
+          stepped[0] = 0.0;
+          stepped[2] = 0.0;
+        }
+        lineChars.push(glyphs[index]);
+        lineColors.push(stepped.map((v) => Math.min(255, Math.round(v * 255))));
+      }
+      chars.push(lineChars);
+      colors.push(lineColors);
+    }
+    return {columns: columns, rows: rows, chars: chars, colors: colors};
+  }
+
+  /**
+   * ピクセルデータを指定した形式の文字列に変換する。
+   * @param {object} pixels - RenderPipeline.readPixels の戻り値
+   * @param {object} option - capture のオプションに加えて下記を指定する
+   * @property {string} option.format - 'text', 'ansi', 'html' のいずれか
+   * @return {string} 変換した文字列
+   */
+  static export(pixels, option) {
+    const grid = AsciiExporter.capture(pixels, option);
+    switch (option.format) {
+      case 'text':
+        return AsciiExporter.toText(grid);
+      case 'ansi':
+        return AsciiExporter.toAnsi(grid);
+      case 'html':
+        return AsciiExporter.toHtml(grid);
+      default:
+        throw new Error(`unknown format: ${option.format}`);
+    }
+  }
+
+  /**
+   * 文字のグリッドを色なしのテキストにする。
+   * @param {object} grid - capture の戻り値
+   * @return {string}
+   */
+  static toText(grid) {
+    return grid.chars.map((line) => line.join('')).join('\n');
+  }
+
+  /**
+   * 文字のグリッドを ANSI エスケープシーケンスで色付けしたテキストにする。
+   * 同じ色の文字が続く場合はエスケープシーケンスをまとめる。
+   * @param {object} grid - capture の戻り値
+   * @return {string}
+   */
+  static toAnsi(grid) {
+    return grid.chars.map((line, row) => {
+      return AsciiExporter.runs(line, grid.colors[row]).map((run) => {
+        return `\x1b[38;2;${run.color[0]};${run.color[1]};${run.color[2]}m${run.text}`;
+      }).join('') + '\x1b[0m';
+    }).join('\n');
+  }
+
+  /**
+   * 文字のグリッドを色付きの span を含む HTML の pre 要素にする。
+   * 同じ色の文字が続く場合は 1 つの span にまとめる。
+   * @param {object} grid - capture の戻り値
+   * @return {string}
+   */
+  static toHtml(grid) {
+    const lines = grid.chars.map((line, row) => {
+      return AsciiExporter.runs(line, grid.colors[row]).map((run) => {
+        return `<span style="color:rgb(${run.color.join(',')})">${AsciiExporter.escapeHtml(run.text)}</span>`;
+      }).join('');
+    });
+    return `<pre style="background:#000;line-height:1;font-family:monospace">${lines.join('\n')}</pre>`;
+  }
+
+  /**
+   * 1 行分の文字を同じ色が続く区間ごとにまとめる。
+   * @param {Array.<string>} chars - 1 行分の文字
+   * @param {Array.<Array.<number>>} colors - 1 行分の色
+   * @return {Array.<object>} 区間の配列（text と color を持つ）
+   */
+  static runs(chars, colors) {
+    const runs = [];
+    chars.forEach((char, index) => {
+      const color = colors[index];
+      const last = runs[runs.length - 1];
+      if (last != null && last.color[0] === color[0] && last.color[1] === color[1] && last.color[2] === color[2]) {
+        last.text += char;
+      } else {
+        runs.push({text: char, color: color});
+      }
+    });
+    return runs;
+  }
+
+  /**
+   * HTML の特殊文字をエスケープする。
+   * @param {string} text - エスケープする文字列
+   * @return {string}
+   */
+  static escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+}
@@ -1,17 +1,292 @@
 
 import { WebGLMath } from './math.js';
+import { Easing } from './timeline.js';
 
 // 短く書けるようにローカル変数に入れておく
 const Vec2 = WebGLMath.Vec2;
 const Vec3 = WebGLMath.Vec3;
+const Vec4 = WebGLMath.Vec4;
 const Mat4 = WebGLMath.Mat4;
 const Qtn  = WebGLMath.Qtn;
 
+// 水平方向の回転の軸（値を書き換えないこと）
+const AXIS_Y = Vec3.create(0.0, 1.0, 0.0);
+
+/**
+ * 投影変換（透視投影または正射影）と、カメラの各行列を管理する基底クラス
+ * ビュー行列は継承したクラスの update で設定し、updateMatrices で投影変換行列などと合わせて更新する
+ * @class
+ */
+export class WebGLCamera {
+  /** @type {Array.<string>} */
+  static TYPES = ['perspective', 'orthographic'];
+  /** @type {number} */
+  static DEFAULT_FOVY = 60.0;
+  /** @type {number} */
+  static DEFAULT_NEAR = 0.1;
+  /** @type {number} */
+  static DEFAULT_FAR = 100.0;
+  /** @type {number} */
+  static DEFAULT_ORTHO_SIZE = 1.0;
+  /** @type {number} */
+  static DEFAULT_FLY_DURATION = 1.0;
+
+  /**
+   * @constructor
+   * @param {object} [option={}]
+   * @property {string} option.type - 'perspective'（透視投影）または 'orthographic'（正射影）
+   * @property {number} option.fovy - 透視投影の縦方向の視野角（度数法）
+   * @property {number} option.near - ニアクリップ面までの距離
+   * @property {number} option.far - ファークリップ面までの距離
+   * @property {number} option.zoom - ズームの倍率（視野角や正射影の範囲を 1 / zoom にする）
+   * @property {number} option.orthoSize - 正射影で表示する範囲の高さの半分
+   */
+  constructor(option = {}) {
+    this.type                  = option.type || 'perspective';
+    this.fovy                  = option.fovy || WebGLCamera.DEFAULT_FOVY;
+    this.near                  = option.near || WebGLCamera.DEFAULT_NEAR;
+    this.far                   = option.far || WebGLCamera.DEFAULT_FAR;
+    this.zoom                  = option.zoom || 1.0;
+    this.orthoSize             = option.orthoSize || WebGLCamera.DEFAULT_ORTHO_SIZE;
+    this.width                 = 1;
+    this.height                = 1;
+    this.aspect                = 1.0;
+    this.view                  = Mat4.identity(Mat4.create());
+    this.projection            = Mat4.identity(Mat4.create());
+    this.viewProjection        = Mat4.identity(Mat4.create());
+    this.inverseView           = Mat4.identity(Mat4.create());
+    this.inverseProjection     = Mat4.identity(Mat4.create());
+    this.inverseViewProjection = Mat4.identity(Mat4.create());
+    this.resizeObserver        = null;
+    this.bookmarks             = {};
+    this.initialState          = null;   // 継承したクラスが生成時の状態を入れる
+    if (WebGLCamera.TYPES.includes(this.type) !== true) {
+      throw new Error(`unknown camera type: ${this.type}`);
+    }
+  }
+
+  /**
+   * 投影の種類を切り替える
+   * @param {string} type - 'perspective' または 'orthographic'
+   */
+  setType(type) {
+    if (WebGLCamera.TYPES.includes(type) !== true) {
+      throw new Error(`unknown camera type: ${type}`);
+    }
+    this.type = type;
+    this.updateMatrices();
+  }
+
+  /**
+   * 表示する領域の大きさを設定し、アスペクト比を更新する
+   * @param {number} width - 幅（CSS ピクセル、screenToRay などの座標の基準になる）
+   * @param {number} height - 高さ（CSS ピクセル）
+   */
+  setSize(width, height) {
+    if (!(width > 0) || !(height > 0)) {return;}
+    this.width = width;
+    this.height = height;
+    this.aspect = width / height;
+    this.updateMatrices();
+  }
+
+  /**
+   * エレメントの大きさが変わるたびに setSize を呼ぶ
+   * @param {HTMLElement} element - 大きさを監視するエレメント（通常は canvas）
+   */
+  observeResize(element) {
+    this.unobserveResize();
+    const bound = element.getBoundingClientRect();
+    this.setSize(bound.width, bound.height);
+    if (typeof ResizeObserver === 'undefined') {return;}
+    this.resizeObserver = new ResizeObserver((entries) => {
+      const rect = entries[entries.length - 1].contentRect;
+      this.setSize(rect.width, rect.height);
+    });
+    this.resizeObserver.observe(element);
+  }
+
+  /**
+   * observeResize による監視をやめる
+   */
+  unobserveResize() {
+    if (this.resizeObserver != null) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
+  }
+
+  /**
+   * 正射影で表示する範囲の高さの半分（zoom を適用する前の値）
+   * @return {number}
+   */
+  getOrthoSize() {
+    return this.orthoSize;
+  }
+
+  /**
+   * 現在のパラメータから投影変換行列を生成する
+   * @return {Mat4} 投影変換行列（this.projection）
+   */
+  updateProjection() {
+    if (this.type === 'orthographic') {
+      const h = this.getOrthoSize() / this.zoom;
+      const w = h * this.aspect;
+      Mat4.ortho(-w, w, h, -h, this.near, this.far, this.projection);
+    } else {
+      // zoom の倍率だけ視野角を狭くする
+      const fovy = Math.atan(Math.tan(this.fovy * Math.PI / 360) / this.zoom) * 360 / Math.PI;
+      Mat4.perspective(fovy, this.aspect, this.near, this.far, this.projection);
+    }
+    return this.projection;
+  }
+
+  /**
+   * ビュー行列（this.view）を元に、投影変換行列・ビュー投影変換行列とそれぞれの逆行列を更新する
+   */
+  updateMatrices() {
+    this.updateProjection();
+    Mat4.multiply(this.projection, this.view, this.viewProjection);
+    Mat4.inverse(this.view, this.inverseView);
+    Mat4.inverse(this.projection, this.inverseProjection);
+    Mat4.inverse(this.viewProjection, this.inverseViewProjection);
+  }
+
+  /**
+   * スクリーン座標をワールド座標に変換する
+   * @param {number} x - 表示領域の左上を原点とする X 座標（CSS ピクセル）
+   * @param {number} y - 表示領域の左上を原点とする Y 座標（CSS ピクセル）
+   * @param {number} [depth=-1.0] - 正規化デバイス座標系での深度（-1.0 でニアクリップ面、1.0 でファークリップ面）
+   * @return {Vec3} ワールド座標
+   */
+  unproject(x, y, depth = -1.0) {
+    const ndc = Vec3.create(
+      x / this.width * 2.0 - 1.0,
+      1.0 - y / this.height * 2.0,
+      depth,
+    );
+    return Vec3.transformMat4(ndc, this.inverseViewProjection, ndc);
+  }
+
+  /**
+   * ワールド座標をスクリーン座標に変換する
+   * @param {Vec3} vec - ワールド座標
+   * @param {Vec2} [dest] - 結果を格納するベクトル
+   * @return {Vec2} 表示領域の左上を原点とする座標（カメラの後ろにある場合は NaN）
+   */
+  project(vec, dest) {
+    return Mat4.screenPositionFromMvp(this.viewProjection, vec, this.width, this.height, dest);
+  }
+
+  /**
+   * スクリーン座標を通るレイ（半直線）を求める（ピッキングなどに使う）
+   * @param {number} x - 表示領域の左上を原点とする X 座標（CSS ピクセル）
+   * @param {number} y - 表示領域の左上を原点とする Y 座標（CSS ピクセル）
+   * @return {object} ニアクリップ面上の始点（origin）と正規化された向き（direction）
+   */
+  screenToRay(x, y) {
+    const origin = this.unproject(x, y, -1.0);
+    const far = this.unproject(x, y, 1.0);
+    const direction = Vec3.normalize(Vec3.subtract(far, origin, far), far);
+    return {origin, direction};
+  }
+
+  /**
+   * 現在のカメラの状態を返す（継承したクラスで実装する）
+   * @return {object} JSON に変換できるオブジェクト
+   */
+  getState() {
+    return {};
+  }
+
+  /**
+   * カメラの状態を設定する（継承したクラスで実装する）
+   * @param {object} state - getState が返す形式のオブジェクト
+   */
+  setState(state) {}
+
+  /**
+   * 指定した状態に移動する
+   * 滑らかな移動に対応していないカメラでは、すぐに setState する
+   * @param {object} state - 移動先の状態
+   * @param {number} [duration] - 移動にかける時間（秒）
+   * @return {Promise} 移動が完了すると true で解決される
+   */
+  flyTo(state, duration) {
+    this.setState(state);
+    return Promise.resolve(true);
+  }
+
+  /**
+   * 生成した時の状態に戻す
+   * @param {number} [duration=0] - 移動にかける時間（秒、0 の場合はすぐに戻す）
+   * @return {Promise} flyTo と同じ
+   */
+  reset(duration = 0) {
+    return this.flyTo(this.initialState, duration);
+  }
+
+  /**
+   * 現在の状態を名前を付けて保存する（同じ名前のブックマークは上書きする）
+   * @param {string} name - ブックマーク名
+   */
+  saveBookmark(name) {
+    this.bookmarks[name] = this.getState();
+  }
+
+  /**
+   * 保存した状態に移動する
+   * @param {string} name - ブックマーク名
+   * @param {number} [duration=1.0] - 移動にかける時間（秒）
+   * @return {Promise} flyTo と同じ
+   */
+  loadBookmark(name, duration = WebGLCamera.DEFAULT_FLY_DURATION) {
+    if (this.bookmarks[name] == null) {
+      throw new Error(`bookmark not found: ${name}`);
+    }
+    return this.flyTo(this.bookmarks[name], duration);
+  }
+
+  /**
+   * 保存した状態を削除する
+   * @param {string} name - ブックマーク名
+   */
+  removeBookmark(name) {
+    delete this.bookmarks[name];
+  }
+
+  /**
+   * 保存したブックマークの名前を返す
+   * @return {Array.<string>}
+   */
+  listBookmarks() {
+    return Object.keys(this.bookmarks);
+  }
+
+  /**
+   * 現在のビュー行列（this.view）から、他の行列を更新して返す（継承したクラスでビュー行列を生成する）
+   * @param {number} [time] - 描画ループの時間（秒、flyTo の移動を進めるのに使う）
+   * @return {Mat4} ビュー行列（this.view、参照に注意）
+   */
+  update(time) {
+    this.updateMatrices();
+    return this.view;
+  }
+
+  /**
+   * リソースを解放する
+   */
+  dispose() {
+    this.unobserveResize();
+  }
+}
+
 /**
  * three.js の OrbitControls に似た挙動のカメラ操作用ユーティリティクラス
+ * 透視投影・正射影の行列も WebGLCamera から引き継いで管理する
  * @class
  */
-export class WebGLOrbitCamera {
+export class WebGLOrbitCamera extends WebGLCamera {
   /** @type {number} */
   static DEFAULT_DISTANCE = 5.0;
   /** @type {number} */
@@ -20,6 +295,12 @@ export class WebGLOrbitCamera {
   static DEFAULT_MAX_DISTANCE = 10.0;
   /** @type {number} */
   static DEFAULT_MOVE_SCALE = 2.0;
+  /** @type {number} */
+  static DEFAULT_DAMPING_FACTOR = 0.1;
+  /** @type {number} */
+  static DEFAULT_ZOOM_SPEED = 1.0;
+  /** @type {number} */
+  static WHEEL_ZOOM_SCALE = 0.1;
 
   /**
    * @constructor
@@ -29,13 +310,36 @@ export class WebGLOrbitCamera {
    * @property {number} option.min - カメラが原点に寄れる最小距離
    * @property {number} option.max - カメラが原点から離れられる最大距離
    * @property {number} option.move - カメラが平行移動する際のスケール
+   * @property {boolean} option.inertia - 操作をやめた後も回転・平行移動・ズームが慣性で続くかどうか
+   * @property {number} option.damping - 慣性の減衰率（0.0 ~ 1.0、大きいほど早く止まる）
+   * @property {number} option.zoomSpeed - ホイールでズームする速さ
+   * @property {number} option.minPolarAngle - 真上から測った仰角の最小値（ラジアン、既定値は 0）
+   * @property {number} option.maxPolarAngle - 真上から測った仰角の最大値（ラジアン、既定値は π）
+   * @property {number} option.minAzimuthAngle - 水平方向の角度の最小値（ラジアン、既定値は -Infinity）
+   * @property {number} option.maxAzimuthAngle - 水平方向の角度の最大値（ラジアン、既定値は Infinity）
+   * @property {boolean} option.enableRotate - 回転の操作を有効にするかどうか
+   * @property {boolean} option.enableZoom - ズームの操作を有効にするかどうか
+   * @property {boolean} option.enablePan - 平行移動の操作を有効にするかどうか
+   * @property {boolean} option.autoResize - ターゲットエレメントの大きさに合わせてアスペクト比を更新するかどうか（既定値は true）
+   * 投影変換のオプション（type, fovy, near, far, zoom, orthoSize）は WebGLCamera と同じ
    */
   constructor(target, option = {}) {
+    super(option);
     this.target             = target;
     this.distance           = option.distance || WebGLOrbitCamera.DEFAULT_DISTANCE;
     this.minDistance        = option.min || WebGLOrbitCamera.DEFAULT_MIN_DISTANCE;
     this.maxDistance        = option.max || WebGLOrbitCamera.DEFAULT_MAX_DISTANCE;
     this.moveScale          = option.move || WebGLOrbitCamera.DEFAULT_MOVE_SCALE;
+    this.inertia            = option.inertia === true;
+    this.dampingFactor      = option.damping || WebGLOrbitCamera.DEFAULT_DAMPING_FACTOR;
+    this.zoomSpeed          = option.zoomSpeed != null ? option.zoomSpeed : WebGLOrbitCamera.DEFAULT_ZOOM_SPEED;
+    this.minPolarAngle      = option.minPolarAngle != null ? option.minPolarAngle : 0.0;
+    this.maxPolarAngle      = option.maxPolarAngle != null ? option.maxPolarAngle : Math.PI;
+    this.minAzimuthAngle    = option.minAzimuthAngle != null ? option.minAzimuthAngle : -Infinity;
+    this.maxAzimuthAngle    = option.maxAzimuthAngle != null ? option.maxAzimuthAngle : Infinity;
+    this.enableRotate       = option.enableRotate !== false;
+    this.enableZoom         = option.enableZoom !== false;
+    this.enablePan          = option.enablePan !== false;
     this.position           = Vec3.create(0.0, 0.0, this.distance);
     this.center             = Vec3.create(0.0, 0.0, 0.0);
     this.upDirection        = Vec3.create(0.0, 1.0, 0.0);
@@ -45,129 +349,786 @@ export class WebGLOrbitCamera {
     this.movePosition       = Vec3.create(0.0, 0.0, 0.0);
     this.rotateX            = 0.0;
     this.rotateY            = 0.0;
-    this.scale              = 0.0;
+    this.rotateDelta        = Vec2.create(0.0, 0.0);
+    this.panDelta           = Vec2.create(0.0, 0.0);
+    this.zoomDelta          = 0.0;
     this.isDown             = false;
+    this.pointers           = new Map();
     this.prevPosition       = Vec2.create(0, 0);
     this.offsetPosition     = Vec2.create(0, 0);
-    this.qt                 = Qtn.create();
+    this.qt                 = Qtn.identity(Qtn.create());
     this.qtx                = Qtn.create();
     this.qty                = Qtn.create();
+    // 毎フレーム・毎イベントの計算に使う作業用のベクトル（そのたびに生成しないよう使い回す）
+    this.rotateAxis         = Vec3.create();
+    this.eyeOffset          = Vec3.create();
+    this.pinchCenter        = Vec2.create();
+    this.prevPinchCenter    = Vec2.create();
+    this.flight             = null;
+    this.initialState       = this.getState();
 
     // self binding
-    this.mouseInteractionStart = this.mouseInteractionStart.bind(this);
-    this.mouseInteractionMove  = this.mouseInteractionMove.bind(this);
-    this.mouseInteractionEnd   = this.mouseInteractionEnd.bind(this);
-    this.wheelScroll           = this.wheelScroll.bind(this);
+    this.pointerInteractionStart = this.pointerInteractionStart.bind(this);
+    this.pointerInteractionMove  = this.pointerInteractionMove.bind(this);
+    this.pointerInteractionEnd   = this.pointerInteractionEnd.bind(this);
+    this.wheelScroll             = this.wheelScroll.bind(this);
+    this.contextMenu             = this.contextMenu.bind(this);
+
+    // タッチ操作でページがスクロールやズームしないようにする
+    this.target.style.touchAction = 'none';
 
     // event
-    this.target.addEventListener('mousedown', this.mouseInteractionStart, false);
-    this.target.addEventListener('mousemove', this.mouseInteractionMove,  false);
-    this.target.addEventListener('mouseup',   this.mouseInteractionEnd,   false);
-    this.target.addEventListener('wheel',     this.wheelScroll,           false);
-    this.target.addEventListener('contextmenu', (event) => {
-      event.preventDefault();
-    }, false);
+    this.target.addEventListener('pointerdown',   this.pointerInteractionStart, false);
+    this.target.addEventListener('pointermove',   this.pointerInteractionMove,  false);
+    this.target.addEventListener('pointerup',     this.pointerInteractionEnd,   false);
+    this.target.addEventListener('pointercancel', this.pointerInteractionEnd,   false);
+    this.target.addEventListener('wheel',         this.wheelScroll,             false);
+    this.target.addEventListener('contextmenu',   this.contextMenu,             false);
+
+    if (option.autoResize !== false && typeof this.target.getBoundingClientRect === 'function') {
+      this.observeResize(this.target);
+    }
   }
 
   /**
-   * マウスボタンが押された際のイベント
+   * イベントの座標をターゲットエレメント内の座標に変換する
+   * @param {PointerEvent} event - ポインタイベント
+   * @param {Vec2} [dest] - 結果を格納するベクトル
+   * @return {Vec2}
    */
-  mouseInteractionStart(event) {
-    this.isDown = true;
+  getPointerPosition(event, dest) {
+    const out = dest == null ? Vec2.create() : dest;
     const bound = this.target.getBoundingClientRect();
-    this.prevPosition = Vec2.create(
-      event.clientX - bound.left,
-      event.clientY - bound.top,
-    );
+    out[0] = event.clientX - bound.left;
+    out[1] = event.clientY - bound.top;
+    return out;
   }
 
   /**
-   * マウスが移動した際のイベント
+   * 1 ピクセルの移動量を回転・平行移動の量に変換する係数
+   * @return {number}
    */
-  mouseInteractionMove(event) {
-    if (this.isDown !== true) {return;}
+  getPointerScale() {
     const bound = this.target.getBoundingClientRect();
-    const w = bound.width;
-    const h = bound.height;
-    const x = event.clientX - bound.left;
-    const y = event.clientY - bound.top;
-    const s = 1.0 / Math.min(w, h);
-    this.offsetPosition = Vec2.create(
-      x - this.prevPosition[0],
-      y - this.prevPosition[1],
-    );
-    this.prevPosition = Vec2.create(x, y);
-    switch (event.buttons) {
-      case 1: // 左ボタン
-        this.rotateX += this.offsetPosition[0] * s;
-        this.rotateY += this.offsetPosition[1] * s;
-        this.rotateX = this.rotateX % 1.0;
-        this.rotateY = Math.min(Math.max(this.rotateY % 1.0, -0.25), 0.25);
-        break;
-      case 2: // 右ボタン
-        const eyeOffset = Vec3.create(
-          this.offsetPosition[0],
-          -this.offsetPosition[1],
-          0.0,
-        );
-        const rotateEye = Qtn.toVecIII(eyeOffset, this.qt);
-        this.movePosition[0] -= rotateEye[0] * s * this.moveScale;
-        this.movePosition[1] -= rotateEye[1] * s * this.moveScale;
-        this.movePosition[2] -= rotateEye[2] * s * this.moveScale;
-        break;
-    }
-  }
-
-  /**
-   * マウスボタンが離された際のイベント
-   */
-  mouseInteractionEnd(event) {
-    this.isDown = false;
+    return 1.0 / Math.min(bound.width, bound.height);
+  }
+
+  /**
+   * マウスボタンが押された、または画面に触れた際のイベント
+   */
+  pointerInteractionStart(event) {
+    // ターゲットの外にポインタが出ても操作が続くようにキャプチャする
+    this.target.setPointerCapture(event.pointerId);
+    const position = this.getPointerPosition(event);
+    this.pointers.set(event.pointerId, position);
+    this.isDown = true;
+    Vec2.copy(position, this.prevPosition);
+  }
+
+  /**
+   * ポインタが移動した際のイベント
+   * 1 本指（マウスの左ボタン）の場合は回転、マウスの右ボタンの場合は平行移動、
+   * 2 本指の場合はピンチでズームし、2 本指のドラッグで平行移動する
+   */
+  pointerInteractionMove(event) {
+    if (this.pointers.has(event.pointerId) !== true) {return;}
+    const s = this.getPointerScale();
+    // 押したときに登録した位置を書き換える
+    const position = this.pointers.get(event.pointerId);
+    if (this.pointers.size === 1) {
+      this.getPointerPosition(event, position);
+      Vec2.subtract(position, this.prevPosition, this.offsetPosition);
+      Vec2.copy(position, this.prevPosition);
+      if (event.pointerType === 'mouse' && (event.buttons & 2) !== 0) {
+        // 右ボタン
+        this.pan(this.offsetPosition[0], this.offsetPosition[1], s);
+      } else {
+        // 左ボタン、または 1 本指
+        this.rotate(this.offsetPosition[0], this.offsetPosition[1], s);
+      }
+      return;
+    }
+    // 2 本指の操作（3 本目以降の指は使わない）
+    const ids = this.pointers.keys();
+    const first = this.pointers.get(ids.next().value);
+    const second = this.pointers.get(ids.next().value);
+    if (position !== first && position !== second) {return;}
+    const prevLength = Vec2.distance(first, second);
+    Vec2.lerp(first, second, 0.5, this.prevPinchCenter);
+    this.getPointerPosition(event, position);
+    // ピンチ（2 本の指の間隔の変化）でズーム
+    const length = Vec2.distance(first, second);
+    if (prevLength > 0 && length > 0) {
+      this.dolly(Math.log(prevLength / length));
+    }
+    // 2 本の指の中点の移動で平行移動
+    Vec2.lerp(first, second, 0.5, this.pinchCenter);
+    Vec2.subtract(this.pinchCenter, this.prevPinchCenter, this.offsetPosition);
+    this.pan(this.offsetPosition[0], this.offsetPosition[1], s);
+  }
+
+  /**
+   * マウスボタンが離された、または画面から指が離れた際のイベント
+   */
+  pointerInteractionEnd(event) {
+    if (this.pointers.has(event.pointerId) !== true) {return;}
+    this.pointers.delete(event.pointerId);
+    if (this.target.hasPointerCapture(event.pointerId) === true) {
+      this.target.releasePointerCapture(event.pointerId);
+    }
+    // 2 本指から 1 本指に戻った場合は、残った指の位置から回転を続ける
+    this.isDown = this.pointers.size > 0;
+    if (this.isDown === true) {
+      Vec2.copy(this.pointers.values().next().value, this.prevPosition);
+    }
   }
 
   /**
    * スクロール操作に対するイベント
    */
   wheelScroll(event) {
-    const w = event.wheelDelta;
-    if (w > 0) {
-      this.scale = -0.5;
-    } else if (w < 0) {
-      this.scale = 0.5;
+    const w = Math.sign(event.deltaY);
+    this.dolly(w * WebGLOrbitCamera.WHEEL_ZOOM_SCALE * this.zoomSpeed);
+  }
+
+  /**
+   * 右ボタンでの平行移動のために、コンテキストメニューを表示しないようにする
+   */
+  contextMenu(event) {
+    event.preventDefault();
+  }
+
+  /**
+   * ポインタの移動量に応じてカメラを回転する
+   * @param {number} x - 横方向の移動量（ピクセル）
+   * @param {number} y - 縦方向の移動量（ピクセル）
+   * @param {number} s - 1 ピクセルあたりの回転量（1.0 で 1 回転）
+   */
+  rotate(x, y, s) {
+    if (this.enableRotate !== true) {return;}
+    this.rotateDelta[0] += x * s;
+    this.rotateDelta[1] += y * s;
+  }
+
+  /**
+   * ポインタの移動量に応じてカメラを平行移動する
+   * @param {number} x - 横方向の移動量（ピクセル）
+   * @param {number} y - 縦方向の移動量（ピクセル）
+   * @param {number} s - 1 ピクセルあたりの移動量
+   */
+  pan(x, y, s) {
+    if (this.enablePan !== true) {return;}
+    this.panDelta[0] += x * s * this.moveScale;
+    this.panDelta[1] += y * s * this.moveScale;
+  }
+
+  /**
+   * カメラを前後に移動してズームする（原点からの距離を変える）
+   * 投影変換の倍率（this.zoom）とは別のもの
+   * @param {number} amount - 距離の倍率の対数（正の値で離れ、負の値で近づく）
+   */
+  dolly(amount) {
+    if (this.enableZoom !== true) {return;}
+    this.zoomDelta += amount;
+  }
+
+  /**
+   * 回転の量を角度の制限の範囲に収める
+   * rotateX, rotateY は 1.0 で 1 回転を表す
+   */
+  clampRotation() {
+    const PI2 = Math.PI * 2.0;
+    // rotateY が正の場合にカメラが上に移動し、rotateX が正の場合に -X 方向に移動する
+    const minY = (Math.PI * 0.5 - this.maxPolarAngle) / PI2;
+    const maxY = (Math.PI * 0.5 - this.minPolarAngle) / PI2;
+    this.rotateY = Math.min(Math.max(this.rotateY, minY), maxY);
+    if (this.minAzimuthAngle === -Infinity && this.maxAzimuthAngle === Infinity) {
+      this.rotateX = this.rotateX % 1.0;
+    } else {
+      this.rotateX = Math.min(Math.max(this.rotateX, -this.maxAzimuthAngle / PI2), -this.minAzimuthAngle / PI2);
     }
   }
 
   /**
-   * 現在のパラメータからビュー行列を生成して返す
-   * @return {Mat4}
+   * 設定したイベントリスナーを削除する
+   */
+  dispose() {
+    this.target.removeEventListener('pointerdown',   this.pointerInteractionStart, false);
+    this.target.removeEventListener('pointermove',   this.pointerInteractionMove,  false);
+    this.target.removeEventListener('pointerup',     this.pointerInteractionEnd,   false);
+    this.target.removeEventListener('pointercancel', this.pointerInteractionEnd,   false);
+    this.target.removeEventListener('wheel',         this.wheelScroll,             false);
+    this.target.removeEventListener('contextmenu',   this.contextMenu,             false);
+    this.pointers.clear();
+    this.isDown = false;
+    super.dispose();
+  }
+
+  /**
+   * 正射影の場合は、注視点の位置で透視投影と同じ範囲が見えるよう距離から求める
+   * @return {number}
    */
-  update() {
+  getOrthoSize() {
+    return this.distance * Math.tan(this.fovy * Math.PI / 360);
+  }
+
+  /**
+   * 回転の量からクォータニオンを求める（参照に注意・戻り値としても結果を返す）
+   * @param {number} rotateX - 水平方向の回転の量（1.0 で 1 回転）
+   * @param {number} rotateY - 垂直方向の回転の量（1.0 で 1 回転）
+   * @param {Qtn} [dest] - 結果を格納するクォータニオン
+   * @return {Qtn} 結果のクォータニオン
+   */
+  getRotation(rotateX, rotateY, dest) {
+    const out = dest == null ? Qtn.create() : dest;
     const PI2 = Math.PI * 2.0;
-    const v = Vec3.create(1.0, 0.0, 0.0);
-    const u = Vec3.create(0.0, 1.0, 0.0);
-    // scale
-    this.scale *= 0.7;
-    this.distance += this.scale;
-    this.distance = Math.min(Math.max(this.distance, this.minDistance), this.maxDistance);
-    this.defaultPosition[2] = this.distance;
-    // rotate
-    Qtn.identity(this.qt);
+    const v = this.rotateAxis;
+    v[0] = 1.0;
+    v[1] = 0.0;
+    v[2] = 0.0;
     Qtn.identity(this.qtx);
     Qtn.identity(this.qty);
-    Qtn.rotate(this.rotateX * PI2, u, this.qtx);
+    Qtn.rotate(rotateX * PI2, AXIS_Y, this.qtx);
     Qtn.toVecIII(v, this.qtx, v);
-    Qtn.rotate(this.rotateY * PI2, v, this.qty);
-    Qtn.multiply(this.qtx, this.qty, this.qt)
+    Qtn.rotate(rotateY * PI2, v, this.qty);
+    return Qtn.multiply(this.qtx, this.qty, out);
+  }
+
+  /**
+   * 回転の操作量を適用して、クォータニオン（this.qt）を更新する（update から呼ばれる）
+   * @param {number} factor - 操作量のうち、このフレームで適用する割合
+   */
+  updateRotation(factor) {
+    this.rotateX += this.rotateDelta[0] * factor;
+    this.rotateY += this.rotateDelta[1] * factor;
+    this.clampRotation();
+    this.getRotation(this.rotateX, this.rotateY, this.qt);
+  }
+
+  /**
+   * 状態の回転をクォータニオンにする（flyTo の補間に使う）
+   * @param {object} state - getState が返す形式のオブジェクト
+   * @param {Qtn} [dest] - 結果を格納するクォータニオン
+   * @return {Qtn} 結果のクォータニオン
+   */
+  stateToRotation(state, dest) {
+    return this.getRotation(state.rotateX, state.rotateY, dest);
+  }
+
+  /**
+   * クォータニオンが表す向きに回転の量を合わせる（ロールの成分は無視する）
+   * @param {Qtn} qtn - クォータニオン
+   */
+  setRotation(qtn) {
+    const PI2 = Math.PI * 2.0;
+    // 原点から見たカメラの方向から、水平方向と垂直方向の回転の量を求める
+    const direction = this.rotateAxis;
+    direction[0] = 0.0;
+    direction[1] = 0.0;
+    direction[2] = 1.0;
+    Qtn.toVecIII(direction, qtn, direction);
+    this.rotateY = Math.asin(Math.min(Math.max(direction[1], -1.0), 1.0)) / PI2;
+    this.rotateX = Math.atan2(-direction[0], direction[2]) / PI2;
+    this.clampRotation();
+    this.getRotation(this.rotateX, this.rotateY, this.qt);
+  }
+
+  /**
+   * 現在のカメラの状態を返す
+   * @return {object} rotateX, rotateY, distance, movePosition を持つオブジェクト（JSON に変換できる）
+   */
+  getState() {
+    return {
+      rotateX: this.rotateX,
+      rotateY: this.rotateY,
+      distance: this.distance,
+      movePosition: Array.from(this.movePosition),
+    };
+  }
+
+  /**
+   * カメラの状態を設定する（慣性と flyTo の移動は止める）
+   * 省略したパラメータは現在の値のままにする
+   * @param {object} state - getState が返す形式のオブジェクト
+   */
+  setState(state) {
+    this.stopFlight(false);
+    if (state.rotateX != null) {this.rotateX = state.rotateX;}
+    if (state.rotateY != null) {this.rotateY = state.rotateY;}
+    if (state.distance != null) {
+      this.distance = Math.min(Math.max(state.distance, this.minDistance), this.maxDistance);
+    }
+    if (state.movePosition != null) {
+      Vec3.copy(state.movePosition, this.movePosition);
+    }
+    this.clampRotation();
+    this.zoomDelta = 0.0;
+    this.rotateDelta[0] = this.rotateDelta[1] = 0.0;
+    this.panDelta[0] = this.panDelta[1] = 0.0;
+  }
+
+  /**
+   * 指定した状態までカメラを滑らかに移動する
+   * 回転は Qtn.slerp で補間し、距離と平行移動の量は線形に補間する
+   * 移動中は update の呼び出しごとに進み、ポインタの操作は受け付けない
+   * 移動の進み具合は update に渡した時間で決まり、最初の update の時間から移動を始める
+   * @param {object} state - 移動先の状態（getState が返す形式、省略したパラメータは現在の値のまま）
+   * @param {number} [duration=1.0] - 移動にかける時間（秒、0 の場合はすぐに setState する）
+   * @param {object} [option={}]
+   * @property {string|function} option.easing - イージング（Easing の名前または関数、既定値は 'inOutCubic'）
+   * @return {Promise} 移動が完了すると true、別の移動や setState で中断されると false で解決される
+   */
+  flyTo(state, duration = WebGLCamera.DEFAULT_FLY_DURATION, option = {}) {
+    const from = this.getState();
+    const to = Object.assign({}, from, state);
+    to.distance = Math.min(Math.max(to.distance, this.minDistance), this.maxDistance);
+    if (!(duration > 0)) {
+      this.setState(to);
+      return Promise.resolve(true);
+    }
+    this.stopFlight(false);
+    const fromRotation = this.stateToRotation(from);
+    const toRotation = this.stateToRotation(to);
+    // 遠回りしないよう、内積が負の場合は符号を反転する（同じ回転を表す）
+    if (Vec4.dot(fromRotation, toRotation) < 0.0) {
+      Vec4.negate(toRotation, toRotation);
+    }
+    return new Promise((resolve) => {
+      this.flight = {
+        from, to, fromRotation, toRotation, resolve,
+        duration: duration,
+        startTime: null,
+        easing: Easing.get(option.easing || 'inOutCubic'),
+      };
+    });
+  }
+
+  /**
+   * flyTo の移動を 1 フレーム分進める（update から呼ばれる）
+   * @param {number} [time] - 描画ループの時間（秒、省略した場合は performance.now を使う）
+   */
+  updateFlight(time) {
+    const flight = this.flight;
+    const now = time != null ? time : performance.now() * 0.001;
+    if (flight.startTime == null) {
+      flight.startTime = now;
+    }
+    // 時間を戻した場合は移動前の状態にとどめる
+    const elapsed = Math.max(now - flight.startTime, 0.0);
+    const progress = Math.min(elapsed / flight.duration, 1.0);
+    if (progress >= 1.0) {
+      // 最後は移動先の状態そのものを設定して、通常の操作に戻す
+      this.flight = null;
+      this.setState(flight.to);
+      this.updateRotation(0.0);
+      flight.resolve(true);
+      return;
+    }
+    const t = flight.easing(progress);
+    Qtn.slerp(flight.fromRotation, flight.toRotation, t, this.qt);
+    this.distance = flight.from.distance + (flight.to.distance - flight.from.distance) * t;
+    Vec3.lerp(flight.from.movePosition, flight.to.movePosition, t, this.movePosition);
+  }
+
+  /**
+   * flyTo の移動を中断する
+   * @param {boolean} [complete=false] - true の場合は移動先の状態にしてから止める
+   */
+  stopFlight(complete = false) {
+    const flight = this.flight;
+    if (flight == null) {return;}
+    this.flight = null;
+    if (complete === true) {
+      this.setState(flight.to);
+    } else {
+      // 移動の途中の回転から操作を続けられるようにする
+      this.setRotation(this.qt);
+    }
+    flight.resolve(complete === true);
+  }
+
+  /**
+   * 現在のパラメータからビュー行列を生成して返す
+   * 投影変換行列などの他の行列（projection, viewProjection, inverse...）も合わせて更新する
+   * @param {number} [time] - 描画ループの時間（秒、flyTo の移動を進めるのに使う。省略した場合は performance.now を使う）
+   * @return {Mat4} ビュー行列（this.view、参照に注意）
+   */
+  update(time) {
+    // flyTo の移動中は操作を受け付けない
+    if (this.flight != null) {
+      this.zoomDelta = 0.0;
+      this.rotateDelta[0] = this.rotateDelta[1] = 0.0;
+      this.panDelta[0] = this.panDelta[1] = 0.0;
+    }
+    // 慣性が有効な場合は、操作量を減衰率の割合ずつ適用し、残りを次のフレームに持ち越す
+    const factor = this.inertia === true ? this.dampingFactor : 1.0;
+    // scale
+    this.distance *= Math.exp(this.zoomDelta * factor);
+    this.distance = Math.min(Math.max(this.distance, this.minDistance), this.maxDistance);
+    // rotate
+    if (this.flight != null) {
+      // flyTo の移動中は、回転をクォータニオンの補間で求める
+      this.updateFlight(time);
+    } else {
+      this.updateRotation(factor);
+    }
+    this.defaultPosition[2] = this.distance;
     Qtn.toVecIII(this.defaultPosition, this.qt, this.position);
     Qtn.toVecIII(this.defaultUpDirection, this.qt, this.upDirection);
-    // translate
-    this.position[0] += this.movePosition[0];
-    this.position[1] += this.movePosition[1];
-    this.position[2] += this.movePosition[2];
-    this.center[0] = this.defaultCenter[0] + this.movePosition[0];
-    this.center[1] = this.defaultCenter[1] + this.movePosition[1];
-    this.center[2] = this.defaultCenter[2] + this.movePosition[2];
-
-    return Mat4.lookAt(this.position, this.center, this.upDirection);
+    // translate（画面上の移動量を、回転後のカメラの向きに合わせて変換する）
+    const eyeOffset = this.eyeOffset;
+    eyeOffset[0] = this.panDelta[0] * factor;
+    eyeOffset[1] = -this.panDelta[1] * factor;
+    eyeOffset[2] = 0.0;
+    const rotateEye = Qtn.toVecIII(eyeOffset, this.qt, eyeOffset);
+    Vec3.subtract(this.movePosition, rotateEye, this.movePosition);
+    Vec3.add(this.position, this.movePosition, this.position);
+    Vec3.add(this.defaultCenter, this.movePosition, this.center);
+
+    // 適用しなかった操作量（慣性）を残す
+    this.zoomDelta      *= 1.0 - factor;
+    this.rotateDelta[0] *= 1.0 - factor;
+    this.rotateDelta[1] *= 1.0 - factor;
+    this.panDelta[0]    *= 1.0 - factor;
+    this.panDelta[1]    *= 1.0 - factor;
+
+    Mat4.lookAt(this.position, this.center, this.upDirection, this.view);
+    this.updateMatrices();
+    return this.view;
+  }
+}
+
+/**
+ * ジンバルによる角度の制限がないトラックボール型のカメラ
+ * ドラッグした方向に、画面に対して垂直な軸でクォータニオンを回転させるので、真上や真下を越えて回り込める
+ * 平行移動・ズーム・慣性・flyTo などの操作は WebGLOrbitCamera と同じ
+ * @class
+ */
+export class WebGLTrackballCamera extends WebGLOrbitCamera {
+  /**
+   * 回転の操作量を、現在の向きに対する回転としてクォータニオンに掛け合わせる
+   * @param {number} factor - 操作量のうち、このフレームで適用する割合
+   */
+  updateRotation(factor) {
+    const x = this.rotateDelta[0] * factor;
+    const y = this.rotateDelta[1] * factor;
+    const angle = Math.sqrt(x * x + y * y) * Math.PI * 2.0;
+    if (angle <= 0.0) {return;}
+    // 横方向のドラッグは画面の上方向、縦方向のドラッグは画面の右方向を軸にした回転になる
+    const axis = this.rotateAxis;
+    axis[0] = y;
+    axis[1] = x;
+    axis[2] = 0.0;
+    Qtn.rotate(angle, axis, this.qty);
+    Qtn.multiply(this.qty, this.qt, this.qt);
+    WebGLTrackballCamera.normalizeRotation(this.qt);
+  }
+
+  stateToRotation(state, dest) {
+    const out = dest == null ? Qtn.create() : dest;
+    return WebGLTrackballCamera.normalizeRotation(Vec4.copy(state.rotation, out));
+  }
+
+  setRotation(qtn) {
+    this.stateToRotation({rotation: qtn}, this.qt);
+  }
+
+  /**
+   * 現在のカメラの状態を返す
+   * @return {object} rotation（クォータニオン）, distance, movePosition を持つオブジェクト（JSON に変換できる）
+   */
+  getState() {
+    return {
+      rotation: Array.from(this.qt),
+      distance: this.distance,
+      movePosition: Array.from(this.movePosition),
+    };
+  }
+
+  setState(state) {
+    super.setState(state);
+    if (state.rotation != null) {
+      this.setRotation(state.rotation);
+    }
+  }
+
+  /**
+   * 誤差が蓄積しないよう、クォータニオンの長さを 1 にする（参照に注意・戻り値としても結果を返す）
+   * Qtn.normalize は虚部だけを正規化するので、ここでは 4 つの要素すべてを正規化する
+   * @param {Qtn} qtn - クォータニオン
+   * @return {Qtn} 結果のクォータニオン
+   */
+  static normalizeRotation(qtn) {
+    if (Vec4.length(qtn) === 0) {
+      return Qtn.identity(qtn);
+    }
+    return Vec4.normalize(qtn, qtn);
+  }
+}
+
+/**
+ * WASD キーで移動し、マウスで視点を動かす一人称視点（フライスルー）のカメラ
+ * ターゲットエレメントをクリックするとポインタロックし、マウスの移動だけで視点を動かせる（Esc で解除）
+ * ポインタロックしていない場合やタッチ操作では、ドラッグで視点を動かす
+ * @class
+ */
+export class WebGLFlyCamera extends WebGLCamera {
+  /** @type {number} */
+  static DEFAULT_MOVE_SPEED = 2.0;
+  /** @type {number} */
+  static DEFAULT_LOOK_SPEED = 0.003;
+  /** @type {number} */
+  static FAST_SCALE = 3.0;
+  /** @type {number} */
+  static MAX_PITCH = Math.PI * 0.5 - 0.001;
+  /** @type {number} */
+  static MAX_DELTA_TIME = 0.1;
+  /** @type {object} */
+  static KEYS = {
+    forward:  ['KeyW', 'ArrowUp'],
+    backward: ['KeyS', 'ArrowDown'],
+    left:     ['KeyA', 'ArrowLeft'],
+    right:    ['KeyD', 'ArrowRight'],
+    up:       ['KeyE', 'Space'],
+    down:     ['KeyQ', 'KeyC'],
+    fast:     ['ShiftLeft', 'ShiftRight'],
+  };
+
+  /**
+   * @constructor
+   * @param {HTMLElement} target - イベントを設定するターゲットエレメント
+   * @param {object} [option={}]
+   * @property {Array.<number>} option.position - カメラの位置
+   * @property {number} option.yaw - 水平方向の向き（ラジアン、0 で -Z 方向を向く）
+   * @property {number} option.pitch - 垂直方向の向き（ラジアン、正の値で上を向く）
+   * @property {number} option.moveSpeed - 1 秒あたりに移動する距離（Shift キーを押している間は FAST_SCALE 倍）
+   * @property {number} option.lookSpeed - マウスの移動 1 ピクセルあたりの回転量（ラジアン）
+   * @property {boolean} option.pointerLock - クリックでポインタロックするかどうか（既定値は true）
+   * @property {boolean} option.autoResize - ターゲットエレメントの大きさに合わせてアスペクト比を更新するかどうか（既定値は true）
+   * 投影変換のオプション（type, fovy, near, far, zoom, orthoSize）は WebGLCamera と同じ
+   */
+  constructor(target, option = {}) {
+    super(option);
+    const position     = option.position || [0.0, 0.0, 5.0];
+    this.target        = target;
+    this.position      = Vec3.create(position[0], position[1], position[2]);
+    this.yaw           = option.yaw || 0.0;
+    this.pitch         = option.pitch || 0.0;
+    this.moveSpeed     = option.moveSpeed || WebGLFlyCamera.DEFAULT_MOVE_SPEED;
+    this.lookSpeed     = option.lookSpeed || WebGLFlyCamera.DEFAULT_LOOK_SPEED;
+    this.pointerLock   = option.pointerLock !== false;
+    this.forward       = Vec3.create(0.0, 0.0, -1.0);
+    this.center        = Vec3.create(0.0, 0.0, 0.0);
+    this.upDirection   = Vec3.create(0.0, 1.0, 0.0);
+    // 毎フレームの計算に使う作業用のベクトル（そのたびに生成しないよう使い回す）
+    this.right         = Vec3.create();
+    this.move          = Vec3.create();
+    this.keys          = new Set();
+    this.isDown        = false;
+    this.prevPosition  = Vec2.create(0, 0);
+    this.lastTime      = null;
+    this.initialState  = this.getState();
+
+    // self binding
+    this.pointerInteractionStart = this.pointerInteractionStart.bind(this);
+    this.pointerInteractionMove  = this.pointerInteractionMove.bind(this);
+    this.pointerInteractionEnd   = this.pointerInteractionEnd.bind(this);
+    this.keyDown                 = this.keyDown.bind(this);
+    this.keyUp                   = this.keyUp.bind(this);
+    this.blur                    = this.blur.bind(this);
+
+    // タッチ操作でページがスクロールやズームしないようにする
+    this.target.style.touchAction = 'none';
+
+    // event
+    this.target.addEventListener('pointerdown',   this.pointerInteractionStart, false);
+    this.target.addEventListener('pointermove',   this.pointerInteractionMove,  false);
+    this.target.addEventListener('pointerup',     this.pointerInteractionEnd,   false);
+    this.target.addEventListener('pointercancel', this.pointerInteractionEnd,   false);
+    window.addEventListener('keydown', this.keyDown, false);
+    window.addEventListener('keyup',   this.keyUp,   false);
+    window.addEventListener('blur',    this.blur,    false);
+
+    if (option.autoResize !== false && typeof this.target.getBoundingClientRect === 'function') {
+      this.observeResize(this.target);
+    }
+  }
+
+  /**
+   * ポインタロックしているかどうか
+   * @type {boolean}
+   */
+  get isLocked() {
+    return typeof document !== 'undefined' && document.pointerLockElement === this.target;
+  }
+
+  /**
+   * マウスボタンが押された、または画面に触れた際のイベント
+   */
+  pointerInteractionStart(event) {
+    if (this.pointerLock === true && event.pointerType === 'mouse') {
+      if (this.isLocked !== true) {
+        this.target.requestPointerLock();
+      }
+      return;
+    }
+    this.target.setPointerCapture(event.pointerId);
+    this.isDown = true;
+    this.prevPosition[0] = event.clientX;
+    this.prevPosition[1] = event.clientY;
+  }
+
+  /**
+   * ポインタが移動した際のイベント
+   * ポインタロック中はマウスの移動量、それ以外はドラッグした量だけ視点を動かす
+   */
+  pointerInteractionMove(event) {
+    if (this.isLocked === true) {
+      this.look(event.movementX, event.movementY);
+      return;
+    }
+    if (this.isDown !== true) {return;}
+    this.look(event.clientX - this.prevPosition[0], event.clientY - this.prevPosition[1]);
+    this.prevPosition[0] = event.clientX;
+    this.prevPosition[1] = event.clientY;
+  }
+
+  /**
+   * マウスボタンが離された、または画面から指が離れた際のイベント
+   */
+  pointerInteractionEnd(event) {
+    this.isDown = false;
+    if (this.target.hasPointerCapture(event.pointerId) === true) {
+      this.target.releasePointerCapture(event.pointerId);
+    }
+  }
+
+  /**
+   * キーが押された際のイベント（入力欄への入力は無視する）
+   */
+  keyDown(event) {
+    const element = event.target;
+    if (element != null && (['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) === true || element.isContentEditable === true)) {
+      return;
+    }
+    this.keys.add(event.code);
+  }
+
+  /**
+   * キーが離された際のイベント
+   */
+  keyUp(event) {
+    this.keys.delete(event.code);
+  }
+
+  /**
+   * ウィンドウからフォーカスが外れた場合は、押されているキーを離したものとする
+   */
+  blur() {
+    this.keys.clear();
+  }
+
+  /**
+   * 視点を動かす
+   * @param {number} x - 横方向の移動量（ピクセル）
+   * @param {number} y - 縦方向の移動量（ピクセル）
+   */
+  look(x, y) {
+    this.yaw -= x * this.lookSpeed;
+    this.pitch -= y * this.lookSpeed;
+    this.pitch = Math.min(Math.max(this.pitch, -WebGLFlyCamera.MAX_PITCH), WebGLFlyCamera.MAX_PITCH);
+  }
+
+  /**
+   * 指定した操作のキーのいずれかが押されているかどうか
+   * @param {string} action - WebGLFlyCamera.KEYS のキー
+   * @return {boolean}
+   */
+  isPressed(action) {
+    return WebGLFlyCamera.KEYS[action].some((code) => this.keys.has(code));
+  }
+
+  /**
+   * 現在のカメラの状態を返す
+   * @return {object} position, yaw, pitch を持つオブジェクト（JSON に変換できる）
+   */
+  getState() {
+    return {
+      position: Array.from(this.position),
+      yaw: this.yaw,
+      pitch: this.pitch,
+    };
+  }
+
+  /**
+   * カメラの状態を設定する（省略したパラメータは現在の値のままにする）
+   * @param {object} state - getState が返す形式のオブジェクト
+   */
+  setState(state) {
+    if (state.position != null) {
+      Vec3.copy(state.position, this.position);
+    }
+    if (state.yaw != null) {this.yaw = state.yaw;}
+    if (state.pitch != null) {
+      this.pitch = Math.min(Math.max(state.pitch, -WebGLFlyCamera.MAX_PITCH), WebGLFlyCamera.MAX_PITCH);
+    }
+  }
+
+  /**
+   * 押されているキーに応じて移動し、ビュー行列を生成して返す
+   * 移動量は前回の呼び出しからの経過時間で決まる
+   * @param {number} [time] - 描画ループの時間（秒、省略した場合は performance.now を使う）
+   * @return {Mat4} ビュー行列（this.view、参照に注意）
+   */
+  update(time) {
+    const now = time != null ? time : performance.now() * 0.001;
+    // タブが非表示だった場合などに大きく移動しないよう、経過時間に上限を設ける（時間を戻した場合は移動しない）
+    const elapsed = this.lastTime != null ? Math.max(now - this.lastTime, 0.0) : 0.0;
+    const delta = Math.min(elapsed, WebGLFlyCamera.MAX_DELTA_TIME);
+    this.lastTime = now;
+
+    // 向いている方向と、水平面上の右方向
+    const cosPitch = Math.cos(this.pitch);
+    this.forward[0] = -Math.sin(this.yaw) * cosPitch;
+    this.forward[1] = Math.sin(this.pitch);
+    this.forward[2] = -Math.cos(this.yaw) * cosPitch;
+    const right = this.right;
+    right[0] = Math.cos(this.yaw);
+    right[1] = 0.0;
+    right[2] = -Math.sin(this.yaw);
+
+    // move
+    const speed = this.moveSpeed * delta * (this.isPressed('fast') === true ? WebGLFlyCamera.FAST_SCALE : 1.0);
+    const f = (this.isPressed('forward') === true ? 1 : 0) - (this.isPressed('backward') === true ? 1 : 0);
+    const r = (this.isPressed('right') === true ? 1 : 0) - (this.isPressed('left') === true ? 1 : 0);
+    const u = (this.isPressed('up') === true ? 1 : 0) - (this.isPressed('down') === true ? 1 : 0);
+    const move = Vec3.scale(this.forward, f, this.move);
+    move[0] += right[0] * r;
+    move[1] += u;
+    move[2] += right[2] * r;
+    Vec3.add(this.position, Vec3.scale(move, speed, move), this.position);
+
+    Vec3.add(this.position, this.forward, this.center);
+    Mat4.lookAt(this.position, this.center, this.upDirection, this.view);
+    this.updateMatrices();
+    return this.view;
+  }
+
+  /**
+   * 設定したイベントリスナーを削除し、ポインタロックを解除する
+   */
+  dispose() {
+    this.target.removeEventListener('pointerdown',   this.pointerInteractionStart, false);
+    this.target.removeEventListener('pointermove',   this.pointerInteractionMove,  false);
+    this.target.removeEventListener('pointerup',     this.pointerInteractionEnd,   false);
+    this.target.removeEventListener('pointercancel', this.pointerInteractionEnd,   false);
+    window.removeEventListener('keydown', this.keyDown, false);
+    window.removeEventListener('keyup',   this.keyUp,   false);
+    window.removeEventListener('blur',    this.blur,    false);
+    if (this.isLocked === true) {
+      document.exitPointerLock();
+    }
+    this.keys.clear();
+    super.dispose();
   }
 }
@@ -0,0 +1,102 @@
+/**
+ * 描画に使う時間を管理するクラス
+ * 実時間の経過に速度の倍率を掛けて時間を進めるほか、一時停止・コマ送り・シークができる
+ * 時間を使うもの（uniform、アニメーション、動画の再生位置など）はすべてこの時間を参照する
+ * @class
+ */
+export class Clock {
+  /** @type {number} */
+  static DEFAULT_FPS = 60;
+
+  /**
+   * @constructor
+   * @param {object} [option={}]
+   * @property {number} option.speed - 時間の進む速さの倍率（既定値は 1.0）
+   * @property {number} option.fps - コマ送りの 1 フレームの長さを決めるフレームレート
+   * @property {boolean} option.paused - 一時停止した状態で始めるかどうか
+   * @property {function} option.now - 実時間（ミリ秒）を返す関数（既定値は performance.now）
+   */
+  constructor(option = {}) {
+    this.speed = option.speed != null ? option.speed : 1.0;
+    this.fps = option.fps || Clock.DEFAULT_FPS;
+    this.paused = option.paused === true;
+    this.now = option.now || (() => performance.now());
+    this.time = 0.0;
+    this.delta = 0.0;
+    this.last = null;
+  }
+
+  /**
+   * 前回の呼び出しからの実時間の経過に応じて時間を進める（毎フレーム呼ぶ）
+   * 一時停止中は時間を進めない。
+   * @return {number} 現在の時間（秒）
+   */
+  update() {
+    const now = this.now();
+    const elapsed = this.last != null ? (now - this.last) * 0.001 : 0.0;
+    this.last = now;
+    this.delta = this.paused === true ? 0.0 : elapsed * this.speed;
+    this.time += this.delta;
+    return this.time;
+  }
+
+  /**
+   * 一時停止する。
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * 一時停止を解除する。
+   */
+  resume() {
+    this.paused = false;
+    // 一時停止していた間の実時間は進めない
+    this.last = null;
+  }
+
+  /**
+   * 一時停止と再生を切り替える。
+   * @return {boolean} 切り替えた後に一時停止しているかどうか
+   */
+  toggle() {
+    if (this.paused === true) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+    return this.paused;
+  }
+
+  /**
+   * 一時停止した上で、指定したフレーム数だけ時間を進める（負の値の場合は戻す）
+   * @param {number} [count=1] - 進めるフレーム数
+   * @return {number} 現在の時間（秒）
+   */
+  step(count = 1) {
+    this.pause();
+    return this.seek(this.time + count / this.fps);
+  }
+
+  /**
+   * 指定した時間に移動する。
+   * @param {number} time - 移動先の時間（秒、0 未満は 0 にする）
+   * @return {number} 現在の時間（秒）
+   */
+  seek(time) {
+    this.time = Math.max(0.0, time);
+    this.delta = 0.0;
+    // 移動するまでにかかった実時間は進めない
+    this.last = null;
+    return this.time;
+  }
+
+  /**
+   * 時間の進む速さを設定する。
+   * @param {number} speed - 倍率（0 以上）
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(0.0, speed);
+  }
+}
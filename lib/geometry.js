@@ -0,0 +1,478 @@
+import { WebGLUtility } from './webgl.js';
+
+/**
+ * 基本的な形状の頂点データを生成するクラス
+ * どの形状も position（vec3）、normal（vec3）、uv（vec2）、tangent（vec4）、index を持つオブジェクトを返す
+ * 各データは WebGLUtility.createVbo / createIbo にそのまま渡せる数値の配列で、
+ * attribute 変数名をキーとしているので、createBuffers で生成した VBO は ShaderProgram.setAttribute / createVao に渡せる
+ * tangent の w 成分は従法線の向き（1.0 または -1.0）で、従法線は cross(normal, tangent.xyz) * tangent.w で求める
+ * 面は反時計回り（CCW）を表とし、uv は左下を原点とする
+ * @class
+ */
+export class Geometry {
+  // WebGL 2.0 では 65535（0xFFFF）が常にプリミティブリスタートとして扱われるので、UNSIGNED_SHORT で使えるのは 65534 まで
+  /** @type {number} */
+  static MAX_SHORT_INDEX = 65534;
+
+  /**
+   * XY 平面上の、+Z 方向を向いた板ポリゴンを生成する。
+   * 頂点は左上・右上・左下・右下の順に並ぶので、index を使わずに TRIANGLE_STRIP でも描画できる。
+   * @param {number} [width=1.0] - 幅
+   * @param {number} [height=1.0] - 高さ
+   * @return {object} 頂点データ
+   */
+  static plane(width = 1.0, height = 1.0) {
+    return Geometry.grid(width, height, 1, 1);
+  }
+
+  /**
+   * XY 平面上の、+Z 方向を向いた格子状に分割された板ポリゴンを生成する。
+   * 頂点は上の行から順に、各行を左から右へ並べる。
+   * @param {number} [width=1.0] - 幅
+   * @param {number} [height=1.0] - 高さ
+   * @param {number} [widthSegments=1] - 横方向の分割数
+   * @param {number} [heightSegments=1] - 縦方向の分割数
+   * @return {object} 頂点データ
+   */
+  static grid(width = 1.0, height = 1.0, widthSegments = 1, heightSegments = 1) {
+    const geometry = Geometry.create();
+    appendFace(geometry, [1, 0, 0], [0, 1, 0], [0, 0, 1], width, height, 0.0, widthSegments, heightSegments);
+    return Geometry.computeTangents(geometry);
+  }
+
+  /**
+   * 原点を中心とする直方体を生成する（面ごとに頂点を持つので、辺で法線が切り替わる）
+   * @param {number} [width=1.0] - X 方向の大きさ
+   * @param {number} [height=1.0] - Y 方向の大きさ
+   * @param {number} [depth=1.0] - Z 方向の大きさ
+   * @param {number} [segments=1] - 各面の分割数
+   * @return {object} 頂点データ
+   */
+  static box(width = 1.0, height = 1.0, depth = 1.0, segments = 1) {
+    const geometry = Geometry.create();
+    const w = width * 0.5, h = height * 0.5, d = depth * 0.5;
+    // 各面の横方向・縦方向・法線（横方向 × 縦方向 = 法線 になる向き）
+    appendFace(geometry, [ 0, 0, -1], [0, 1,  0], [ 1,  0,  0], depth, height, w, segments, segments);
+    appendFace(geometry, [ 0, 0,  1], [0, 1,  0], [-1,  0,  0], depth, height, w, segments, segments);
+    appendFace(geometry, [ 1, 0,  0], [0, 0, -1], [ 0,  1,  0], width, depth,  h, segments, segments);
+    appendFace(geometry, [ 1, 0,  0], [0, 0,  1], [ 0, -1,  0], width, depth,  h, segments, segments);
+    appendFace(geometry, [ 1, 0,  0], [0, 1,  0], [ 0,  0,  1], width, height, d, segments, segments);
+    appendFace(geometry, [-1, 0,  0], [0, 1,  0], [ 0,  0, -1], width, height, d, segments, segments);
+    return Geometry.computeTangents(geometry);
+  }
+
+  /**
+   * 原点を中心とする球体（経度・緯度で分割した UV 球）を生成する。
+   * uv の u は経度（-Z 側から見て左端が 0.0）、v は緯度（南極が 0.0、北極が 1.0）に対応する。
+   * @param {number} [radius=1.0] - 半径
+   * @param {number} [widthSegments=32] - 経度方向の分割数
+   * @param {number} [heightSegments=16] - 緯度方向の分割数
+   * @return {object} 頂点データ
+   */
+  static sphere(radius = 1.0, widthSegments = 32, heightSegments = 16) {
+    const geometry = Geometry.create();
+    for (let iy = 0; iy <= heightSegments; ++iy) {
+      const v = iy / heightSegments;
+      const phi = v * Math.PI;
+      for (let ix = 0; ix <= widthSegments; ++ix) {
+        const u = ix / widthSegments;
+        const theta = u * Math.PI * 2.0;
+        const nx = -Math.cos(theta) * Math.sin(phi);
+        const ny = Math.cos(phi);
+        const nz = Math.sin(theta) * Math.sin(phi);
+        geometry.position.push(nx * radius, ny * radius, nz * radius);
+        geometry.normal.push(nx, ny, nz);
+        geometry.uv.push(u, 1.0 - v);
+      }
+    }
+    const row = widthSegments + 1;
+    for (let iy = 0; iy < heightSegments; ++iy) {
+      for (let ix = 0; ix < widthSegments; ++ix) {
+        const a = iy * row + ix;
+        const b = a + row;
+        // 極では三角形の頂点が 1 点に重なるので、面積のない三角形は作らない
+        if (iy !== 0) {
+          geometry.index.push(a, b, a + 1);
+        }
+        if (iy !== heightSegments - 1) {
+          geometry.index.push(a + 1, b, b + 1);
+        }
+      }
+    }
+    return Geometry.computeTangents(geometry);
+  }
+
+  /**
+   * Y 軸を中心に XZ 平面上に寝かせたトーラス（ドーナツ型）を生成する。
+   * @param {number} [radius=1.0] - 中心からチューブの中心までの距離
+   * @param {number} [tube=0.4] - チューブの半径
+   * @param {number} [radialSegments=16] - チューブの断面の分割数
+   * @param {number} [tubularSegments=48] - 円周方向の分割数
+   * @return {object} 頂点データ
+   */
+  static torus(radius = 1.0, tube = 0.4, radialSegments = 16, tubularSegments = 48) {
+    const geometry = Geometry.create();
+    for (let j = 0; j <= radialSegments; ++j) {
+      const v = j / radialSegments;
+      const phi = v * Math.PI * 2.0;
+      for (let i = 0; i <= tubularSegments; ++i) {
+        const u = i / tubularSegments;
+        const theta = u * Math.PI * 2.0;
+        const cx = Math.cos(theta), cz = -Math.sin(theta);
+        const nx = cx * Math.cos(phi);
+        const ny = Math.sin(phi);
+        const nz = cz * Math.cos(phi);
+        geometry.position.push(cx * radius + nx * tube, ny * tube, cz * radius + nz * tube);
+        geometry.normal.push(nx, ny, nz);
+        geometry.uv.push(u, v);
+      }
+    }
+    const row = tubularSegments + 1;
+    for (let j = 0; j < radialSegments; ++j) {
+      for (let i = 0; i < tubularSegments; ++i) {
+        const a = j * row + i;
+        const b = a + row;
+        geometry.index.push(a, a + 1, b, b, a + 1, b + 1);
+      }
+    }
+    return Geometry.computeTangents(geometry);
+  }
+
+  /**
+   * Y 軸を中心とする円柱（上下で半径が異なる円錐台も可）を生成する。
+   * @param {number} [radiusTop=1.0] - 上面の半径
+   * @param {number} [radiusBottom=1.0] - 底面の半径
+   * @param {number} [height=1.0] - 高さ
+   * @param {number} [radialSegments=32] - 円周方向の分割数
+   * @param {number} [heightSegments=1] - 高さ方向の分割数
+   * @param {boolean} [openEnded=false] - 上面と底面を作らないかどうか
+   * @return {object} 頂点データ
+   */
+  static cylinder(radiusTop = 1.0, radiusBottom = 1.0, height = 1.0, radialSegments = 32, heightSegments = 1, openEnded = false) {
+    const geometry = Geometry.create();
+    const halfHeight = height * 0.5;
+    // 側面の傾き（法線の Y 成分）
+    const slope = (radiusBottom - radiusTop) / height;
+    for (let iy = 0; iy <= heightSegments; ++iy) {
+      const v = iy / heightSegments;
+      const radius = radiusTop + (radiusBottom - radiusTop) * v;
+      for (let ix = 0; ix <= radialSegments; ++ix) {
+        const u = ix / radialSegments;
+        const theta = u * Math.PI * 2.0;
+        const sin = Math.sin(theta), cos = Math.cos(theta);
+        const l = Math.sqrt(1.0 + slope * slope);
+        geometry.position.push(sin * radius, halfHeight - v * height, cos * radius);
+        geometry.normal.push(sin / l, slope / l, cos / l);
+        geometry.uv.push(u, 1.0 - v);
+      }
+    }
+    const row = radialSegments + 1;
+    for (let iy = 0; iy < heightSegments; ++iy) {
+      for (let ix = 0; ix < radialSegments; ++ix) {
+        const a = iy * row + ix;
+        const b = a + row;
+        // 半径が 0 の側（円錐の頂点）では面積のない三角形になるので作らない
+        if (iy !== 0 || radiusTop > 0) {
+          geometry.index.push(a, b, a + 1);
+        }
+        if (iy !== heightSegments - 1 || radiusBottom > 0) {
+          geometry.index.push(a + 1, b, b + 1);
+        }
+      }
+    }
+    if (openEnded !== true) {
+      if (radiusTop > 0) {
+        appendCap(geometry, radiusTop, halfHeight, 1, radialSegments);
+      }
+      if (radiusBottom > 0) {
+        appendCap(geometry, radiusBottom, -halfHeight, -1, radialSegments);
+      }
+    }
+    return Geometry.computeTangents(geometry);
+  }
+
+  /**
+   * Y 軸を中心とし、+Y 方向に頂点がある円錐を生成する。
+   * @param {number} [radius=1.0] - 底面の半径
+   * @param {number} [height=1.0] - 高さ
+   * @param {number} [radialSegments=32] - 円周方向の分割数
+   * @param {number} [heightSegments=1] - 高さ方向の分割数
+   * @param {boolean} [openEnded=false] - 底面を作らないかどうか
+   * @return {object} 頂点データ
+   */
+  static cone(radius = 1.0, height = 1.0, radialSegments = 32, heightSegments = 1, openEnded = false) {
+    return Geometry.cylinder(0.0, radius, height, radialSegments, heightSegments, openEnded);
+  }
+
+  /**
+   * 正二十面体の面を分割して作る球体を生成する（UV 球と違い、頂点が均等に並ぶ）
+   * uv は sphere と同じ向きの経度・緯度で、経度 0 の継ぎ目と極の頂点は三角形ごとに複製する。
+   * @param {number} [radius=1.0] - 半径
+   * @param {number} [detail=2] - 分割の回数（1 回ごとに面の数が 4 倍になる）
+   * @return {object} 頂点データ
+   */
+  static icosphere(radius = 1.0, detail = 2) {
+    const t = (1.0 + Math.sqrt(5.0)) * 0.5;
+    let vertices = [
+      [-1,  t,  0], [ 1,  t,  0], [-1, -t,  0], [ 1, -t,  0],
+      [ 0, -1,  t], [ 0,  1,  t], [ 0, -1, -t], [ 0,  1, -t],
+      [ t,  0, -1], [ t,  0,  1], [-t,  0, -1], [-t,  0,  1],
+    ].map(normalize);
+    let faces = [
+      [0, 11, 5], [0, 5, 1], [0, 1, 7], [0, 7, 10], [0, 10, 11],
+      [1, 5, 9], [5, 11, 4], [11, 10, 2], [10, 7, 6], [7, 1, 8],
+      [3, 9, 4], [3, 4, 2], [3, 2, 6], [3, 6, 8], [3, 8, 9],
+      [4, 9, 5], [2, 4, 11], [6, 2, 10], [8, 6, 7], [9, 8, 1],
+    ];
+    // 各辺の中点で三角形を 4 つに分割する（辺を共有する三角形で中点の頂点を使い回す）
+    for (let i = 0; i < detail; ++i) {
+      const cache = new Map();
+      const midpoint = (a, b) => {
+        const key = a < b ? `${a},${b}` : `${b},${a}`;
+        if (cache.has(key) !== true) {
+          const p = vertices[a], q = vertices[b];
+          cache.set(key, vertices.length);
+          vertices.push(normalize([p[0] + q[0], p[1] + q[1], p[2] + q[2]]));
+        }
+        return cache.get(key);
+      };
+      faces = faces.flatMap(([a, b, c]) => {
+        const ab = midpoint(a, b), bc = midpoint(b, c), ca = midpoint(c, a);
+        return [[a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]];
+      });
+    }
+
+    const geometry = Geometry.create();
+    const seam = new Map();
+    const addVertex = (n, u) => {
+      geometry.position.push(n[0] * radius, n[1] * radius, n[2] * radius);
+      geometry.normal.push(n[0], n[1], n[2]);
+      geometry.uv.push(u, Math.asin(Math.min(Math.max(n[1], -1.0), 1.0)) / Math.PI + 0.5);
+      return geometry.position.length / 3 - 1;
+    };
+    const longitude = (n) => Math.atan2(n[2], -n[0]) / (Math.PI * 2.0);
+    vertices.forEach((n) => {
+      const u = longitude(n);
+      addVertex(n, u < 0.0 ? u + 1.0 : u);
+    });
+    faces.forEach((face) => {
+      const us = face.map((index) => geometry.uv[index * 2]);
+      // 継ぎ目をまたぐ三角形は、u の小さい側の頂点を u + 1.0 にした複製に置き換える
+      const wrap = Math.max(...us) - Math.min(...us) > 0.5;
+      const indices = face.map((index, i) => {
+        if (wrap !== true || us[i] >= 0.5) {return index;}
+        const key = `${index}`;
+        if (seam.has(key) !== true) {
+          seam.set(key, addVertex(vertices[index], us[i] + 1.0));
+        }
+        return seam.get(key);
+      });
+      // 極の頂点は経度が決まらないので、残りの 2 頂点の u の平均を使った複製に置き換える
+      face.forEach((index, i) => {
+        const n = vertices[index];
+        if (Math.abs(n[0]) > 0.000001 || Math.abs(n[2]) > 0.000001) {return;}
+        const others = indices.filter((_, j) => j !== i).map((k) => geometry.uv[k * 2]);
+        indices[i] = addVertex(n, (others[0] + others[1]) * 0.5);
+      });
+      geometry.index.push(...indices);
+    });
+    return Geometry.computeTangents(geometry);
+  }
+
+  /**
+   * 空の頂点データを生成する。
+   * @return {object} 頂点データ
+   * @property {Array.<number>} position - 頂点座標（vec3）
+   * @property {Array.<number>} normal - 法線（vec3）
+   * @property {Array.<number>} uv - テクスチャ座標（vec2）
+   * @property {Array.<number>} tangent - 接線（vec4）
+   * @property {Array.<number>} index - 頂点インデックス
+   */
+  static create() {
+    return {position: [], normal: [], uv: [], tangent: [], index: []};
+  }
+
+  /**
+   * position、normal、uv、index から接線を計算して tangent に設定する（参照に注意・戻り値としても結果を返す）
+   * 接線は uv の u が増える方向で、法線に直交するように補正する。
+   * @param {object} geometry - 頂点データ
+   * @return {object} 頂点データ
+   */
+  static computeTangents(geometry) {
+    const {position, normal, uv, index} = geometry;
+    const count = position.length / 3;
+    const tan = new Float32Array(count * 3);
+    const bitan = new Float32Array(count * 3);
+    for (let i = 0; i < index.length; i += 3) {
+      const i0 = index[i], i1 = index[i + 1], i2 = index[i + 2];
+      const e1x = position[i1 * 3] - position[i0 * 3];
+      const e1y = position[i1 * 3 + 1] - position[i0 * 3 + 1];
+      const e1z = position[i1 * 3 + 2] - position[i0 * 3 + 2];
+      const e2x = position[i2 * 3] - position[i0 * 3];
+      const e2y = position[i2 * 3 + 1] - position[i0 * 3 + 1];
+      const e2z = position[i2 * 3 + 2] - position[i0 * 3 + 2];
+      const du1 = uv[i1 * 2] - uv[i0 * 2], dv1 = uv[i1 * 2 + 1] - uv[i0 * 2 + 1];
+      const du2 = uv[i2 * 2] - uv[i0 * 2], dv2 = uv[i2 * 2 + 1] - uv[i0 * 2 + 1];
+      const det = du1 * dv2 - du2 * dv1;
+      if (det === 0) {continue;}
+      const r = 1.0 / det;
+      const tx = (e1x * dv2 - e2x * dv1) * r, ty = (e1y * dv2 - e2y * dv1) * r, tz = (e1z * dv2 - e2z * dv1) * r;
+      const bx = (e2x * du1 - e1x * du2) * r, by = (e2y * du1 - e1y * du2) * r, bz = (e2z * du1 - e1z * du2) * r;
+      [i0, i1, i2].forEach((v) => {
+        tan[v * 3] += tx;
+        tan[v * 3 + 1] += ty;
+        tan[v * 3 + 2] += tz;
+        bitan[v * 3] += bx;
+        bitan[v * 3 + 1] += by;
+        bitan[v * 3 + 2] += bz;
+      });
+    }
+    const tangent = [];
+    for (let v = 0; v < count; ++v) {
+      const nx = normal[v * 3], ny = normal[v * 3 + 1], nz = normal[v * 3 + 2];
+      let tx = tan[v * 3], ty = tan[v * 3 + 1], tz = tan[v * 3 + 2];
+      // Gram-Schmidt で法線に直交させる
+      const d = nx * tx + ny * ty + nz * tz;
+      tx -= nx * d;
+      ty -= ny * d;
+      tz -= nz * d;
+      let l = Math.sqrt(tx * tx + ty * ty + tz * tz);
+      if (l < 0.000001) {
+        // 接線が決まらない頂点（円錐の頂点など）は、法線に垂直な任意の向きにする
+        tx = Math.abs(nx) < 0.9 ? 0.0 : -nz;
+        ty = Math.abs(nx) < 0.9 ? nz : 0.0;
+        tz = Math.abs(nx) < 0.9 ? -ny : nx;
+        l = Math.sqrt(tx * tx + ty * ty + tz * tz);
+      }
+      tx /= l;
+      ty /= l;
+      tz /= l;
+      // cross(normal, tangent) と uv の v が増える方向が逆なら従法線を反転する
+      const cx = ny * tz - nz * ty, cy = nz * tx - nx * tz, cz = nx * ty - ny * tx;
+      const w = cx * bitan[v * 3] + cy * bitan[v * 3 + 1] + cz * bitan[v * 3 + 2] < 0.0 ? -1.0 : 1.0;
+      tangent.push(tx, ty, tz, w);
+    }
+    geometry.tangent = tangent;
+    return geometry;
+  }
+
+  /**
+   * 頂点データから VBO と IBO を生成して返す。
+   * 頂点が 65536 個以上（最大のインデックスが 65535 以上）の場合は createIboInt で IBO を生成する。
+   * @param {WebGLRenderingContext} gl - WebGL コンテキスト
+   * @param {object} geometry - 頂点データ
+   * @param {object} [ext=null] - getWebGLExtensions の戻り値（WebGL 1.0 で 65535 以上のインデックスを使う場合に必要）
+   * @return {object} 生成したバッファ
+   * @property {object} vbo - attribute 変数名をキーとする VBO
+   * @property {WebGLBuffer} ibo - IBO
+   * @property {number} indexType - drawElements に渡すインデックスの型（gl.UNSIGNED_SHORT または gl.UNSIGNED_INT）
+   * @property {number} count - インデックスの数
+   */
+  static createBuffers(gl, geometry, ext = null) {
+    const vbo = {
+      position: WebGLUtility.createVbo(gl, geometry.position),
+      normal:   WebGLUtility.createVbo(gl, geometry.normal),
+      uv:       WebGLUtility.createVbo(gl, geometry.uv),
+      tangent:  WebGLUtility.createVbo(gl, geometry.tangent),
+    };
+    const useInt = geometry.position.length / 3 - 1 > Geometry.MAX_SHORT_INDEX;
+    return {
+      vbo: vbo,
+      ibo: useInt === true ?
+        WebGLUtility.createIboInt(gl, ext, geometry.index) :
+        WebGLUtility.createIbo(gl, geometry.index),
+      indexType: useInt === true ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT,
+      count: geometry.index.length,
+    };
+  }
+
+  /**
+   * createBuffers で生成したバッファを削除する。
+   * @param {WebGLRenderingContext} gl - WebGL コンテキスト
+   * @param {object} buffers - createBuffers の戻り値
+   */
+  static deleteBuffers(gl, buffers) {
+    Object.keys(buffers.vbo).forEach((name) => {
+      gl.deleteBuffer(buffers.vbo[name]);
+    });
+    gl.deleteBuffer(buffers.ibo);
+  }
+}
+
+/**
+ * 長さを 1 にした配列を返す
+ * @param {Array.<number>} v - ３つの要素を持つベクトル
+ * @return {Array.<number>}
+ */
+function normalize(v) {
+  const l = Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
+  return [v[0] / l, v[1] / l, v[2] / l];
+}
+
+/**
+ * 格子状に分割した四角形の面を頂点データに追加する
+ * @param {object} geometry - 追加先の頂点データ
+ * @param {Array.<number>} uDir - 面の横方向（uv の u が増える向き）
+ * @param {Array.<number>} vDir - 面の縦方向（uv の v が増える向き）
+ * @param {Array.<number>} nDir - 面の法線（uDir × vDir）
+ * @param {number} width - 横方向の大きさ
+ * @param {number} height - 縦方向の大きさ
+ * @param {number} offset - 原点から法線の方向に面をずらす距離
+ * @param {number} widthSegments - 横方向の分割数
+ * @param {number} heightSegments - 縦方向の分割数
+ */
+function appendFace(geometry, uDir, vDir, nDir, width, height, offset, widthSegments, heightSegments) {
+  const start = geometry.position.length / 3;
+  for (let iy = 0; iy <= heightSegments; ++iy) {
+    const v = 1.0 - iy / heightSegments;
+    const y = (v - 0.5) * height;
+    for (let ix = 0; ix <= widthSegments; ++ix) {
+      const u = ix / widthSegments;
+      const x = (u - 0.5) * width;
+      for (let i = 0; i < 3; ++i) {
+        geometry.position.push(uDir[i] * x + vDir[i] * y + nDir[i] * offset);
+      }
+      geometry.normal.push(nDir[0], nDir[1], nDir[2]);
+      geometry.uv.push(u, v);
+    }
+  }
+  const row = widthSegments + 1;
+  for (let iy = 0; iy < heightSegments; ++iy) {
+    for (let ix = 0; ix < widthSegments; ++ix) {
+      const a = start + iy * row + ix;
+      const c = a + row;
+      geometry.index.push(a, c, a + 1, a + 1, c, c + 1);
+    }
+  }
+}
+
+/**
+ * 円柱の上面または底面を頂点データに追加する
+ * @param {object} geometry - 追加先の頂点データ
+ * @param {number} radius - 半径
+ * @param {number} y - 面の高さ
+ * @param {number} sign - 法線の向き（上面は 1、底面は -1）
+ * @param {number} radialSegments - 円周方向の分割数
+ */
+function appendCap(geometry, radius, y, sign, radialSegments) {
+  const center = geometry.position.length / 3;
+  geometry.position.push(0.0, y, 0.0);
+  geometry.normal.push(0.0, sign, 0.0);
+  geometry.uv.push(0.5, 0.5);
+  for (let ix = 0; ix <= radialSegments; ++ix) {
+    const theta = ix / radialSegments * Math.PI * 2.0;
+    const sin = Math.sin(theta), cos = Math.cos(theta);
+    geometry.position.push(sin * radius, y, cos * radius);
+    geometry.normal.push(0.0, sign, 0.0);
+    // 上から見た（底面は下から見た）向きで uv を割り当てる
+    geometry.uv.push(sin * 0.5 + 0.5, -cos * sign * 0.5 + 0.5);
+  }
+  for (let ix = 0; ix < radialSegments; ++ix) {
+    const a = center + 1 + ix;
+    if (sign > 0) {
+      geometry.index.push(center, a, a + 1);
+    } else {
+      geometry.index.push(center, a + 1, a);
+    }
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * アニメーション GIF を生成するエンコーダ
+ * フレームごとに出現頻度の高い色から最大 256 色のパレットを作り、LZW で圧縮する
+ * @class
+ */
+export class GifEncoder {
+  /** @type {number} */
+  static MAX_COLORS = 256;
+
+  /**
+   * @constructor
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {object} [option={}]
+   * @property {number} option.loop - ループ回数（0 の場合は無限にループする、null の場合はループしない）
+   */
+  constructor(width, height, option = {}) {
+    this.width = width;
+    this.height = height;
+    this.chunks = [];
+    this.indices = new Uint8Array(width * height);
+    // 5 ビットに量子化した RGB ごとの出現回数と色の合計（パレットの色は平均にする）
+    this.histogram = new Uint32Array(32768);
+    this.sums = new Float64Array(32768 * 3);
+    this.lookup = new Int16Array(32768);
+
+    const header = [];
+    GifEncoder.writeString(header, 'GIF89a');
+    // logical screen descriptor（グローバルカラーテーブルは使わない）
+    GifEncoder.writeShort(header, width);
+    GifEncoder.writeShort(header, height);
+    header.push(0x00, 0x00, 0x00);
+    if (option.loop !== null) {
+      // application extension（NETSCAPE2.0）でループ回数を指定する
+      header.push(0x21, 0xff, 0x0b);
+      GifEncoder.writeString(header, 'NETSCAPE2.0');
+      header.push(0x03, 0x01);
+      GifEncoder.writeShort(header, option.loop != null ? option.loop : 0);
+      header.push(0x00);
+    }
+    this.chunks.push(new Uint8Array(header));
+  }
+
+  /**
+   * フレームを追加する。
+   * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA のピクセルデータ（上の行から順に並ぶ）
+   * @param {number} delay - 次のフレームまでの時間（1/100 秒単位）
+   */
+  addFrame(pixels, delay) {
+    const palette = this.quantize(pixels);
+    let tableBits = 1;
+    while ((1 << tableBits) < palette.length) {
+      ++tableBits;
+    }
+
+    const bytes = [];
+    // graphic control extension（disposal method: 1 = そのまま残す）
+    bytes.push(0x21, 0xf9, 0x04, 0x04);
+    GifEncoder.writeShort(bytes, delay);
+    bytes.push(0x00, 0x00);
+    // image descriptor（ローカルカラーテーブルを使う）
+    bytes.push(0x2c);
+    GifEncoder.writeShort(bytes, 0);
+    GifEncoder.writeShort(bytes, 0);
+    GifEncoder.writeShort(bytes, this.width);
+    GifEncoder.writeShort(bytes, this.height);
+    bytes.push(0x80 | (tableBits - 1));
+    for (let i = 0; i < (1 << tableBits); ++i) {
+      const color = palette[i] || [0, 0, 0];
+      bytes.push(color[0], color[1], color[2]);
+    }
+    this.chunks.push(new Uint8Array(bytes));
+    this.chunks.push(GifEncoder.compress(this.indices, Math.max(2, tableBits)));
+  }
+
+  /**
+   * 終端を書き込み、GIF ファイルを返す。
+   * @return {Blob} GIF ファイル
+   */
+  finish() {
+    this.chunks.push(new Uint8Array([0x3b]));
+    return new Blob(this.chunks, {type: 'image/gif'});
+  }
+
+  /**
+   * ピクセルを減色してインデックスに変換し、パレットを返す。
+   * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA のピクセルデータ
+   * @return {Array.<Array.<number>>} パレット（RGB の配列）
+   */
+  quantize(pixels) {
+    const histogram = this.histogram;
+    const sums = this.sums;
+    const lookup = this.lookup;
+    histogram.fill(0);
+    sums.fill(0);
+    lookup.fill(-1);
+    const count = this.width * this.height;
+    for (let i = 0; i < count; ++i) {
+      const r = pixels[i * 4];
+      const g = pixels[i * 4 + 1];
+      const b = pixels[i * 4 + 2];
+      const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+      ++histogram[key];
+      sums[key * 3] += r;
+      sums[key * 3 + 1] += g;
+      sums[key * 3 + 2] += b;
+    }
+
+    // 出現回数の多い色から順にパレットに採用する
+    const keys = [];
+    for (let key = 0; key < histogram.length; ++key) {
+      if (histogram[key] > 0) {
+        keys.push(key);
+      }
+    }
+    keys.sort((a, b) => histogram[b] - histogram[a]);
+    const palette = keys.slice(0, GifEncoder.MAX_COLORS).map((key) => {
+      return [
+        Math.round(sums[key * 3] / histogram[key]),
+        Math.round(sums[key * 3 + 1] / histogram[key]),
+        Math.round(sums[key * 3 + 2] / histogram[key]),
+      ];
+    });
+
+    // 量子化した色ごとに最も近いパレットの色を求めてからインデックスに変換する
+    keys.forEach((key) => {
+      const r = sums[key * 3] / histogram[key];
+      const g = sums[key * 3 + 1] / histogram[key];
+      const b = sums[key * 3 + 2] / histogram[key];
+      let nearest = 0;
+      let min = Infinity;
+      for (let i = 0; i < palette.length; ++i) {
+        const dr = palette[i][0] - r;
+        const dg = palette[i][1] - g;
+        const db = palette[i][2] - b;
+        const distance = dr * dr + dg * dg + db * db;
+        if (distance < min) {
+          min = distance;
+          nearest = i;
+        }
+      }
+      lookup[key] = nearest;
+    });
+    for (let i = 0; i < count; ++i) {
+      const key = ((pixels[i * 4] >> 3) << 10) | ((pixels[i * 4 + 1] >> 3) << 5) | (pixels[i * 4 + 2] >> 3);
+      this.indices[i] = lookup[key];
+    }
+    return palette;
+  }
+
+  /**
+   * インデックスを LZW で圧縮し、サブブロックに分割したバイト列を返す。
+   * @param {Uint8Array} indices - パレットのインデックス
+   * @param {number} minCodeSize - 最小のコードサイズ（ビット数）
+   * @return {Uint8Array} 最小コードサイズ、サブブロック、ブロック終端を含むバイト列
+   */
+  static compress(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [minCodeSize];
+    let block = [];
+    let buffer = 0;
+    let bits = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let dictionary = new Map();
+
+    const write = (code) => {
+      buffer |= code << bits;
+      bits += codeSize;
+      while (bits >= 8) {
+        block.push(buffer & 0xff);
+        buffer >>>= 8;
+        bits -= 8;
+        if (block.length === 255) {
+          output.push(255, ...block);
+          block = [];
+        }
+      }
+    };
+
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; ++i) {
+      const index = indices[i];
+      const key = prefix * 256 + index;
+      const code = dictionary.get(key);
+      if (code != null) {
+        prefix = code;
+        continue;
+      }
+      write(prefix);
+      if (nextCode < 4096) {
+        dictionary.set(key, nextCode);
+        if (nextCode === (1 << codeSize)) {
+          ++codeSize;
+        }
+        ++nextCode;
+      } else {
+        // 辞書が一杯になったらクリアコードを出して作り直す
+        write(clearCode);
+        dictionary = new Map();
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+      }
+      prefix = index;
+    }
+    write(prefix);
+    // デコーダは最後のコードを読んだ後にも辞書に追加するので、コードサイズを合わせる
+    if (nextCode === (1 << codeSize) && codeSize < 12) {
+      ++codeSize;
+    }
+    write(endCode);
+    if (bits > 0) {
+      block.push(buffer & 0xff);
+    }
+    if (block.length > 0) {
+      output.push(block.length, ...block);
+    }
+    output.push(0x00);
+    return new Uint8Array(output);
+  }
+
+  /**
+   * 16 ビットの値をリトルエンディアンで追加する。
+   * @param {Array.<number>} bytes - 追加先
+   * @param {number} value - 値
+   */
+  static writeShort(bytes, value) {
+    bytes.push(value & 0xff, (value >> 8) & 0xff);
+  }
+
+  /**
+   * ASCII 文字列を追加する。
+   * @param {Array.<number>} bytes - 追加先
+   * @param {string} text - 文字列
+   */
+  static writeString(bytes, text) {
+    for (let i = 0; i < text.length; ++i) {
+      bytes.push(text.charCodeAt(i));
+    }
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * 任意の文字セットからグリッド状のグリフアトラス（文字テクスチャ）を生成するクラス
+ * 各グリフの実際の幅を計測してセルに収め、描画面積（被覆率）の小さい順に並べ替える
+ * @class
+ */
+export class GlyphAtlas {
+  /** @type {string} */
+  static DEFAULT_CHARSET = ' .:-=+*#%@';
+  /** @type {string} */
+  static DEFAULT_FONT = 'monospace';
+  /** @type {number} */
+  static DEFAULT_CELL_SIZE = 32;
+  /** @type {number} */
+  static DEFAULT_PADDING = 0.9;
+  /** @type {number} */
+  static MEASURE_FONT_SIZE = 100;
+
+  /**
+   * @constructor
+   * @param {WebGLRenderingContext} gl - WebGL コンテキスト
+   * @param {object} [option={}]
+   * @property {string} option.charset - 使用する文字セット（絵文字などの書記素クラスタも 1 文字として扱う）
+   * @property {string} option.font - フォントファミリー（CSS の font-family と同じ書式）
+   * @property {string} option.fontWeight - フォントの太さ（CSS の font-weight と同じ書式）
+   * @property {number|Array.<number>} option.cellSize - 1 文字分のセルのサイズ（ピクセル、配列の場合は幅と高さ）
+   * @property {number} option.padding - セルに対してグリフが占める最大の割合
+   * @property {boolean} option.sort - 被覆率の小さい順に並べ替えるかどうか
+   */
+  constructor(gl, option = {}) {
+    this.gl = gl;
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d', {willReadFrequently: true});
+    this.texture = gl.createTexture();
+    this.charset = GlyphAtlas.DEFAULT_CHARSET;
+    this.font = GlyphAtlas.DEFAULT_FONT;
+    this.fontWeight = 'normal';
+    this.cellSize = GlyphAtlas.DEFAULT_CELL_SIZE;
+    this.padding = GlyphAtlas.DEFAULT_PADDING;
+    this.sort = true;
+    this.update(option);
+  }
+
+  /**
+   * オプションを変更してアトラスを作り直す（テクスチャオブジェクトはそのまま使い回す）
+   * @param {object} [option={}] - コンストラクタと同じオプション
+   */
+  update(option = {}) {
+    ['charset', 'font', 'fontWeight', 'cellSize', 'padding', 'sort'].forEach((key) => {
+      if (option[key] != null) {
+        this[key] = option[key];
+      }
+    });
+    this.glyphs = GlyphAtlas.splitGraphemes(this.charset);
+    if (this.glyphs.length === 0) {
+      throw new Error('charset is empty');
+    }
+    this.cellWidth = Array.isArray(this.cellSize) ? this.cellSize[0] : this.cellSize;
+    this.cellHeight = Array.isArray(this.cellSize) ? this.cellSize[1] : this.cellSize;
+    this.columns = Math.ceil(Math.sqrt(this.glyphs.length));
+    this.rows = Math.ceil(this.glyphs.length / this.columns);
+    this.canvas.width = this.columns * this.cellWidth;
+    this.canvas.height = this.rows * this.cellHeight;
+
+    this.measure();
+    this.draw();
+    this.coverage = this.glyphs.map((glyph, index) => this.measureCoverage(index));
+    if (this.sort === true) {
+      // 被覆率の小さい（暗い）順に並べ替えて描き直す
+      const order = this.glyphs.map((glyph, index) => index);
+      order.sort((a, b) => this.coverage[a] - this.coverage[b]);
+      this.glyphs = order.map((index) => this.glyphs[index]);
+      this.coverage = order.map((index) => this.coverage[index]);
+      this.draw();
+    }
+    this.upload();
+  }
+
+  /**
+   * 文字列を書記素クラスタ（見た目上の 1 文字）の配列に分割する。
+   * @param {string} text - 分割する文字列
+   * @return {Array.<string>} 書記素クラスタの配列
+   */
+  static splitGraphemes(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter != null) {
+      const segmenter = new Intl.Segmenter(undefined, {granularity: 'grapheme'});
+      return Array.from(segmenter.segment(text), (s) => s.segment);
+    }
+    return Array.from(text);
+  }
+
+  /**
+   * 各グリフの実際の大きさを計測し、すべてのグリフがセルに収まるフォントサイズを決める。
+   */
+  measure() {
+    const ctx = this.ctx;
+    const size = GlyphAtlas.MEASURE_FONT_SIZE;
+    ctx.font = `${this.fontWeight} ${size}px ${this.font}`;
+    let maxWidth = 0;
+    let maxAscent = 0;
+    let maxDescent = 0;
+    this.glyphs.forEach((glyph) => {
+      const metrics = ctx.measureText(glyph);
+      const width = metrics.actualBoundingBoxLeft != null ?
+        Math.abs(metrics.actualBoundingBoxLeft) + Math.abs(metrics.actualBoundingBoxRight) :
+        metrics.width;
+      maxWidth = Math.max(maxWidth, width, metrics.width);
+      maxAscent = Math.max(maxAscent, metrics.fontBoundingBoxAscent || metrics.actualBoundingBoxAscent || size * 0.8);
+      maxDescent = Math.max(maxDescent, metrics.fontBoundingBoxDescent || metrics.actualBoundingBoxDescent || size * 0.2);
+    });
+    const scale = Math.min(
+      this.cellWidth / Math.max(maxWidth, 1),
+      this.cellHeight / Math.max(maxAscent + maxDescent, 1),
+    ) * this.padding;
+    this.fontSize = size * scale;
+    this.ascent = maxAscent * scale;
+    this.descent = maxDescent * scale;
+  }
+
+  /**
+   * 黒い背景に白でグリフをグリッド状に描画する（左上から右へ、行ごとに下へ並べる）
+   */
+  draw() {
+    const ctx = this.ctx;
+    ctx.fillStyle = 'black';
+    ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.fillStyle = 'white';
+    ctx.font = `${this.fontWeight} ${this.fontSize}px ${this.font}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    // すべてのグリフで共通のベースラインを使い、フォントの高さ全体をセルの中央に置く
+    const baseline = (this.cellHeight - (this.ascent + this.descent)) * 0.5 + this.ascent;
+    this.glyphs.forEach((glyph, index) => {
+      const column = index % this.columns;
+      const row = Math.floor(index / this.columns);
+      ctx.fillText(glyph, (column + 0.5) * this.cellWidth, row * this.cellHeight + baseline);
+    });
+  }
+
+  /**
+   * セル内の平均の明るさ（0.0 ~ 1.0）をグリフの被覆率として返す。
+   * @param {number} index - グリフのインデックス
+   * @return {number} 被覆率
+   */
+  measureCoverage(index) {
+    const column = index % this.columns;
+    const row = Math.floor(index / this.columns);
+    const data = this.ctx.getImageData(column * this.cellWidth, row * this.cellHeight, this.cellWidth, this.cellHeight).data;
+    let sum = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      sum += (data[i] + data[i + 1] + data[i + 2]) / 3;
+    }
+    return sum / (data.length / 4) / 255;
+  }
+
+  /**
+   * canvas の内容をテクスチャに転送する。
+   */
+  upload() {
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.canvas);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
+
+  /**
+   * シェーダに送る uniform 変数の値を返す。
+   * @param {string} [prefix='u'] - uniform 変数名の接頭辞
+   * @return {object} グリフ数（GlyphCount）とアトラスの列数・行数（GlyphGrid）
+   */
+  getUniforms(prefix = 'u') {
+    return {
+      [`${prefix}GlyphCount`]: this.glyphs.length,
+      [`${prefix}GlyphGrid`]: [this.columns, this.rows],
+    };
+  }
+
+  /**
+   * テクスチャを削除する。
+   */
+  delete() {
+    this.gl.deleteTexture(this.texture);
+    this.texture = null;
+  }
+}
@@ -14,6 +14,21 @@ export class WebGLMath {
    * @type {Vec3}
    */
   static get Vec3() {return Vec3;}
+  /**
+   * @static
+   * @type {Vec4}
+   */
+  static get Vec4() {return Vec4;}
+  /**
+   * @static
+   * @type {Mat2}
+   */
+  static get Mat2() {return Mat2;}
+  /**
+   * @static
+   * @type {Mat3}
+   */
+  static get Mat3() {return Mat3;}
   /**
    * @static
    * @type {Mat4}
@@ -24,8 +39,76 @@ export class WebGLMath {
    * @type {Qtn}
    */
   static get Qtn() {return Qtn;}
+  /**
+   * @static
+   * @type {ScratchPool}
+   */
+  static get ScratchPool() {return ScratchPool;}
+  /**
+   * 開発用に、ベクトルや行列を新しく生成した回数の計測を開始・終了する
+   * 毎フレーム呼ばれる処理が新しい配列を生成していないか（GC の原因にならないか）を確認するのに使う
+   * @param {boolean} [enabled=true] - 計測するかどうか
+   */
+  static trackAllocations(enabled = true) {
+    allocation.enabled = enabled === true;
+  }
+  /**
+   * trackAllocations で計測を開始してから生成したベクトルや行列の数
+   * @static
+   * @type {number}
+   */
+  static get allocations() {return allocation.count;}
+  /**
+   * 生成した数の計測結果を 0 に戻す
+   */
+  static resetAllocations() {
+    allocation.count = 0;
+  }
+  /**
+   * 関数を実行し、その間に生成したベクトルや行列の数を返す
+   * @param {function} callback - 計測する関数
+   * @return {number} 生成した数
+   */
+  static countAllocations(callback) {
+    const enabled = allocation.enabled;
+    const count = allocation.count;
+    allocation.enabled = true;
+    try {
+      callback();
+      return allocation.count - count;
+    } finally {
+      // 計測していなかった場合は、この関数で数えた分を計測結果に含めない
+      if (enabled !== true) {
+        allocation.count = count;
+      }
+      allocation.enabled = enabled;
+    }
+  }
 }
 
+// equals で許容する誤差の既定値
+const EPSILON = 0.000001;
+
+// 開発用の生成した数の計測（WebGLMath.trackAllocations）
+const allocation = {enabled: false, count: 0};
+
+/**
+ * ベクトルや行列を格納する配列を生成する（計測が有効なら生成した数を数える）
+ * @param {number} length - 要素の数
+ * @return {Float32Array}
+ */
+function allocate(length) {
+  if (allocation.enabled === true) {
+    ++allocation.count;
+  }
+  return new Float32Array(length);
+}
+
+// 関数の内部で一時的に使う値（呼び出しのたびに生成しないよう使い回す）
+const TEMP_VEC3 = [new Float32Array(3), new Float32Array(3), new Float32Array(3)];
+const TEMP_QTN = new Float32Array(4);
+const TEMP_MAT4 = new Float32Array(16);
+
 /**
  * Vec2
  * @class Vec2
@@ -38,7 +121,7 @@ class Vec2 {
    * @return {Float32Array} ベクトル格納用の配列
    */
   static create(x = 0, y = 0) {
-    const out = new Float32Array(2);
+    const out = allocate(2);
     out[0] = x;
     out[1] = y;
     return out;
@@ -52,18 +135,17 @@ class Vec2 {
     return Math.sqrt(v[0] * v[0] + v[1] * v[1]);
   }
   /**
-   * ベクトルを正規化した結果を返す
+   * ベクトルを正規化した結果を返す（dest を指定した場合は参照に注意）
    * @param {Vec2} v - ２つの要素を持つベクトル
+   * @param {Vec2} [dest] - 結果を格納するベクトル
    * @return {Vec2} 正規化したベクトル
    */
-  static normalize(v) {
-    const n = Vec2.create();
+  static normalize(v, dest) {
+    const n = dest == null ? Vec2.create() : dest;
     const l = Vec2.length(v);
-    if (l > 0) {
-      const i = 1 / l;
-      n[0] = v[0] * i;
-      n[1] = v[1] * i;
-    }
+    const i = l > 0 ? 1 / l : 0;
+    n[0] = v[0] * i;
+    n[1] = v[1] * i;
     return n;
   }
   /**
@@ -82,9 +164,121 @@ class Vec2 {
    * @return {number} 外積の結果
    */
   static cross(v0, v1) {
-    const n = Vec2.create();
     return v0[0] * v1[1] - v0[1] * v1[0];
   }
+  /**
+   * ベクトルをコピーする（参照に注意・戻り値としても結果を返す）
+   * @param {Vec2} v - ２つの要素を持つベクトル
+   * @param {Vec2} [dest] - 結果を格納するベクトル
+   * @return {Vec2} 結果のベクトル
+   */
+  static copy(v, dest) {
+    const out = dest == null ? Vec2.create() : dest;
+    out[0] = v[0];
+    out[1] = v[1];
+    return out;
+  }
+  /**
+   * ２つのベクトルを加算する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec2} v0 - ２つの要素を持つベクトル
+   * @param {Vec2} v1 - ２つの要素を持つベクトル
+   * @param {Vec2} [dest] - 結果を格納するベクトル
+   * @return {Vec2} 結果のベクトル
+   */
+  static add(v0, v1, dest) {
+    const out = dest == null ? Vec2.create() : dest;
+    out[0] = v0[0] + v1[0];
+    out[1] = v0[1] + v1[1];
+    return out;
+  }
+  /**
+   * ベクトルからベクトルを減算する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec2} v0 - 減算される２つの要素を持つベクトル
+   * @param {Vec2} v1 - 減算する２つの要素を持つベクトル
+   * @param {Vec2} [dest] - 結果を格納するベクトル
+   * @return {Vec2} 結果のベクトル
+   */
+  static subtract(v0, v1, dest) {
+    const out = dest == null ? Vec2.create() : dest;
+    out[0] = v0[0] - v1[0];
+    out[1] = v0[1] - v1[1];
+    return out;
+  }
+  /**
+   * ベクトルをスカラー倍する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec2} v - ２つの要素を持つベクトル
+   * @param {number} s - 掛ける値
+   * @param {Vec2} [dest] - 結果を格納するベクトル
+   * @return {Vec2} 結果のベクトル
+   */
+  static scale(v, s, dest) {
+    const out = dest == null ? Vec2.create() : dest;
+    out[0] = v[0] * s;
+    out[1] = v[1] * s;
+    return out;
+  }
+  /**
+   * ２つのベクトルを線形補間する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec2} v0 - ２つの要素を持つベクトル
+   * @param {Vec2} v1 - ２つの要素を持つベクトル
+   * @param {number} t - 補間係数（0.0 で v0、1.0 で v1）
+   * @param {Vec2} [dest] - 結果を格納するベクトル
+   * @return {Vec2} 結果のベクトル
+   */
+  static lerp(v0, v1, t, dest) {
+    const out = dest == null ? Vec2.create() : dest;
+    out[0] = v0[0] + (v1[0] - v0[0]) * t;
+    out[1] = v0[1] + (v1[1] - v0[1]) * t;
+    return out;
+  }
+  /**
+   * ベクトルの符号を反転する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec2} v - ２つの要素を持つベクトル
+   * @param {Vec2} [dest] - 結果を格納するベクトル
+   * @return {Vec2} 結果のベクトル
+   */
+  static negate(v, dest) {
+    const out = dest == null ? Vec2.create() : dest;
+    out[0] = -v[0];
+    out[1] = -v[1];
+    return out;
+  }
+  /**
+   * ２つのベクトル（位置）の間の距離を返す
+   * @param {Vec2} v0 - ２つの要素を持つベクトル
+   * @param {Vec2} v1 - ２つの要素を持つベクトル
+   * @return {number} 距離
+   */
+  static distance(v0, v1) {
+    const x = v1[0] - v0[0];
+    const y = v1[1] - v0[1];
+    return Math.sqrt(x * x + y * y);
+  }
+  /**
+   * ２つのベクトルがほぼ等しいかどうかを返す
+   * @param {Vec2} v0 - ２つの要素を持つベクトル
+   * @param {Vec2} v1 - ２つの要素を持つベクトル
+   * @param {number} [epsilon=EPSILON] - 要素ごとに許容する誤差
+   * @return {boolean} 等しいかどうか
+   */
+  static equals(v0, v1, epsilon = EPSILON) {
+    return Math.abs(v0[0] - v1[0]) <= epsilon &&
+           Math.abs(v0[1] - v1[1]) <= epsilon;
+  }
+  /**
+   * ベクトルに 2x2 行列を適用する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec2} v - ２つの要素を持つベクトル
+   * @param {Mat2} mat - 適用する行列
+   * @param {Vec2} [dest] - 結果を格納するベクトル
+   * @return {Vec2} 結果のベクトル
+   */
+  static transformMat2(v, mat, dest) {
+    const out = dest == null ? Vec2.create() : dest;
+    const x = v[0], y = v[1];
+    out[0] = mat[0] * x + mat[2] * y;
+    out[1] = mat[1] * x + mat[3] * y;
+    return out;
+  }
 }
 
 /**
@@ -100,7 +294,7 @@ class Vec3 {
    * @return {Float32Array} ベクトル格納用の配列
    */
   static create(x = 0, y = 0, z = 0) {
-    const out = new Float32Array(3);
+    const out = allocate(3);
     out[0] = x;
     out[1] = y;
     out[2] = z;
@@ -115,19 +309,18 @@ class Vec3 {
     return Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2]);
   }
   /**
-   * ベクトルを正規化した結果を返す
+   * ベクトルを正規化した結果を返す（dest を指定した場合は参照に注意）
    * @param {Vec3} v - ３つの要素を持つベクトル
+   * @param {Vec3} [dest] - 結果を格納するベクトル
    * @return {Vec3} 正規化したベクトル
    */
-  static normalize(v) {
-    const n = Vec3.create();
+  static normalize(v, dest) {
+    const n = dest == null ? Vec3.create() : dest;
     const l = Vec3.length(v);
-    if (l > 0) {
-      const i = 1 / l;
-      n[0] = v[0] * i;
-      n[1] = v[1] * i;
-      n[2] = v[2] * i;
-    }
+    const i = l > 0 ? 1 / l : 0;
+    n[0] = v[0] * i;
+    n[1] = v[1] * i;
+    n[2] = v[2] * i;
     return n;
   }
   /**
@@ -143,31 +336,627 @@ class Vec3 {
    * ２つのベクトルの外積の結果を返す
    * @param {Vec3} v0 - ３つの要素を持つベクトル
    * @param {Vec3} v1 - ３つの要素を持つベクトル
+   * @param {Vec3} [dest] - 結果を格納するベクトル
    * @return {Vec3} 外積の結果
    */
-  static cross(v0, v1) {
-    return Vec3.create(
-      v0[1] * v1[2] - v0[2] * v1[1],
-      v0[2] * v1[0] - v0[0] * v1[2],
-      v0[0] * v1[1] - v0[1] * v1[0],
-    );
+  static cross(v0, v1, dest) {
+    const out = dest == null ? Vec3.create() : dest;
+    const x = v0[1] * v1[2] - v0[2] * v1[1],
+          y = v0[2] * v1[0] - v0[0] * v1[2],
+          z = v0[0] * v1[1] - v0[1] * v1[0];
+    out[0] = x;
+    out[1] = y;
+    out[2] = z;
+    return out;
   }
   /**
    * ３つのベクトルから面法線を求めて返す
    * @param {Vec3} v0 - ３つの要素を持つベクトル
    * @param {Vec3} v1 - ３つの要素を持つベクトル
    * @param {Vec3} v2 - ３つの要素を持つベクトル
+   * @param {Vec3} [dest] - 結果を格納するベクトル
    * @return {Vec3} 面法線ベクトル
    */
-  static faceNormal(v0, v1, v2) {
-    const vec0 = Vec3.create(v1[0] - v0[0], v1[1] - v0[1], v1[2] - v0[2]);
-    const vec1 = Vec3.create(v2[0] - v0[0], v2[1] - v0[1], v2[2] - v0[2]);
-    const n = Vec3.create(
-      vec0[1] * vec1[2] - vec0[2] * vec1[1],
-      vec0[2] * vec1[0] - vec0[0] * vec1[2],
-      vec0[0] * vec1[1] - vec0[1] * vec1[0],
-    );
-    return Vec3.normalize(n);
+  static faceNormal(v0, v1, v2, dest) {
+    const out = dest == null ? Vec3.create() : dest;
+    const ax = v1[0] - v0[0], ay = v1[1] - v0[1], az = v1[2] - v0[2];
+    const bx = v2[0] - v0[0], by = v2[1] - v0[1], bz = v2[2] - v0[2];
+    out[0] = ay * bz - az * by;
+    out[1] = az * bx - ax * bz;
+    out[2] = ax * by - ay * bx;
+    return Vec3.normalize(out, out);
+  }
+  /**
+   * ベクトルをコピーする（参照に注意・戻り値としても結果を返す）
+   * @param {Vec3} v - ３つの要素を持つベクトル
+   * @param {Vec3} [dest] - 結果を格納するベクトル
+   * @return {Vec3} 結果のベクトル
+   */
+  static copy(v, dest) {
+    const out = dest == null ? Vec3.create() : dest;
+    out[0] = v[0];
+    out[1] = v[1];
+    out[2] = v[2];
+    return out;
+  }
+  /**
+   * ２つのベクトルを加算する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec3} v0 - ３つの要素を持つベクトル
+   * @param {Vec3} v1 - ３つの要素を持つベクトル
+   * @param {Vec3} [dest] - 結果を格納するベクトル
+   * @return {Vec3} 結果のベクトル
+   */
+  static add(v0, v1, dest) {
+    const out = dest == null ? Vec3.create() : dest;
+    out[0] = v0[0] + v1[0];
+    out[1] = v0[1] + v1[1];
+    out[2] = v0[2] + v1[2];
+    return out;
+  }
+  /**
+   * ベクトルからベクトルを減算する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec3} v0 - 減算される３つの要素を持つベクトル
+   * @param {Vec3} v1 - 減算する３つの要素を持つベクトル
+   * @param {Vec3} [dest] - 結果を格納するベクトル
+   * @return {Vec3} 結果のベクトル
+   */
+  static subtract(v0, v1, dest) {
+    const out = dest == null ? Vec3.create() : dest;
+    out[0] = v0[0] - v1[0];
+    out[1] = v0[1] - v1[1];
+    out[2] = v0[2] - v1[2];
+    return out;
+  }
+  /**
+   * ベクトルをスカラー倍する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec3} v - ３つの要素を持つベクトル
+   * @param {number} s - 掛ける値
+   * @param {Vec3} [dest] - 結果を格納するベクトル
+   * @return {Vec3} 結果のベクトル
+   */
+  static scale(v, s, dest) {
+    const out = dest == null ? Vec3.create() : dest;
+    out[0] = v[0] * s;
+    out[1] = v[1] * s;
+    out[2] = v[2] * s;
+    return out;
+  }
+  /**
+   * ２つのベクトルを線形補間する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec3} v0 - ３つの要素を持つベクトル
+   * @param {Vec3} v1 - ３つの要素を持つベクトル
+   * @param {number} t - 補間係数（0.0 で v0、1.0 で v1）
+   * @param {Vec3} [dest] - 結果を格納するベクトル
+   * @return {Vec3} 結果のベクトル
+   */
+  static lerp(v0, v1, t, dest) {
+    const out = dest == null ? Vec3.create() : dest;
+    out[0] = v0[0] + (v1[0] - v0[0]) * t;
+    out[1] = v0[1] + (v1[1] - v0[1]) * t;
+    out[2] = v0[2] + (v1[2] - v0[2]) * t;
+    return out;
+  }
+  /**
+   * ベクトルの符号を反転する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec3} v - ３つの要素を持つベクトル
+   * @param {Vec3} [dest] - 結果を格納するベクトル
+   * @return {Vec3} 結果のベクトル
+   */
+  static negate(v, dest) {
+    const out = dest == null ? Vec3.create() : dest;
+    out[0] = -v[0];
+    out[1] = -v[1];
+    out[2] = -v[2];
+    return out;
+  }
+  /**
+   * ２つのベクトル（位置）の間の距離を返す
+   * @param {Vec3} v0 - ３つの要素を持つベクトル
+   * @param {Vec3} v1 - ３つの要素を持つベクトル
+   * @return {number} 距離
+   */
+  static distance(v0, v1) {
+    const x = v1[0] - v0[0];
+    const y = v1[1] - v0[1];
+    const z = v1[2] - v0[2];
+    return Math.sqrt(x * x + y * y + z * z);
+  }
+  /**
+   * ２つのベクトルがほぼ等しいかどうかを返す
+   * @param {Vec3} v0 - ３つの要素を持つベクトル
+   * @param {Vec3} v1 - ３つの要素を持つベクトル
+   * @param {number} [epsilon=EPSILON] - 要素ごとに許容する誤差
+   * @return {boolean} 等しいかどうか
+   */
+  static equals(v0, v1, epsilon = EPSILON) {
+    return Math.abs(v0[0] - v1[0]) <= epsilon &&
+           Math.abs(v0[1] - v1[1]) <= epsilon &&
+           Math.abs(v0[2] - v1[2]) <= epsilon;
+  }
+  /**
+   * ベクトルに 3x3 行列を適用する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec3} v - ３つの要素を持つベクトル
+   * @param {Mat3} mat - 適用する行列
+   * @param {Vec3} [dest] - 結果を格納するベクトル
+   * @return {Vec3} 結果のベクトル
+   */
+  static transformMat3(v, mat, dest) {
+    const out = dest == null ? Vec3.create() : dest;
+    const x = v[0], y = v[1], z = v[2];
+    out[0] = mat[0] * x + mat[3] * y + mat[6] * z;
+    out[1] = mat[1] * x + mat[4] * y + mat[7] * z;
+    out[2] = mat[2] * x + mat[5] * y + mat[8] * z;
+    return out;
+  }
+  /**
+   * 位置ベクトル（w = 1）に 4x4 行列を適用する（参照に注意・戻り値としても結果を返す）
+   * 結果の w が 1 以外になる場合（透視投影など）は w で除算する
+   * @param {Vec3} v - ３つの要素を持つベクトル
+   * @param {Mat4} mat - 適用する行列
+   * @param {Vec3} [dest] - 結果を格納するベクトル
+   * @return {Vec3} 結果のベクトル
+   */
+  static transformMat4(v, mat, dest) {
+    const out = dest == null ? Vec3.create() : dest;
+    const x = v[0], y = v[1], z = v[2];
+    const w = mat[3] * x + mat[7] * y + mat[11] * z + mat[15] || 1.0;
+    out[0] = (mat[0] * x + mat[4] * y + mat[8]  * z + mat[12]) / w;
+    out[1] = (mat[1] * x + mat[5] * y + mat[9]  * z + mat[13]) / w;
+    out[2] = (mat[2] * x + mat[6] * y + mat[10] * z + mat[14]) / w;
+    return out;
+  }
+}
+
+/**
+ * Vec4
+ * @class Vec4
+ */
+class Vec4 {
+  /**
+   * ４つの要素を持つベクトルを生成する
+   * @param {number} [x=0] - X 要素の値
+   * @param {number} [y=0] - Y 要素の値
+   * @param {number} [z=0] - Z 要素の値
+   * @param {number} [w=0] - W 要素の値
+   * @return {Float32Array} ベクトル格納用の配列
+   */
+  static create(x = 0, y = 0, z = 0, w = 0) {
+    const out = allocate(4);
+    out[0] = x;
+    out[1] = y;
+    out[2] = z;
+    out[3] = w;
+    return out;
+  }
+  /**
+   * ベクトルの長さ（大きさ）を返す
+   * @param {Vec4} v - ４つの要素を持つベクトル
+   * @return {number} ベクトルの長さ（大きさ）
+   */
+  static length(v) {
+    return Math.sqrt(v[0] * v[0] + v[1] * v[1] + v[2] * v[2] + v[3] * v[3]);
+  }
+  /**
+   * ベクトルを正規化した結果を返す（dest を指定した場合は参照に注意）
+   * @param {Vec4} v - ４つの要素を持つベクトル
+   * @param {Vec4} [dest] - 結果を格納するベクトル
+   * @return {Vec4} 正規化したベクトル
+   */
+  static normalize(v, dest) {
+    const n = dest == null ? Vec4.create() : dest;
+    const l = Vec4.length(v);
+    const i = l > 0 ? 1 / l : 0;
+    n[0] = v[0] * i;
+    n[1] = v[1] * i;
+    n[2] = v[2] * i;
+    n[3] = v[3] * i;
+    return n;
+  }
+  /**
+   * ２つのベクトルの内積の結果を返す
+   * @param {Vec4} v0 - ４つの要素を持つベクトル
+   * @param {Vec4} v1 - ４つの要素を持つベクトル
+   * @return {number} 内積の結果
+   */
+  static dot(v0, v1) {
+    return v0[0] * v1[0] + v0[1] * v1[1] + v0[2] * v1[2] + v0[3] * v1[3];
+  }
+  /**
+   * ベクトルをコピーする（参照に注意・戻り値としても結果を返す）
+   * @param {Vec4} v - ４つの要素を持つベクトル
+   * @param {Vec4} [dest] - 結果を格納するベクトル
+   * @return {Vec4} 結果のベクトル
+   */
+  static copy(v, dest) {
+    const out = dest == null ? Vec4.create() : dest;
+    out[0] = v[0];
+    out[1] = v[1];
+    out[2] = v[2];
+    out[3] = v[3];
+    return out;
+  }
+  /**
+   * ２つのベクトルを加算する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec4} v0 - ４つの要素を持つベクトル
+   * @param {Vec4} v1 - ４つの要素を持つベクトル
+   * @param {Vec4} [dest] - 結果を格納するベクトル
+   * @return {Vec4} 結果のベクトル
+   */
+  static add(v0, v1, dest) {
+    const out = dest == null ? Vec4.create() : dest;
+    out[0] = v0[0] + v1[0];
+    out[1] = v0[1] + v1[1];
+    out[2] = v0[2] + v1[2];
+    out[3] = v0[3] + v1[3];
+    return out;
+  }
+  /**
+   * ベクトルからベクトルを減算する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec4} v0 - 減算される４つの要素を持つベクトル
+   * @param {Vec4} v1 - 減算する４つの要素を持つベクトル
+   * @param {Vec4} [dest] - 結果を格納するベクトル
+   * @return {Vec4} 結果のベクトル
+   */
+  static subtract(v0, v1, dest) {
+    const out = dest == null ? Vec4.create() : dest;
+    out[0] = v0[0] - v1[0];
+    out[1] = v0[1] - v1[1];
+    out[2] = v0[2] - v1[2];
+    out[3] = v0[3] - v1[3];
+    return out;
+  }
+  /**
+   * ベクトルをスカラー倍する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec4} v - ４つの要素を持つベクトル
+   * @param {number} s - 掛ける値
+   * @param {Vec4} [dest] - 結果を格納するベクトル
+   * @return {Vec4} 結果のベクトル
+   */
+  static scale(v, s, dest) {
+    const out = dest == null ? Vec4.create() : dest;
+    out[0] = v[0] * s;
+    out[1] = v[1] * s;
+    out[2] = v[2] * s;
+    out[3] = v[3] * s;
+    return out;
+  }
+  /**
+   * ２つのベクトルを線形補間する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec4} v0 - ４つの要素を持つベクトル
+   * @param {Vec4} v1 - ４つの要素を持つベクトル
+   * @param {number} t - 補間係数（0.0 で v0、1.0 で v1）
+   * @param {Vec4} [dest] - 結果を格納するベクトル
+   * @return {Vec4} 結果のベクトル
+   */
+  static lerp(v0, v1, t, dest) {
+    const out = dest == null ? Vec4.create() : dest;
+    out[0] = v0[0] + (v1[0] - v0[0]) * t;
+    out[1] = v0[1] + (v1[1] - v0[1]) * t;
+    out[2] = v0[2] + (v1[2] - v0[2]) * t;
+    out[3] = v0[3] + (v1[3] - v0[3]) * t;
+    return out;
+  }
+  /**
+   * ベクトルの符号を反転する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec4} v - ４つの要素を持つベクトル
+   * @param {Vec4} [dest] - 結果を格納するベクトル
+   * @return {Vec4} 結果のベクトル
+   */
+  static negate(v, dest) {
+    const out = dest == null ? Vec4.create() : dest;
+    out[0] = -v[0];
+    out[1] = -v[1];
+    out[2] = -v[2];
+    out[3] = -v[3];
+    return out;
+  }
+  /**
+   * ２つのベクトル（位置）の間の距離を返す
+   * @param {Vec4} v0 - ４つの要素を持つベクトル
+   * @param {Vec4} v1 - ４つの要素を持つベクトル
+   * @return {number} 距離
+   */
+  static distance(v0, v1) {
+    const x = v1[0] - v0[0];
+    const y = v1[1] - v0[1];
+    const z = v1[2] - v0[2];
+    const w = v1[3] - v0[3];
+    return Math.sqrt(x * x + y * y + z * z + w * w);
+  }
+  /**
+   * ２つのベクトルがほぼ等しいかどうかを返す
+   * @param {Vec4} v0 - ４つの要素を持つベクトル
+   * @param {Vec4} v1 - ４つの要素を持つベクトル
+   * @param {number} [epsilon=EPSILON] - 要素ごとに許容する誤差
+   * @return {boolean} 等しいかどうか
+   */
+  static equals(v0, v1, epsilon = EPSILON) {
+    return Math.abs(v0[0] - v1[0]) <= epsilon &&
+           Math.abs(v0[1] - v1[1]) <= epsilon &&
+           Math.abs(v0[2] - v1[2]) <= epsilon &&
+           Math.abs(v0[3] - v1[3]) <= epsilon;
+  }
+  /**
+   * ベクトルに 4x4 行列を適用する（参照に注意・戻り値としても結果を返す）
+   * @param {Vec4} v - ４つの要素を持つベクトル
+   * @param {Mat4} mat - 適用する行列
+   * @param {Vec4} [dest] - 結果を格納するベクトル
+   * @return {Vec4} 結果のベクトル
+   */
+  static transformMat4(v, mat, dest) {
+    const out = dest == null ? Vec4.create() : dest;
+    const x = v[0], y = v[1], z = v[2], w = v[3];
+    out[0] = mat[0] * x + mat[4] * y + mat[8]  * z + mat[12] * w;
+    out[1] = mat[1] * x + mat[5] * y + mat[9]  * z + mat[13] * w;
+    out[2] = mat[2] * x + mat[6] * y + mat[10] * z + mat[14] * w;
+    out[3] = mat[3] * x + mat[7] * y + mat[11] * z + mat[15] * w;
+    return out;
+  }
+}
+
+/**
+ * Mat2
+ * @class Mat2
+ */
+class Mat2 {
+  /**
+   * 2x2 の正方行列を生成する（要素は列優先で並ぶ）
+   * @return {Float32Array} 行列格納用の配列
+   */
+  static create() {
+    return allocate(4);
+  }
+  /**
+   * 行列を単位化する（参照に注意）
+   * @param {Mat2} dest - 単位化する行列
+   * @return {Mat2} 単位化した行列
+   */
+  static identity(dest) {
+    const out = dest == null ? Mat2.create() : dest;
+    out[0] = 1; out[1] = 0;
+    out[2] = 0; out[3] = 1;
+    return out;
+  }
+  /**
+   * 行列をコピーする（参照に注意・戻り値としても結果を返す）
+   * @param {Mat2} mat - コピー元の行列
+   * @param {Mat2} [dest] - 結果を格納する行列
+   * @return {Mat2} 結果の行列
+   */
+  static copy(mat, dest) {
+    const out = dest == null ? Mat2.create() : dest;
+    out[0] = mat[0]; out[1] = mat[1];
+    out[2] = mat[2]; out[3] = mat[3];
+    return out;
+  }
+  /**
+   * 行列を乗算する（参照に注意・戻り値としても結果を返す）
+   * @param {Mat2} mat0 - 乗算される行列
+   * @param {Mat2} mat1 - 乗算する行列
+   * @param {Mat2} [dest] - 乗算結果を格納する行列
+   * @return {Mat2} 乗算結果の行列
+   */
+  static multiply(mat0, mat1, dest) {
+    const out = dest == null ? Mat2.create() : dest;
+    const a = mat0[0], b = mat0[1], c = mat0[2], d = mat0[3],
+          A = mat1[0], B = mat1[1], C = mat1[2], D = mat1[3];
+    out[0] = a * A + c * B;
+    out[1] = b * A + d * B;
+    out[2] = a * C + c * D;
+    out[3] = b * C + d * D;
+    return out;
+  }
+  /**
+   * 転置行列を生成する（参照に注意・戻り値としても結果を返す）
+   * @param {Mat2} mat - 適用する行列
+   * @param {Mat2} [dest] - 結果を格納する行列
+   * @return {Mat2} 結果の行列
+   */
+  static transpose(mat, dest) {
+    const out = dest == null ? Mat2.create() : dest;
+    const b = mat[1];
+    out[0] = mat[0];
+    out[1] = mat[2];
+    out[2] = b;
+    out[3] = mat[3];
+    return out;
+  }
+  /**
+   * 行列式を返す
+   * @param {Mat2} mat - 行列
+   * @return {number} 行列式
+   */
+  static determinant(mat) {
+    return mat[0] * mat[3] - mat[2] * mat[1];
+  }
+  /**
+   * 逆行列を生成する（参照に注意・戻り値としても結果を返す）
+   * @param {Mat2} mat - 適用する行列
+   * @param {Mat2} [dest] - 結果を格納する行列
+   * @return {Mat2} 結果の行列
+   */
+  static inverse(mat, dest) {
+    const out = dest == null ? Mat2.create() : dest;
+    const a = mat[0], b = mat[1], c = mat[2], d = mat[3];
+    const ivd = 1 / (a * d - b * c);
+    out[0] =  d * ivd;
+    out[1] = -b * ivd;
+    out[2] = -c * ivd;
+    out[3] =  a * ivd;
+    return out;
+  }
+  /**
+   * 行列に回転を適用する（参照に注意・戻り値としても結果を返す）
+   * @param {Mat2} mat - 適用を受ける行列
+   * @param {number} angle - 回転量を表す値（ラジアン）
+   * @param {Mat2} [dest] - 結果を格納する行列
+   * @return {Mat2} 結果の行列
+   */
+  static rotate(mat, angle, dest) {
+    const out = dest == null ? Mat2.create() : dest;
+    const a = mat[0], b = mat[1], c = mat[2], d = mat[3];
+    const s = Math.sin(angle), e = Math.cos(angle);
+    out[0] = a *  e + c * s;
+    out[1] = b *  e + d * s;
+    out[2] = a * -s + c * e;
+    out[3] = b * -s + d * e;
+    return out;
+  }
+  /**
+   * 行列に拡大縮小を適用する（参照に注意・戻り値としても結果を返す）
+   * @param {Mat2} mat - 適用を受ける行列
+   * @param {Vec2} vec - XY の各軸に対して拡縮を適用する値
+   * @param {Mat2} [dest] - 結果を格納する行列
+   * @return {Mat2} 結果の行列
+   */
+  static scale(mat, vec, dest) {
+    const out = dest == null ? Mat2.create() : dest;
+    out[0] = mat[0] * vec[0];
+    out[1] = mat[1] * vec[0];
+    out[2] = mat[2] * vec[1];
+    out[3] = mat[3] * vec[1];
+    return out;
+  }
+}
+
+/**
+ * Mat3
+ * @class Mat3
+ */
+class Mat3 {
+  /**
+   * 3x3 の正方行列を生成する（要素は列優先で並ぶ）
+   * @return {Float32Array} 行列格納用の配列
+   */
+  static create() {
+    return allocate(9);
+  }
+  /**
+   * 行列を単位化する（参照に注意）
+   * @param {Mat3} dest - 単位化する行列
+   * @return {Mat3} 単位化した行列
+   */
+  static identity(dest) {
+    const out = dest == null ? Mat3.create() : dest;
+    out[0] = 1; out[1] = 0; out[2] = 0;
+    out[3] = 0; out[4] = 1; out[5] = 0;
+    out[6] = 0; out[7] = 0; out[8] = 1;
+    return out;
+  }
+  /**
+   * 行列をコピーする（参照に注意・戻り値としても結果を返す）
+   * @param {Mat3} mat - コピー元の行列
+   * @param {Mat3} [dest] - 結果を格納する行列
+   * @return {Mat3} 結果の行列
+   */
+  static copy(mat, dest) {
+    const out = dest == null ? Mat3.create() : dest;
+    for (let i = 0; i < 9; ++i) {
+      out[i] = mat[i];
+    }
+    return out;
+  }
+  /**
+   * 4x4 行列の左上の 3x3 の部分（回転と拡大縮小）を取り出す（参照に注意・戻り値としても結果を返す）
+   * @param {Mat4} mat - 4x4 行列
+   * @param {Mat3} [dest] - 結果を格納する行列
+   * @return {Mat3} 結果の行列
+   */
+  static fromMat4(mat, dest) {
+    const out = dest == null ? Mat3.create() : dest;
+    out[0] = mat[0]; out[1] = mat[1]; out[2] = mat[2];
+    out[3] = mat[4]; out[4] = mat[5]; out[5] = mat[6];
+    out[6] = mat[8]; out[7] = mat[9]; out[8] = mat[10];
+    return out;
+  }
+  /**
+   * 行列を乗算する（参照に注意・戻り値としても結果を返す）
+   * @param {Mat3} mat0 - 乗算される行列
+   * @param {Mat3} mat1 - 乗算する行列
+   * @param {Mat3} [dest] - 乗算結果を格納する行列
+   * @return {Mat3} 乗算結果の行列
+   */
+  static multiply(mat0, mat1, dest) {
+    const out = dest == null ? Mat3.create() : dest;
+    const a = mat0[0], b = mat0[1], c = mat0[2],
+          d = mat0[3], e = mat0[4], f = mat0[5],
+          g = mat0[6], h = mat0[7], i = mat0[8],
+          A = mat1[0], B = mat1[1], C = mat1[2],
+          D = mat1[3], E = mat1[4], F = mat1[5],
+          G = mat1[6], H = mat1[7], I = mat1[8];
+    out[0] = A * a + B * d + C * g;
+    out[1] = A * b + B * e + C * h;
+    out[2] = A * c + B * f + C * i;
+    out[3] = D * a + E * d + F * g;
+    out[4] = D * b + E * e + F * h;
+    out[5] = D * c + E * f + F * i;
+    out[6] = G * a + H * d + I * g;
+    out[7] = G * b + H * e + I * h;
+    out[8] = G * c + H * f + I * i;
+    return out;
+  }
+  /**
+   * 転置行列を生成する（参照に注意・戻り値としても結果を返す）
+   * @param {Mat3} mat - 適用する行列
+   * @param {Mat3} [dest] - 結果を格納する行列
+   * @return {Mat3} 結果の行列
+   */
+  static transpose(mat, dest) {
+    const out = dest == null ? Mat3.create() : dest;
+    const b = mat[1], c = mat[2], f = mat[5];
+    out[0] = mat[0]; out[1] = mat[3]; out[2] = mat[6];
+    out[3] = b;      out[4] = mat[4]; out[5] = mat[7];
+    out[6] = c;      out[7] = f;      out[8] = mat[8];
+    return out;
+  }
+  /**
+   * 行列式を返す
+   * @param {Mat3} mat - 行列
+   * @return {number} 行列式
+   */
+  static determinant(mat) {
+    const a = mat[0], b = mat[1], c = mat[2],
+          d = mat[3], e = mat[4], f = mat[5],
+          g = mat[6], h = mat[7], i = mat[8];
+    return a * (i * e - f * h) + b * (f * g - i * d) + c * (h * d - e * g);
+  }
+  /**
+   * 逆行列を生成する（参照に注意・戻り値としても結果を返す）
+   * @param {Mat3} mat - 適用する行列
+   * @param {Mat3} [dest] - 結果を格納する行列
+   * @return {Mat3} 結果の行列
+   */
+  static inverse(mat, dest) {
+    const out = dest == null ? Mat3.create() : dest;
+    const a = mat[0], b = mat[1], c = mat[2],
+          d = mat[3], e = mat[4], f = mat[5],
+          g = mat[6], h = mat[7], i = mat[8],
+          x = i * e - f * h,
+          y = f * g - i * d,
+          z = h * d - e * g,
+          ivd = 1 / (a * x + b * y + c * z);
+    out[0] = x * ivd;
+    out[1] = (c * h - i * b) * ivd;
+    out[2] = (f * b - c * e) * ivd;
+    out[3] = y * ivd;
+    out[4] = (i * a - c * g) * ivd;
+    out[5] = (c * d - f * a) * ivd;
+    out[6] = z * ivd;
+    out[7] = (b * g - h * a) * ivd;
+    out[8] = (e * a - b * d) * ivd;
+    return out;
+  }
+  /**
+   * 4x4 のモデル行列から法線の変換に使う行列（左上 3x3 の逆行列の転置）を生成する（参照に注意・戻り値としても結果を返す）
+   * 拡大縮小が軸ごとに異なる場合も、法線が面に垂直なまま変換される
+   * @param {Mat4} mat - モデル行列（またはモデルビュー行列）
+   * @param {Mat3} [dest] - 結果を格納する行列
+   * @return {Mat3} 結果の行列
+   */
+  static normalFromMat4(mat, dest) {
+    const out = Mat3.fromMat4(mat, dest);
+    Mat3.inverse(out, out);
+    return Mat3.transpose(out, out);
   }
 }
 
@@ -181,7 +970,7 @@ class Mat4 {
    * @return {Float32Array} 行列格納用の配列
    */
   static create() {
-    return new Float32Array(16);
+    return allocate(16);
   }
   /**
    * 行列を単位化する（参照に注意）
@@ -506,19 +1295,113 @@ class Mat4 {
     out[15] = ( i * t - j * r + k * q) * ivd;
     return out;
   }
+  /**
+   * 平行移動・回転・拡大縮小から行列を生成して返す（参照に注意・戻り値としても結果を返す）
+   * 結果は translate(t) × toMatIV(q) × scale(s) の順に乗算した行列と同じになる。
+   * @param {Vec3} translation - 平行移動量
+   * @param {Qtn} rotation - 回転を表すクォータニオン
+   * @param {Vec3} scale - 各軸の拡大縮小率
+   * @param {Mat4} [dest] - 結果を格納する行列
+   * @return {Mat4} 結果の行列
+   */
+  static fromTRS(translation, rotation, scale, dest) {
+    const out = Qtn.toMatIV(rotation, dest);
+    const sx = scale[0], sy = scale[1], sz = scale[2];
+    out[0]  *= sx; out[1]  *= sx; out[2]  *= sx;
+    out[4]  *= sy; out[5]  *= sy; out[6]  *= sy;
+    out[8]  *= sz; out[9]  *= sz; out[10] *= sz;
+    out[12] = translation[0];
+    out[13] = translation[1];
+    out[14] = translation[2];
+    return out;
+  }
+  /**
+   * 行列を平行移動・回転・拡大縮小に分解して返す（fromTRS の逆変換・参照に注意）
+   * 行列式が負（鏡像を含む）の場合は X 軸の拡大縮小率を負の値にする。
+   * 拡大縮小率が 0 の軸は向きが失われているので、回転は残りの軸と直交する向きで補って求める（すべて 0 の場合は回転なし）。
+   * 分解した値は平行移動と拡大縮小を Vec3.lerp、回転を Qtn.slerp で補間できる。
+   * @param {Mat4} mat - 分解する行列（射影やせん断を含まないもの）
+   * @param {Vec3} [translation] - 平行移動量を格納するベクトル
+   * @param {Qtn} [rotation] - 回転を格納するクォータニオン
+   * @param {Vec3} [scale] - 拡大縮小率を格納するベクトル
+   * @return {object} 平行移動（translation）、回転（rotation）、拡大縮小（scale）
+   */
+  static decompose(mat, translation, rotation, scale) {
+    const t = translation == null ? Vec3.create() : translation;
+    const q = rotation == null ? Qtn.create() : rotation;
+    const s = scale == null ? Vec3.create() : scale;
+    const a = mat[0], b = mat[1], c = mat[2],
+          e = mat[4], f = mat[5], g = mat[6],
+          i = mat[8], j = mat[9], k = mat[10];
+    let sx = Math.sqrt(a * a + b * b + c * c);
+    const sy = Math.sqrt(e * e + f * f + g * g);
+    const sz = Math.sqrt(i * i + j * j + k * k);
+    // 左上 3x3 の行列式が負なら、いずれかの軸が反転している
+    const det = a * (f * k - g * j) - b * (e * k - g * i) + c * (e * j - f * i);
+    if (det < 0) {
+      sx = -sx;
+    }
+    t[0] = mat[12];
+    t[1] = mat[13];
+    t[2] = mat[14];
+    s[0] = sx;
+    s[1] = sy;
+    s[2] = sz;
+    // 拡大縮小を取り除いた各軸の向き
+    const axes = TEMP_VEC3;
+    const ix = sx !== 0 ? 1 / sx : 0;
+    const iy = sy !== 0 ? 1 / sy : 0;
+    const iz = sz !== 0 ? 1 / sz : 0;
+    axes[0][0] = a * ix; axes[0][1] = b * ix; axes[0][2] = c * ix;
+    axes[1][0] = e * iy; axes[1][1] = f * iy; axes[1][2] = g * iy;
+    axes[2][0] = i * iz; axes[2][1] = j * iz; axes[2][2] = k * iz;
+    // 拡大縮小率が 0 の軸を補う（X = Y × Z, Y = Z × X, Z = X × Y の関係を使う）
+    let missing = 0;
+    for (let n = 0; n < 3; ++n) {
+      if (s[n] === 0) {++missing;}
+    }
+    if (missing === 3) {
+      for (let n = 0; n < 3; ++n) {
+        axes[n][0] = axes[n][1] = axes[n][2] = 0;
+        axes[n][n] = 1;
+      }
+    } else if (missing === 2) {
+      // 残った軸に垂直な向きを 1 つ選び、最後の軸は外積で求める
+      const n = s[0] !== 0 ? 0 : (s[1] !== 0 ? 1 : 2);
+      const u = axes[n], v = axes[(n + 1) % 3];
+      if (Math.abs(u[0]) > Math.abs(u[2])) {
+        v[0] = -u[1]; v[1] = u[0]; v[2] = 0;
+      } else {
+        v[0] = 0; v[1] = -u[2]; v[2] = u[1];
+      }
+      Vec3.normalize(v, v);
+      Vec3.cross(u, v, axes[(n + 2) % 3]);
+    } else if (missing === 1) {
+      const n = s[0] === 0 ? 0 : (s[1] === 0 ? 1 : 2);
+      Vec3.cross(axes[(n + 1) % 3], axes[(n + 2) % 3], axes[n]);
+    }
+    // 回転行列からクォータニオンを求める
+    const r = Mat4.identity(TEMP_MAT4);
+    r[0] = axes[0][0]; r[1] = axes[0][1]; r[2]  = axes[0][2];
+    r[4] = axes[1][0]; r[5] = axes[1][1]; r[6]  = axes[1][2];
+    r[8] = axes[2][0]; r[9] = axes[2][1]; r[10] = axes[2][2];
+    Qtn.fromMat4(r, q);
+    return {translation: t, rotation: q, scale: s};
+  }
   /**
    * 行列にベクトルを乗算する（ベクトルに行列を適用する）
    * @param {Mat4} mat - 適用する行列
    * @param {Array.<number>} vec - 乗算するベクトル（4 つの要素を持つ配列）
+   * @param {Vec4} [dest] - 結果を格納するベクトル
    * @return {Float32Array} 結果のベクトル
    */
-  static toVecIV(mat, vec) {
+  static toVecIV(mat, vec, dest) {
     const a = mat[0],  b = mat[1],  c = mat[2],  d = mat[3],
           e = mat[4],  f = mat[5],  g = mat[6],  h = mat[7],
           i = mat[8],  j = mat[9],  k = mat[10], l = mat[11],
           m = mat[12], n = mat[13], o = mat[14], p = mat[15],
           x = vec[0], y = vec[1], z = vec[2], w = vec[3];
-    const out = new Float32Array(4);
+    const out = dest == null ? Vec4.create() : dest;
     out[0] = x * a + y * e + z * i + w * m;
     out[1] = x * b + y * f + z * j + w * n;
     out[2] = x * c + y * g + z * k + w * o;
@@ -531,21 +1414,24 @@ class Mat4 {
    * @param {Vec3} vec - MVP 行列と乗算するベクトル
    * @param {number} width - ビューポートの幅
    * @param {number} height - ビューポートの高さ
-   * @return {Vec2} 結果のベクトル
+   * @param {Vec2} [dest] - 結果を格納するベクトル
+   * @return {Vec2} 結果のベクトル（カメラの後ろにある場合は NaN）
    */
-  static screenPositionFromMvp(mat, vec, width, height) {
+  static screenPositionFromMvp(mat, vec, width, height, dest) {
+    const out = dest == null ? Vec2.create() : dest;
     const halfWidth = width * 0.5;
     const halfHeight = height * 0.5;
-    const v = Mat4.toVecIV(mat, [vec[0], vec[1], vec[2], 1.0]);
-    if (v[3] <= 0.0) {
-      return [NaN, NaN];
+    const x = vec[0], y = vec[1], z = vec[2];
+    const w = mat[3] * x + mat[7] * y + mat[11] * z + mat[15];
+    if (w <= 0.0) {
+      out[0] = NaN;
+      out[1] = NaN;
+      return out;
     }
-    v[0] /= v[3];
-    v[1] /= v[3];
-    v[2] /= v[3];
-    const out = Vec2.create();
-    out[0] = halfWidth + v[0] * halfWidth,
-    out[1] = halfHeight - v[1] * halfHeight
+    const cx = (mat[0] * x + mat[4] * y + mat[8] * z + mat[12]) / w;
+    const cy = (mat[1] * x + mat[5] * y + mat[9] * z + mat[13]) / w;
+    out[0] = halfWidth + cx * halfWidth;
+    out[1] = halfHeight - cy * halfHeight;
     return out;
   }
 }
@@ -555,12 +1441,14 @@ class Mat4 {
  * @class Qtn
  */
 class Qtn {
+  /** @type {Array.<string>} */
+  static EULER_ORDERS = ['XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX'];
   /**
    * 4 つの要素からなるクォータニオンのデータ構造を生成する（虚部 x, y, z, 実部 w の順序で定義）
    * @return {Float32Array} クォータニオンデータ格納用の配列
    */
   static create() {
-    return new Float32Array(4);
+    return allocate(4);
   }
   /**
    * クォータニオンを初期化する（参照に注意）
@@ -590,20 +1478,20 @@ class Qtn {
     return out;
   }
   /**
-   * 虚部を正規化した結果を返す
+   * 虚部を正規化した結果を返す（実部は 0 になる・参照に注意・戻り値としても結果を返す）
    * @param {Qtn} qtn - 元となるクォータニオン
+   * @param {Qtn} [dest] - 結果を格納するクォータニオン
    * @return {Qtn} 結果のクォータニオン
    */
-  static normalize(qtn) {
-    const out = Qtn.create();
+  static normalize(qtn, dest) {
+    const out = dest == null ? Qtn.create() : dest;
     const x = qtn[0], y = qtn[1], z = qtn[2];
     const l = Math.sqrt(x * x + y * y + z * z);
-    if (l > 0) {
-      const i = 1 / l;
-      out[0] = x * i;
-      out[1] = y * i;
-      out[2] = z * i;
-    }
+    const i = l > 0 ? 1 / l : 0;
+    out[0] = x * i;
+    out[1] = y * i;
+    out[2] = z * i;
+    out[3] = 0;
     return out;
   }
   /**
@@ -656,18 +1544,16 @@ class Qtn {
    */
   static toVecIII(vec, qtn, dest) {
     const out = dest == null ? Vec3.create() : dest;
-    const qp = Qtn.create();
-    const qq = Qtn.create();
-    const qr = Qtn.create();
-    Qtn.inverse(qtn, qr);
-    qp[0] = vec[0];
-    qp[1] = vec[1];
-    qp[2] = vec[2];
-    Qtn.multiply(qr, qp, qq);
-    Qtn.multiply(qq, qtn, qr);
-    out[0] = qr[0];
-    out[1] = qr[1];
-    out[2] = qr[2];
+    const x = qtn[0], y = qtn[1], z = qtn[2], w = qtn[3];
+    const vx = vec[0], vy = vec[1], vz = vec[2];
+    // 共役四元数 × ベクトル × クォータニオンを展開したもの
+    const tx = w * vx - y * vz + z * vy;
+    const ty = w * vy - z * vx + x * vz;
+    const tz = w * vz - x * vy + y * vx;
+    const tw = x * vx + y * vy + z * vz;
+    out[0] = tx * w + tw * x + ty * z - tz * y;
+    out[1] = ty * w + tw * y + tz * x - tx * z;
+    out[2] = tz * w + tw * z + tx * y - ty * x;
     return out;
   }
   /**
@@ -701,6 +1587,163 @@ class Qtn {
     out[15] = 1;
     return out;
   }
+  /**
+   * クォータニオンを 4x4 行列に変換して返す（toMatIV と同じ・参照に注意・戻り値としても結果を返す）
+   * @param {Qtn} qtn - クォータニオン
+   * @param {Mat4} [dest] - 4x4 行列
+   * @return {Mat4} 結果の行列
+   */
+  static toMat4(qtn, dest) {
+    return Qtn.toMatIV(qtn, dest);
+  }
+  /**
+   * 4x4 行列の回転成分からクォータニオンを生成して返す（参照に注意・戻り値としても結果を返す）
+   * toMatIV の逆変換になる。行列の左上 3x3 はスケールを含まない回転行列である必要がある。
+   * @param {Mat4} mat - 回転を表す 4x4 行列
+   * @param {Qtn} [dest] - 結果を格納するクォータニオン
+   * @return {Qtn} 結果のクォータニオン
+   */
+  static fromMat4(mat, dest) {
+    const out = dest == null ? Qtn.create() : dest;
+    // toMatIV は共役の回転行列を返すため、転置した行列から求める
+    const m00 = mat[0], m01 = mat[1], m02 = mat[2];
+    const m10 = mat[4], m11 = mat[5], m12 = mat[6];
+    const m20 = mat[8], m21 = mat[9], m22 = mat[10];
+    const trace = m00 + m11 + m22;
+    if (trace > 0) {
+      const s = 0.5 / Math.sqrt(trace + 1.0);
+      out[0] = (m21 - m12) * s;
+      out[1] = (m02 - m20) * s;
+      out[2] = (m10 - m01) * s;
+      out[3] = 0.25 / s;
+    } else if (m00 > m11 && m00 > m22) {
+      const s = 2.0 * Math.sqrt(1.0 + m00 - m11 - m22);
+      out[0] = 0.25 * s;
+      out[1] = (m01 + m10) / s;
+      out[2] = (m02 + m20) / s;
+      out[3] = (m21 - m12) / s;
+    } else if (m11 > m22) {
+      const s = 2.0 * Math.sqrt(1.0 + m11 - m00 - m22);
+      out[0] = (m01 + m10) / s;
+      out[1] = 0.25 * s;
+      out[2] = (m12 + m21) / s;
+      out[3] = (m02 - m20) / s;
+    } else {
+      const s = 2.0 * Math.sqrt(1.0 + m22 - m00 - m11);
+      out[0] = (m02 + m20) / s;
+      out[1] = (m12 + m21) / s;
+      out[2] = 0.25 * s;
+      out[3] = (m10 - m01) / s;
+    }
+    return out;
+  }
+  /**
+   * オイラー角からクォータニオンを生成して返す（参照に注意・戻り値としても結果を返す）
+   * order は回転を適用する順序で、'XYZ' の場合は X 軸 → Y 軸 → Z 軸の順に（ワールドの軸で）回転する。
+   * これは Blender や Maya の回転順序と同じ意味になる。
+   * Mat4.rotate は回転行列を右から掛ける（ローカルの軸で回転する）ため、結果を toMatIV で変換した行列は、
+   * Mat4.rotate を逆の順序で呼び出した行列（'XYZ' の場合は Z 軸 → Y 軸 → X 軸の順）と一致する。
+   * @param {Vec3} euler - X, Y, Z 軸それぞれの回転量（ラジアン）
+   * @param {string} [order='XYZ'] - 回転順序（Qtn.EULER_ORDERS のいずれか）
+   * @param {Qtn} [dest] - 結果を格納するクォータニオン
+   * @return {Qtn} 結果のクォータニオン
+   */
+  static fromEuler(euler, order = 'XYZ', dest) {
+    if (Qtn.EULER_ORDERS.includes(order) !== true) {
+      throw new Error(`unknown euler order: ${order}`);
+    }
+    const out = Qtn.identity(dest);
+    const q = TEMP_QTN;
+    const axis = TEMP_VEC3[0];
+    for (let i = 0; i < 3; ++i) {
+      const index = order.charCodeAt(i) - 88; // 'X' = 88
+      axis[0] = axis[1] = axis[2] = 0;
+      axis[index] = 1;
+      // rotate で作るクォータニオンは toMatIV / toVecIII で逆向きの回転になるため、角度を反転する
+      // multiply(a, b) は a → b の順に回転を適用する
+      Qtn.multiply(out, Qtn.rotate(-euler[index], axis, q), out);
+    }
+    return out;
+  }
+  /**
+   * ベクトル from をベクトル to に重ねる最短の回転を表すクォータニオンを生成して返す（参照に注意・戻り値としても結果を返す）
+   * 結果を toVecIII で from に適用すると to になる。
+   * @param {Vec3} from - 回転前の向きを表す単位ベクトル
+   * @param {Vec3} to - 回転後の向きを表す単位ベクトル
+   * @param {Qtn} [dest] - 結果を格納するクォータニオン
+   * @return {Qtn} 結果のクォータニオン
+   */
+  static fromUnitVectors(from, to, dest) {
+    const out = dest == null ? Qtn.create() : dest;
+    const w = 1.0 + Vec3.dot(from, to);
+    if (w < EPSILON) {
+      // 真逆を向いている場合は from に垂直な任意の軸で 180 度回転する
+      if (Math.abs(from[0]) > Math.abs(from[2])) {
+        out[0] = -from[1];
+        out[1] = from[0];
+        out[2] = 0;
+      } else {
+        out[0] = 0;
+        out[1] = -from[2];
+        out[2] = from[1];
+      }
+      return Qtn.normalize(out, out);
+    }
+    // toVecIII が共役で挟む向きに合わせて、外積は to × from とする
+    Vec3.cross(to, from, out);
+    out[3] = w;
+    return Vec4.normalize(out, out);
+  }
+  /**
+   * 前方向と上方向から姿勢を表すクォータニオンを生成して返す（参照に注意・戻り値としても結果を返す）
+   * +Z 軸を forward に、+Y 軸を up の側に向ける回転になる。
+   * Mat4.lookAt と同じくカメラの視線は -Z 方向なので、カメラの姿勢にする場合は forward に視線と逆向きのベクトルを渡す。
+   * @param {Vec3} forward - 前方向のベクトル
+   * @param {Vec3} [up=[0, 1, 0]] - 上方向のベクトル
+   * @param {Qtn} [dest] - 結果を格納するクォータニオン
+   * @return {Qtn} 結果のクォータニオン
+   */
+  static lookRotation(forward, up = [0, 1, 0], dest) {
+    const z = Vec3.normalize(forward, TEMP_VEC3[0]);
+    const x = Vec3.normalize(Vec3.cross(up, z, TEMP_VEC3[1]), TEMP_VEC3[1]);
+    if (Vec3.length(x) === 0) {
+      // forward と up が平行な場合は、forward に垂直な別の軸を上方向の代わりにする
+      const alternative = TEMP_VEC3[2];
+      alternative[0] = Math.abs(z[0]) < 0.9 ? 1 : 0;
+      alternative[1] = 0;
+      alternative[2] = 1 - alternative[0];
+      Vec3.normalize(Vec3.cross(alternative, z, x), x);
+    }
+    const y = Vec3.cross(z, x, TEMP_VEC3[2]);
+    const mat = Mat4.identity(TEMP_MAT4);
+    mat[0] = x[0]; mat[1] = x[1]; mat[2]  = x[2];
+    mat[4] = y[0]; mat[5] = y[1]; mat[6]  = y[2];
+    mat[8] = z[0]; mat[9] = z[1]; mat[10] = z[2];
+    return Qtn.fromMat4(mat, dest);
+  }
+  /**
+   * クォータニオンを回転軸と回転量に変換して返す（rotate の逆変換）
+   * 回転していない場合の回転軸は X 軸とする。
+   * @param {Qtn} qtn - 正規化されたクォータニオン
+   * @param {Vec3} [dest] - 回転軸を格納するベクトル
+   * @return {object} 回転軸（axis）と回転する量（angle、ラジアン）
+   */
+  static toAxisAngle(qtn, dest) {
+    const axis = dest == null ? Vec3.create() : dest;
+    const w = Math.min(Math.max(qtn[3], -1.0), 1.0);
+    const angle = Math.acos(w) * 2.0;
+    const s = Math.sqrt(1.0 - w * w);
+    if (s < EPSILON) {
+      axis[0] = 1;
+      axis[1] = 0;
+      axis[2] = 0;
+    } else {
+      axis[0] = qtn[0] / s;
+      axis[1] = qtn[1] / s;
+      axis[2] = qtn[2] / s;
+    }
+    return {axis, angle};
+  }
   /**
    * ２つのクォータニオンの球面線形補間を行った結果を返す（参照に注意・戻り値としても結果を返す）
    * @param {Qtn} qtn0 - クォータニオン
@@ -739,3 +1782,58 @@ class Qtn {
     return out;
   }
 }
+
+/**
+ * 一時的な計算に使うベクトルや行列を使い回すためのプール
+ * フレームの始めに reset を呼び、そのフレームの中では vec3 などで取り出したものを作業用に使う。
+ * 足りなくなった場合だけ新しく生成するので、最初のフレーム以降は生成しなくなる。
+ * 取り出したものは reset の後に再び使われるので、フレームをまたいで保持してはいけない。
+ * また、取り出したものの値は初期化されていない。
+ * @class ScratchPool
+ */
+class ScratchPool {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.pools = new Map();
+  }
+  /**
+   * 指定した種類のベクトルや行列をプールから取り出す
+   * @param {Vec2|Vec3|Vec4|Mat2|Mat3|Mat4|Qtn} type - 取り出す種類のクラス
+   * @return {Float32Array} 取り出したもの
+   */
+  take(type) {
+    let pool = this.pools.get(type);
+    if (pool == null) {
+      pool = {items: [], index: 0};
+      this.pools.set(type, pool);
+    }
+    if (pool.index >= pool.items.length) {
+      pool.items.push(type.create());
+    }
+    return pool.items[pool.index++];
+  }
+  /** @return {Vec2} */
+  vec2() {return this.take(Vec2);}
+  /** @return {Vec3} */
+  vec3() {return this.take(Vec3);}
+  /** @return {Vec4} */
+  vec4() {return this.take(Vec4);}
+  /** @return {Mat2} */
+  mat2() {return this.take(Mat2);}
+  /** @return {Mat3} */
+  mat3() {return this.take(Mat3);}
+  /** @return {Mat4} */
+  mat4() {return this.take(Mat4);}
+  /** @return {Qtn} */
+  qtn() {return this.take(Qtn);}
+  /**
+   * 取り出したものをすべてプールに戻す（毎フレームの始めに呼ぶ）
+   */
+  reset() {
+    this.pools.forEach((pool) => {
+      pool.index = 0;
+    });
+  }
+}
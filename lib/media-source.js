@@ -0,0 +1,463 @@
+import { WebGLUtility } from './webgl.js';
+
+/**
+ * テクスチャの元になる入力（動画、カメラ、画像など）の基底クラス
+ * どの入力も load で準備し、width / height / ready で大きさと準備状況を同じように取得できる
+ * element はそのまま texImage2D や drawImage に渡せる要素を返す
+ * @class
+ */
+export class InputSource {
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.element = null;
+  }
+
+  /**
+   * 入力の幅（ピクセル）
+   * @type {number}
+   */
+  get width() {
+    return this.element != null ? this.element.width : 0;
+  }
+
+  /**
+   * 入力の高さ（ピクセル）
+   * @type {number}
+   */
+  get height() {
+    return this.element != null ? this.element.height : 0;
+  }
+
+  /**
+   * 現在のフレームを描画に使えるかどうか
+   * @type {boolean}
+   */
+  get ready() {
+    return this.element != null && this.width > 0 && this.height > 0;
+  }
+
+  /**
+   * 入力を準備する。
+   * @return {Promise} 準備が完了すると解決される
+   */
+  async load() {}
+
+  /**
+   * 時間に応じて入力を更新する（毎フレーム呼ばれる）
+   * @param {number} time - 経過時間（秒）
+   */
+  update(time) {}
+
+  /**
+   * 指定した時間のフレームに移動する（録画などで時間をフレーム単位で進める場合に使う）
+   * @param {number} time - 経過時間（秒）
+   * @return {Promise} 移動が完了すると解決される
+   */
+  async seek(time) {
+    this.update(time);
+  }
+
+  /**
+   * 再生を開始する（時間の経過で変化しない入力では何もしない）
+   * @return {Promise}
+   */
+  async play() {}
+
+  /**
+   * 再生を一時停止する（時間の経過で変化しない入力では何もしない）
+   */
+  pause() {}
+
+  /**
+   * 再生速度を設定する（時間の経過で変化しない入力では何もしない）
+   * update に渡す時間で変化する入力は、時間の側で速度を変えればよい
+   * @param {number} speed - 再生速度の倍率
+   */
+  setSpeed(speed) {}
+
+  /**
+   * 入力が保持しているリソースを解放する。
+   */
+  dispose() {
+    this.element = null;
+  }
+}
+
+/**
+ * 動画ファイルの入力
+ * @class
+ */
+export class VideoSource extends InputSource {
+  /** @type {number} */
+  static DEFAULT_SEEK_TIMEOUT = 5000;
+
+  /**
+   * @constructor
+   * @param {string} src - 動画ファイルの URL
+   * @param {object} [option={}]
+   * @property {boolean} option.loop - ループ再生するかどうか（既定値は true）
+   * @property {function} option.onAutoplayBlocked - 自動再生が拒否された場合に呼ばれる
+   * @property {number} option.seekTimeout - シークの完了を待つ最大の時間（ミリ秒）
+   */
+  constructor(src, option = {}) {
+    super();
+    this.src = src;
+    this.seekTimeout = option.seekTimeout || VideoSource.DEFAULT_SEEK_TIMEOUT;
+    this.loop = option.loop !== false;
+    this.onAutoplayBlocked = option.onAutoplayBlocked || null;
+    this.speed = 1.0;
+  }
+
+  get width() {
+    return this.element != null ? this.element.videoWidth : 0;
+  }
+
+  get height() {
+    return this.element != null ? this.element.videoHeight : 0;
+  }
+
+  get ready() {
+    // HAVE_CURRENT_DATA（現在のフレームが利用可能）以上
+    return this.element != null && this.element.readyState >= 2;
+  }
+
+  /**
+   * 動画のメタデータを読み込み、再生を開始する。
+   * 自動再生が拒否された場合も読み込み自体は完了として解決する。
+   * @return {Promise}
+   */
+  load() {
+    return new Promise((resolve, reject) => {
+      const video = document.createElement('video');
+      video.loop = this.loop;
+      video.muted = true;                 // 自動再生に必要
+      video.playsInline = true;
+      video.setAttribute('playsinline', ''); // iOS Safari
+      video.crossOrigin = 'anonymous';
+      video.addEventListener('loadedmetadata', async () => {
+        this.element = video;
+        this.setSpeed(this.speed);
+        try {
+          await video.play();
+        } catch (error) {
+          if (this.onAutoplayBlocked != null) {
+            this.onAutoplayBlocked(error);
+          }
+        }
+        resolve();
+      }, {once: true});
+      video.addEventListener('error', (event) => {
+        reject(event);
+      }, {once: true});
+      video.src = this.src;
+    });
+  }
+
+  /**
+   * 指定した時間（ループを考慮）にシークし、シークが終わるまで待つ。
+   * シークできなかった場合（エラー、一定時間内に終わらない、途中で破棄された）は reject する。
+   * @param {number} time - 経過時間（秒）
+   * @return {Promise}
+   */
+  seek(time) {
+    const video = this.element;
+    if (video == null || !(video.duration > 0)) {
+      return Promise.resolve();
+    }
+    const target = this.loop === true ? time % video.duration : Math.min(time, video.duration);
+    if (Math.abs(video.currentTime - target) < 0.0001) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const finish = (error) => {
+        clearTimeout(timer);
+        video.removeEventListener('seeked', onSeeked);
+        video.removeEventListener('error', onError);
+        video.removeEventListener('emptied', onEmptied);
+        if (error != null) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+      const onSeeked = () => finish();
+      const onError = () => finish(video.error || new Error('video seek failed'));
+      // dispose で src を外すと emptied が発生する
+      const onEmptied = () => finish(new Error('video source disposed while seeking'));
+      const timer = setTimeout(() => {
+        finish(new Error(`video seek timed out: ${target}`));
+      }, this.seekTimeout);
+      video.addEventListener('seeked', onSeeked);
+      video.addEventListener('error', onError);
+      video.addEventListener('emptied', onEmptied);
+      video.currentTime = target;
+    });
+  }
+
+  play() {
+    return this.element != null ? this.element.play() : Promise.resolve();
+  }
+
+  pause() {
+    if (this.element != null) {
+      this.element.pause();
+    }
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+    if (this.element != null && speed > 0) {
+      this.element.playbackRate = speed;
+    }
+  }
+
+  dispose() {
+    if (this.element != null) {
+      this.element.pause();
+      this.element.removeAttribute('src');
+      this.element.load();
+    }
+    super.dispose();
+  }
+}
+
+/**
+ * getUserMedia で取得したカメラ映像の入力
+ * @class
+ */
+export class WebcamSource extends VideoSource {
+  /**
+   * @constructor
+   * @param {object} [option={}]
+   * @property {number} option.width - 希望する映像の幅
+   * @property {number} option.height - 希望する映像の高さ
+   * @property {string} option.facingMode - 'user'（前面）または 'environment'（背面）
+   */
+  constructor(option = {}) {
+    super(null);
+    this.constraints = {
+      audio: false,
+      video: {
+        width: option.width || 1280,
+        height: option.height || 720,
+        facingMode: option.facingMode || 'user',
+      },
+    };
+    this.stream = null;
+  }
+
+  /**
+   * カメラへのアクセスを要求し、映像の再生を開始する。
+   * @return {Promise}
+   */
+  async load() {
+    this.stream = await navigator.mediaDevices.getUserMedia(this.constraints);
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.setAttribute('playsinline', '');
+    video.srcObject = this.stream;
+    await new Promise((resolve) => {
+      video.addEventListener('loadedmetadata', resolve, {once: true});
+    });
+    await video.play();
+    this.element = video;
+  }
+
+  /**
+   * カメラ映像はシークできないので何もしない。
+   * @return {Promise}
+   */
+  seek() {
+    return Promise.resolve();
+  }
+
+  /**
+   * カメラ映像は再生速度を変えられないので何もしない。
+   */
+  setSpeed() {}
+
+  dispose() {
+    if (this.stream != null) {
+      this.stream.getTracks().forEach((track) => track.stop());
+      this.stream = null;
+    }
+    if (this.element != null) {
+      this.element.srcObject = null;
+    }
+    this.element = null;
+  }
+}
+
+/**
+ * 静止画の入力
+ * @class
+ */
+export class ImageSource extends InputSource {
+  /**
+   * @constructor
+   * @param {string} src - 画像の URL
+   */
+  constructor(src) {
+    super();
+    this.src = src;
+  }
+
+  get width() {
+    return this.element != null ? this.element.naturalWidth : 0;
+  }
+
+  get height() {
+    return this.element != null ? this.element.naturalHeight : 0;
+  }
+
+  /**
+   * 画像を読み込む。
+   * @return {Promise}
+   */
+  async load() {
+    this.element = await WebGLUtility.loadImage(this.src);
+  }
+}
+
+/**
+ * 連番画像の入力
+ * 時間に応じて表示する画像を切り替える
+ * @class
+ */
+export class ImageSequenceSource extends InputSource {
+  /**
+   * @constructor
+   * @param {string|Array.<string>} pattern - 連番画像の URL の配列、
+   * または連番の部分を # で表した URL（例: './frames/frame_####.png' → frame_0000.png, frame_0001.png, ...）
+   * @param {object} [option={}]
+   * @property {number} option.count - 画像の枚数（pattern が文字列の場合は必須）
+   * @property {number} option.start - 最初の番号
+   * @property {number} option.fps - 1 秒あたりに切り替える枚数
+   * @property {boolean} option.loop - 最後の画像の後に最初に戻るかどうか（既定値は true）
+   */
+  constructor(pattern, option = {}) {
+    super();
+    this.urls = Array.isArray(pattern) === true ?
+      pattern :
+      ImageSequenceSource.expandPattern(pattern, option.start || 0, option.count || 0);
+    if (this.urls.length === 0) {
+      throw new Error('image sequence is empty');
+    }
+    this.fps = option.fps || 30;
+    this.loop = option.loop !== false;
+    this.images = [];
+    this.frame = 0;
+  }
+
+  get width() {
+    return this.element != null ? this.element.naturalWidth : 0;
+  }
+
+  get height() {
+    return this.element != null ? this.element.naturalHeight : 0;
+  }
+
+  /**
+   * すべての画像を読み込む。
+   * @return {Promise}
+   */
+  async load() {
+    this.images = await Promise.all(this.urls.map((url) => WebGLUtility.loadImage(url)));
+    this.element = this.images[0];
+  }
+
+  /**
+   * 時間に対応する画像に切り替える。
+   * @param {number} time - 経過時間（秒）
+   */
+  update(time) {
+    if (this.images.length === 0) {return;}
+    const index = Math.floor(time * this.fps);
+    this.frame = this.loop === true ?
+      index % this.images.length :
+      Math.min(index, this.images.length - 1);
+    this.element = this.images[this.frame];
+  }
+
+  dispose() {
+    this.images = [];
+    super.dispose();
+  }
+
+  /**
+   * # で連番を表した URL を展開する。
+   * @param {string} pattern - 連番の部分を # で表した URL（# の数が桁数になる）
+   * @param {number} start - 最初の番号
+   * @param {number} count - 枚数
+   * @return {Array.<string>} URL の配列
+   */
+  static expandPattern(pattern, start, count) {
+    const match = pattern.match(/#+/);
+    if (match == null) {
+      throw new Error(`pattern must contain "#": ${pattern}`);
+    }
+    const urls = [];
+    for (let i = 0; i < count; ++i) {
+      urls.push(pattern.replace(match[0], String(start + i).padStart(match[0].length, '0')));
+    }
+    return urls;
+  }
+}
+
+/**
+ * 任意の canvas を入力にする
+ * canvas の内容は外部で更新されることを想定している
+ * @class
+ */
+export class CanvasSource extends InputSource {
+  /**
+   * @constructor
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - 入力にする canvas
+   */
+  constructor(canvas) {
+    super();
+    this.element = canvas;
+  }
+}
+
+/**
+ * 関数で描画した画像を入力にする
+ * 毎フレーム、経過時間を引数に Canvas2D で描画し直す
+ * @class
+ */
+export class ProceduralSource extends InputSource {
+  /**
+   * @constructor
+   * @param {function} draw - 描画する関数（引数は CanvasRenderingContext2D, 経過時間（秒）, 幅, 高さ）
+   * @param {object} [option={}]
+   * @property {number} option.width - 描画する幅
+   * @property {number} option.height - 描画する高さ
+   */
+  constructor(draw, option = {}) {
+    super();
+    this.draw = draw;
+    this.element = document.createElement('canvas');
+    this.element.width = option.width || 640;
+    this.element.height = option.height || 360;
+    this.ctx = this.element.getContext('2d');
+  }
+
+  /**
+   * 最初のフレームを描画する。
+   * @return {Promise}
+   */
+  async load() {
+    this.update(0.0);
+  }
+
+  /**
+   * 経過時間を渡して描画し直す。
+   * @param {number} time - 経過時間（秒）
+   */
+  update(time) {
+    this.draw(this.ctx, time, this.element.width, this.element.height);
+  }
+}
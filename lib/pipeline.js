@@ -0,0 +1,319 @@
+import { WebGLUtility } from './webgl.js';
+import { Geometry } from './geometry.js';
+
+/**
+ * 複数のパスを順番に実行するマルチパスレンダリングの管理クラス
+ * パスの入出力は名前で指定し、フレームバッファはパイプライン側で生成・リサイズする
+ * @class
+ */
+export class RenderPipeline {
+  /**
+   * @constructor
+   * @param {WebGLRenderingContext} gl - WebGL コンテキスト
+   * @param {number} width - 画面（出力先）の幅
+   * @param {number} height - 画面（出力先）の高さ
+   */
+  constructor(gl, width, height) {
+    this.gl = gl;
+    this.width = width;
+    this.height = height;
+    this.passes = [];
+    this.targets = new Map();
+    this.textures = new Map();
+
+    // フルスクリーンクワッド（TRIANGLE_STRIP で描画する 4 頂点）
+    // Geometry.plane の頂点は左上・右上・左下・右下の順なので、そのまま TRIANGLE_STRIP で描画できる
+    const quad = Geometry.plane(2.0, 2.0);
+    this.quadVbo = {
+      position: WebGLUtility.createVbo(gl, quad.position),
+      uv: WebGLUtility.createVbo(gl, quad.uv),
+    };
+  }
+
+  /**
+   * 名前付きのレンダーターゲットを追加する。
+   * フレームバッファは 1 つだけ生成し、入れ替え用の 2 つ目は同じターゲットを読み書きするパスを追加したときに生成する。
+   * @param {string} name - ターゲット名
+   * @param {object} [option={}]
+   * @property {number} option.scale - 画面サイズに対する解像度の倍率
+   * @return {object} 追加したターゲット
+   */
+  addTarget(name, option = {}) {
+    if (this.targets.has(name) === true) {
+      return this.targets.get(name);
+    }
+    const scale = option.scale != null ? option.scale : 1.0;
+    const width = Math.max(1, Math.floor(this.width * scale));
+    const height = Math.max(1, Math.floor(this.height * scale));
+    const target = {
+      scale: scale,
+      width: width,
+      height: height,
+      buffers: [
+        WebGLUtility.createFramebuffer(this.gl, width, height),
+      ],
+      readIndex: 0,
+    };
+    this.targets.set(name, target);
+    return target;
+  }
+
+  /**
+   * パイプラインの外で生成したテクスチャに名前を付けて登録する。
+   * @param {string} name - テクスチャ名
+   * @param {WebGLTexture} texture - テクスチャ
+   */
+  setTexture(name, texture) {
+    if (this.targets.has(name) === true) {
+      throw new Error(`"${name}" is already used as a render target`);
+    }
+    this.textures.set(name, texture);
+  }
+
+  /**
+   * 名前からテクスチャを取得する。
+   * レンダーターゲットの場合は最後に書き込まれた側のテクスチャを返す。
+   * @param {string} name - ターゲット名またはテクスチャ名
+   * @return {WebGLTexture} テクスチャ
+   */
+  getTexture(name) {
+    if (this.targets.has(name) === true) {
+      const target = this.targets.get(name);
+      return target.buffers[target.readIndex].texture;
+    }
+    if (this.textures.has(name) === true) {
+      return this.textures.get(name);
+    }
+    throw new Error(`"${name}" is not a registered texture or render target`);
+  }
+
+  /**
+   * 名前からフレームバッファを取得する。
+   * 最後に書き込まれた側（次のパスが読み込む側）を返す。
+   * @param {string} name - ターゲット名
+   * @return {object} createFramebuffer が返すオブジェクト
+   */
+  getFramebuffer(name) {
+    const target = this.targets.get(name);
+    if (target == null) {
+      throw new Error(`"${name}" is not a registered render target`);
+    }
+    return target.buffers[target.readIndex];
+  }
+
+  /**
+   * レンダーターゲットの最後に書き込まれた側のピクセルを読み出す。
+   * 行は WebGL の座標系と同じく下から上の順に並ぶ。
+   * @param {string} name - ターゲット名
+   * @param {Uint8Array} [dest] - 読み出し先（サイズが足りない場合は新たに生成する）
+   * @return {object} 読み出した結果
+   * @property {number} width - ターゲットの幅
+   * @property {number} height - ターゲットの高さ
+   * @property {Uint8Array} data - RGBA のピクセルデータ
+   */
+  readPixels(name, dest) {
+    const gl = this.gl;
+    const target = this.targets.get(name);
+    if (target == null) {
+      throw new Error(`"${name}" is not a registered render target`);
+    }
+    const length = target.width * target.height * 4;
+    const data = dest != null && dest.length >= length ? dest : new Uint8Array(length);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.buffers[target.readIndex].framebuffer);
+    gl.readPixels(0, 0, target.width, target.height, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return {width: target.width, height: target.height, data: data};
+  }
+
+  /**
+   * パスを末尾に追加する。出力先のターゲットがなければ生成する。
+   * @param {RenderPass} pass - 追加するパス
+   * @return {RenderPass} 追加したパス
+   */
+  addPass(pass) {
+    if (pass.output != null) {
+      const target = this.addTarget(pass.output);
+      // 出力先を入力にも指定している場合は、読み込み側と別に書き込むためのフレームバッファを追加する
+      const inputs = Object.keys(pass.inputs).map((uniformName) => pass.inputs[uniformName]);
+      if (inputs.includes(pass.output) === true && target.buffers.length < 2) {
+        target.buffers.push(WebGLUtility.createFramebuffer(this.gl, target.width, target.height));
+      }
+    }
+    this.passes.push(pass);
+    return pass;
+  }
+
+  /**
+   * 画面サイズを変更し、すべてのレンダーターゲットをまとめてリサイズする。
+   * @param {number} width - 画面（出力先）の幅
+   * @param {number} height - 画面（出力先）の高さ
+   */
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.targets.forEach((target) => {
+      target.width = Math.max(1, Math.floor(width * target.scale));
+      target.height = Math.max(1, Math.floor(height * target.scale));
+      target.buffers.forEach((buffer) => {
+        WebGLUtility.resizeFramebuffer(this.gl, buffer, target.width, target.height);
+      });
+    });
+  }
+
+  /**
+   * 有効なパスを追加した順に実行する。
+   */
+  render() {
+    const gl = this.gl;
+    this.passes.forEach((pass) => {
+      if (pass.enabled !== true) {return;}
+
+      // 入力テクスチャをテクスチャユニットに順番にバインドする
+      const units = {};
+      Object.keys(pass.inputs).forEach((uniformName, unit) => {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.getTexture(pass.inputs[uniformName]));
+        units[uniformName] = unit;
+      });
+
+      // 出力先をバインドする（バッファが 2 つある場合は読み込み側とは別のバッファに書き込む）
+      const target = pass.output != null ? this.targets.get(pass.output) : null;
+      const width = target != null ? target.width : this.width;
+      const height = target != null ? target.height : this.height;
+      const writeIndex = target != null && target.buffers.length > 1 ? 1 - target.readIndex : 0;
+      if (target != null) {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.buffers[writeIndex].framebuffer);
+      } else {
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      }
+      gl.viewport(0, 0, width, height);
+      if (Array.isArray(pass.clear) === true) {
+        gl.clearColor(pass.clear[0], pass.clear[1], pass.clear[2], pass.clear[3]);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+      }
+
+      pass.render(this, units, width, height);
+
+      // 書き込んだ側を次のパスの読み込み側にする
+      if (target != null) {
+        target.readIndex = writeIndex;
+      }
+    });
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  }
+
+  /**
+   * パイプラインが生成したフレームバッファと VBO、各パスの VAO を削除する。
+   */
+  delete() {
+    const gl = this.gl;
+    this.passes.forEach((pass) => {
+      pass.delete();
+    });
+    this.targets.forEach((target) => {
+      target.buffers.forEach((buffer) => {
+        WebGLUtility.deleteFramebuffer(gl, buffer);
+      });
+    });
+    this.targets.clear();
+    Object.keys(this.quadVbo).forEach((name) => {
+      gl.deleteBuffer(this.quadVbo[name]);
+    });
+    this.quadVbo = null;
+  }
+}
+
+/**
+ * パイプラインの 1 パス（描画処理は draw コールバックで任意に記述する）
+ * @class
+ */
+export class RenderPass {
+  /**
+   * @constructor
+   * @param {object} [option={}]
+   * @property {object} option.inputs - sampler2D の uniform 変数名をキー、テクスチャ名を値とするオブジェクト
+   * @property {string} option.output - 出力先のターゲット名（null の場合は画面に出力する）
+   * @property {Array.<number>} option.clear - 描画前にクリアする色（null の場合はクリアしない）
+   * @property {function} option.draw - 描画処理（引数は gl, テクスチャユニット, 出力先の幅, 高さ）
+   */
+  constructor(option = {}) {
+    this.inputs = option.inputs || {};
+    this.output = option.output != null ? option.output : null;
+    this.clear = option.clear != null ? option.clear : null;
+    this.draw = option.draw || null;
+    this.enabled = true;
+  }
+
+  /**
+   * パスを実行する（RenderPipeline から呼ばれる）
+   * @param {RenderPipeline} pipeline - 実行中のパイプライン
+   * @param {object} units - sampler2D の uniform 変数名をキー、テクスチャユニット番号を値とするオブジェクト
+   * @param {number} width - 出力先の幅
+   * @param {number} height - 出力先の高さ
+   */
+  render(pipeline, units, width, height) {
+    if (this.draw != null) {
+      this.draw(pipeline.gl, units, width, height);
+    }
+  }
+
+  /**
+   * パスが保持しているリソースを削除する。
+   */
+  delete() {}
+}
+
+/**
+ * フルスクリーンクワッドにシェーダを適用するポストエフェクトのパス
+ * シェーダは attribute に position（vec3）と uv（vec2）を持つ必要がある
+ * @class
+ */
+export class PostEffect extends RenderPass {
+  /**
+   * @constructor
+   * @param {object} option - RenderPass のオプションに加えて下記を指定する
+   * @property {ShaderProgram} option.program - エフェクトのシェーダプログラム
+   * @property {object|function} option.uniforms - sampler2D 以外の uniform 変数の値（名前をキーとするオブジェクト）
+   * または出力先の幅と高さを受け取りそのオブジェクトを返す関数
+   */
+  constructor(option) {
+    super(option);
+    if (option.program == null) {
+      throw new Error('program is required');
+    }
+    this.program = option.program;
+    this.uniforms = option.uniforms || {};
+    this.vao = null;
+  }
+
+  /**
+   * パスを実行する（RenderPipeline から呼ばれる）
+   * @param {RenderPipeline} pipeline - 実行中のパイプライン
+   * @param {object} units - sampler2D の uniform 変数名をキー、テクスチャユニット番号を値とするオブジェクト
+   * @param {number} width - 出力先の幅
+   * @param {number} height - 出力先の高さ
+   */
+  render(pipeline, units, width, height) {
+    const uniforms = typeof this.uniforms === 'function' ? this.uniforms(width, height) : this.uniforms;
+    this.program.use();
+    // フルスクリーンクワッドの attribute 設定は初回に VAO に記録しておく
+    if (this.vao == null) {
+      this.vao = this.program.createVao(pipeline.quadVbo);
+    }
+    this.program.bindVao(this.vao);
+    // sampler2D にはパイプラインが割り当てたテクスチャユニットを設定する
+    this.program.setUniforms(Object.assign({}, uniforms, units));
+    pipeline.gl.drawArrays(pipeline.gl.TRIANGLE_STRIP, 0, 4);
+    this.program.unbindVao();
+  }
+
+  /**
+   * パスが保持している VAO を削除する。
+   */
+  delete() {
+    if (this.vao != null) {
+      this.program.deleteVao(this.vao);
+      this.vao = null;
+    }
+  }
+}
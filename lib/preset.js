@@ -0,0 +1,240 @@
+/**
+ * GUI のパラメータをプリセットとして保存・読み込みするクラス
+ * 名前付きのプリセットを localStorage に保存するほか、JSON ファイルへの書き出し・読み込み、
+ * URL のハッシュへの書き込み（リンクの共有）ができる
+ * @class
+ */
+export class PresetManager {
+  /** @type {number} */
+  static VERSION = 1;
+  /** @type {string} */
+  static DEFAULT_STORAGE_KEY = 'presets';
+  /** @type {string} */
+  static HASH_KEY = 'preset';
+
+  /**
+   * @constructor
+   * @param {object} targets - グループ名をキー、パラメータのオブジェクトを値とするオブジェクト
+   * @param {object} [option={}]
+   * @property {string} option.storageKey - localStorage のキー
+   * @property {Array.<string>} option.exclude - 保存しないパラメータ（'グループ名.パラメータ名' の形式）
+   * @property {function} option.onApply - プリセットを適用した後に、適用した値を引数に呼ばれる
+   * @property {object} option.validators - 'グループ名.パラメータ名' をキー、値を受け取り有効かどうかを返す関数を値とするオブジェクト
+   */
+  constructor(targets, option = {}) {
+    this.targets = targets;
+    this.storageKey = option.storageKey || PresetManager.DEFAULT_STORAGE_KEY;
+    this.exclude = option.exclude || [];
+    this.onApply = option.onApply || null;
+    this.validators = option.validators || {};
+  }
+
+  /**
+   * Tweakpane の addBinding に渡すパラメータ（options または min / max）から、値を検証する関数を生成する。
+   * @param {object} params - addBinding のパラメータ
+   * @return {function} 値が options に含まれる、または min 以上 max 以下の場合に true を返す関数
+   */
+  static createValidator(params) {
+    if (params.options != null) {
+      const values = Array.isArray(params.options) === true ?
+        params.options.map((option) => option.value) :
+        Object.keys(params.options).map((label) => params.options[label]);
+      return (value) => values.includes(value);
+    }
+    return (value) => (params.min == null || value >= params.min) && (params.max == null || value <= params.max);
+  }
+
+  /**
+   * 現在のパラメータを JSON に変換できるオブジェクトにして返す。
+   * @return {object} バージョン（version）とグループごとのパラメータ（params）
+   */
+  serialize() {
+    const params = {};
+    Object.keys(this.targets).forEach((group) => {
+      params[group] = {};
+      Object.keys(this.targets[group]).forEach((key) => {
+        const value = this.targets[group][key];
+        if (this.exclude.includes(`${group}.${key}`) === true) {return;}
+        if (['number', 'string', 'boolean'].includes(typeof value) !== true) {return;}
+        params[group][key] = value;
+      });
+    });
+    return {version: PresetManager.VERSION, params: params};
+  }
+
+  /**
+   * プリセットの値をパラメータに適用する。
+   * 存在しないパラメータは無視するので、古いプリセットも読み込める。
+   * 型が異なる値や validators で無効とされた値が含まれる場合は、何も適用せずに例外を投げる。
+   * @param {object} state - serialize が返す形式のオブジェクト
+   */
+  apply(state) {
+    if (state == null || state.params == null || typeof state.params !== 'object') {
+      throw new Error('invalid preset');
+    }
+    // 一部の値だけが適用されないよう、すべての値を検証してから書き込む
+    const applied = {};
+    Object.keys(state.params).forEach((group) => {
+      if (Object.prototype.hasOwnProperty.call(this.targets, group) !== true) {return;}
+      const target = this.targets[group];
+      const params = state.params[group];
+      if (params == null || typeof params !== 'object') {
+        throw new Error(`invalid preset group: ${group}`);
+      }
+      Object.keys(params).forEach((key) => {
+        const name = `${group}.${key}`;
+        const value = params[key];
+        if (this.exclude.includes(name) === true) {return;}
+        if (Object.prototype.hasOwnProperty.call(target, key) !== true) {return;}
+        const validator = this.validators[name];
+        if (
+          typeof target[key] !== typeof value ||
+          (typeof value === 'number' && Number.isFinite(value) !== true) ||
+          (validator != null && validator(value) !== true)
+        ) {
+          throw new Error(`invalid preset value: ${name}`);
+        }
+        applied[group] = applied[group] || {};
+        applied[group][key] = value;
+      });
+    });
+    Object.keys(applied).forEach((group) => {
+      Object.assign(this.targets[group], applied[group]);
+    });
+    if (this.onApply != null) {
+      this.onApply(applied);
+    }
+  }
+
+  /**
+   * localStorage に保存されているすべてのプリセットを返す。
+   * @return {object} プリセット名をキーとするオブジェクト
+   */
+  readStorage() {
+    try {
+      const text = localStorage.getItem(this.storageKey);
+      return text != null ? JSON.parse(text) : {};
+    } catch (error) {
+      // localStorage が使えない環境や、壊れたデータの場合は空として扱う
+      console.warn(error);
+      return {};
+    }
+  }
+
+  /**
+   * すべてのプリセットを localStorage に書き込む。
+   * @param {object} presets - プリセット名をキーとするオブジェクト
+   */
+  writeStorage(presets) {
+    localStorage.setItem(this.storageKey, JSON.stringify(presets));
+  }
+
+  /**
+   * 保存されているプリセットの名前を返す。
+   * @return {Array.<string>}
+   */
+  list() {
+    return Object.keys(this.readStorage()).sort();
+  }
+
+  /**
+   * 現在のパラメータを名前を付けて保存する（同じ名前のプリセットは上書きする）
+   * @param {string} name - プリセット名
+   */
+  save(name) {
+    if (name == null || name === '') {
+      throw new Error('preset name is required');
+    }
+    const presets = this.readStorage();
+    presets[name] = this.serialize();
+    this.writeStorage(presets);
+  }
+
+  /**
+   * 保存したプリセットを読み込んで適用する。
+   * @param {string} name - プリセット名
+   */
+  load(name) {
+    const presets = this.readStorage();
+    if (presets[name] == null) {
+      throw new Error(`preset not found: ${name}`);
+    }
+    this.apply(presets[name]);
+  }
+
+  /**
+   * 保存したプリセットを削除する。
+   * @param {string} name - プリセット名
+   */
+  remove(name) {
+    const presets = this.readStorage();
+    delete presets[name];
+    this.writeStorage(presets);
+  }
+
+  /**
+   * 現在のパラメータを JSON ファイルにして返す。
+   * @param {string} [name] - ファイルに含めるプリセット名
+   * @return {Blob} JSON ファイル
+   */
+  exportFile(name) {
+    const state = this.serialize();
+    if (name != null) {
+      state.name = name;
+    }
+    return new Blob([JSON.stringify(state, null, 2)], {type: 'application/json'});
+  }
+
+  /**
+   * JSON ファイルを読み込んで適用する。
+   * @param {File|Blob} file - exportFile で書き出したファイル
+   * @return {Promise} 読み込んだプリセットのオブジェクトを引数に解決される
+   */
+  async importFile(file) {
+    const state = JSON.parse(await file.text());
+    this.apply(state);
+    return state;
+  }
+
+  /**
+   * 現在のパラメータを URL のハッシュに使える文字列にする。
+   * @return {string} '#preset=...' 形式の文字列
+   */
+  toHash() {
+    const bytes = new TextEncoder().encode(JSON.stringify(this.serialize()));
+    let binary = '';
+    bytes.forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    // URL にそのまま使えるよう base64url にする
+    const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `#${PresetManager.HASH_KEY}=${encoded}`;
+  }
+
+  /**
+   * URL のハッシュからパラメータを読み込んで適用する。
+   * @param {string} [hash=location.hash] - '#preset=...' 形式の文字列
+   * @return {boolean} 適用したかどうか（ハッシュにプリセットが含まれていない場合は false）
+   */
+  fromHash(hash = location.hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const encoded = params.get(PresetManager.HASH_KEY);
+    if (encoded == null || encoded === '') {return false;}
+    try {
+      const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+      const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+      this.apply(JSON.parse(new TextDecoder().decode(bytes)));
+      return true;
+    } catch (error) {
+      console.warn('invalid preset in URL hash:', error);
+      return false;
+    }
+  }
+
+  /**
+   * 現在のパラメータを URL のハッシュに書き込む（履歴は増やさない）
+   */
+  updateHash() {
+    history.replaceState(null, '', `${location.pathname}${location.search}${this.toHash()}`);
+  }
+}
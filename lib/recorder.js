@@ -0,0 +1,314 @@
+import { GifEncoder } from './gif-encoder.js';
+import { WebMWriter } from './webm-writer.js';
+import { ZipWriter } from './zip-writer.js';
+
+/**
+ * canvas の描画結果をフレーム単位で録画するクラス
+ * 実時間ではなく「フレーム番号 / fps」で時間を進めながら 1 フレームずつ描画させるので、
+ * 描画が重くてもフレームが欠けたり、時間がずれたりしない
+ * @class
+ */
+export class CanvasRecorder {
+  /** @type {Array.<string>} */
+  static FORMATS = ['webm', 'gif', 'png'];
+  /** @type {number} */
+  static DEFAULT_FPS = 30;
+  /** @type {number} */
+  static DEFAULT_BITRATE = 8000000;
+
+  /**
+   * @constructor
+   * @param {HTMLCanvasElement} canvas - 録画する canvas
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.recording = false;
+    this.cancelled = false;
+  }
+
+  /**
+   * 録画を行う。
+   * フレームごとに renderFrame を呼び出し、描画が終わった直後の canvas をエンコーダに渡す。
+   * WebGL の描画バッファは画面への合成後に破棄されるため、renderFrame の中で描画まで済ませる必要がある。
+   * @param {function} renderFrame - フレームの時間（秒）とフレーム番号を引数に描画する関数（Promise を返してもよい）
+   * @param {object} [option={}]
+   * @property {string} option.format - 'webm', 'gif', 'png'（PNG 連番の ZIP）のいずれか
+   * @property {number} option.fps - フレームレート
+   * @property {number} option.duration - 録画する長さ（秒）
+   * @property {number} option.bitrate - WebM のビットレート
+   * @property {function} option.onProgress - 1 フレームごとに進捗（0.0 ~ 1.0）を引数に呼ばれる
+   * @return {Promise} 録画したファイルの Blob を引数に解決される（中断した場合は null）
+   */
+  async record(renderFrame, option = {}) {
+    if (this.recording === true) {
+      throw new Error('recording is already in progress');
+    }
+    const format = option.format || 'webm';
+    if (CanvasRecorder.FORMATS.includes(format) !== true) {
+      throw new Error(`unknown format: ${format}`);
+    }
+    const fps = option.fps || CanvasRecorder.DEFAULT_FPS;
+    const frameCount = Math.max(1, Math.round((option.duration || 1) * fps));
+    const encoder = this.createEncoder(format, fps, option.bitrate || CanvasRecorder.DEFAULT_BITRATE);
+
+    this.recording = true;
+    this.cancelled = false;
+    let finished = false;
+    try {
+      await encoder.start();
+      for (let i = 0; i < frameCount; ++i) {
+        if (this.cancelled === true) {break;}
+        await renderFrame(i / fps, i);
+        await encoder.addFrame(i);
+        if (option.onProgress != null) {
+          option.onProgress((i + 1) / frameCount);
+        }
+      }
+      // 中断した場合は、エンコードを最後まで行わずに破棄する
+      if (this.cancelled === true) {return null;}
+      const blob = await encoder.finish();
+      finished = true;
+      return this.cancelled === true ? null : blob;
+    } finally {
+      // 中断やエラーで finish まで進まなかった場合は、エンコーダが使っているリソースを解放する
+      if (finished !== true) {
+        encoder.abort();
+      }
+      this.recording = false;
+    }
+  }
+
+  /**
+   * 録画を中断する（record が返す Promise は null で解決される）
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * 形式に応じたエンコーダを生成する。
+   * WebM は WebCodecs が使える場合はそちらを使い、使えない場合は MediaRecorder にフォールバックする。
+   * @param {string} format - 録画する形式
+   * @param {number} fps - フレームレート
+   * @param {number} bitrate - WebM のビットレート
+   * @return {object} start, addFrame, finish, abort を持つエンコーダ
+   */
+  createEncoder(format, fps, bitrate) {
+    switch (format) {
+      case 'gif':
+        return new GifFrameEncoder(this.canvas, fps);
+      case 'png':
+        return new PngSequenceEncoder(this.canvas);
+      default:
+        if (typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined') {
+          return new WebCodecsEncoder(this.canvas, fps, bitrate);
+        }
+        return new MediaRecorderEncoder(this.canvas, fps, bitrate);
+    }
+  }
+}
+
+/**
+ * WebCodecs で VP9（使えなければ VP8）にエンコードし、WebM にまとめるエンコーダ
+ * @class
+ */
+class WebCodecsEncoder {
+  /** @type {number} */
+  static MAX_QUEUE_SIZE = 8;
+
+  constructor(canvas, fps, bitrate) {
+    this.canvas = canvas;
+    this.fps = fps;
+    this.bitrate = bitrate;
+    this.encoder = null;
+    this.writer = null;
+    this.error = null;
+  }
+
+  async start() {
+    const width = this.canvas.width;
+    const height = this.canvas.height;
+    const candidates = [
+      {codec: 'vp09.00.10.08', container: 'V_VP9'},
+      {codec: 'vp8', container: 'V_VP8'},
+    ];
+    let selected = null;
+    for (let i = 0; i < candidates.length; ++i) {
+      const config = {codec: candidates[i].codec, width, height, bitrate: this.bitrate, framerate: this.fps};
+      const support = await VideoEncoder.isConfigSupported(config);
+      if (support.supported === true) {
+        selected = {config, container: candidates[i].container};
+        break;
+      }
+    }
+    if (selected == null) {
+      throw new Error('no supported WebM video codec');
+    }
+    this.writer = new WebMWriter({width, height, codec: selected.container});
+    this.encoder = new VideoEncoder({
+      output: (chunk) => {
+        const data = new Uint8Array(chunk.byteLength);
+        chunk.copyTo(data);
+        this.writer.addFrame(data, chunk.timestamp / 1000, chunk.type === 'key', (chunk.duration || 0) / 1000);
+      },
+      error: (error) => {
+        this.error = error;
+      },
+    });
+    this.encoder.configure(selected.config);
+  }
+
+  async addFrame(index) {
+    if (this.error != null) {throw this.error;}
+    const frame = new VideoFrame(this.canvas, {
+      timestamp: Math.round(index * 1000000 / this.fps),
+      duration: Math.round(1000000 / this.fps),
+    });
+    // 2 秒ごとにキーフレームを入れる
+    this.encoder.encode(frame, {keyFrame: index % (this.fps * 2) === 0});
+    frame.close();
+    // エンコードが追いつくまで待つ（メモリを使いすぎないため）
+    while (this.encoder.encodeQueueSize > WebCodecsEncoder.MAX_QUEUE_SIZE) {
+      await new Promise((resolve) => setTimeout(resolve, 1));
+    }
+  }
+
+  async finish() {
+    await this.encoder.flush();
+    this.encoder.close();
+    if (this.error != null) {throw this.error;}
+    return this.writer.finish();
+  }
+
+  abort() {
+    if (this.encoder != null && this.encoder.state !== 'closed') {
+      this.encoder.close();
+    }
+    this.encoder = null;
+    this.writer = null;
+  }
+}
+
+/**
+ * MediaRecorder で WebM を録画するエンコーダ（WebCodecs が使えない環境用）
+ * MediaRecorder は実時間でタイムスタンプを付けるため、フレームの間隔が 1 / fps 秒になるよう待ちながら録画する
+ * @class
+ */
+class MediaRecorderEncoder {
+  constructor(canvas, fps, bitrate) {
+    this.canvas = canvas;
+    this.fps = fps;
+    this.bitrate = bitrate;
+    this.chunks = [];
+  }
+
+  async start() {
+    this.stream = this.canvas.captureStream(0);
+    this.track = this.stream.getVideoTracks()[0];
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find((type) => {
+      return MediaRecorder.isTypeSupported(type);
+    });
+    this.recorder = new MediaRecorder(this.stream, {mimeType, videoBitsPerSecond: this.bitrate});
+    this.recorder.addEventListener('dataavailable', (event) => {
+      if (event.data.size > 0) {
+        this.chunks.push(event.data);
+      }
+    });
+    this.recorder.start();
+    this.startTime = performance.now();
+  }
+
+  async addFrame(index) {
+    this.track.requestFrame();
+    const wait = this.startTime + (index + 1) * 1000 / this.fps - performance.now();
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+  }
+
+  finish() {
+    return new Promise((resolve) => {
+      this.recorder.addEventListener('stop', () => {
+        this.track.stop();
+        resolve(new Blob(this.chunks, {type: this.recorder.mimeType || 'video/webm'}));
+      }, {once: true});
+      this.recorder.stop();
+    });
+  }
+
+  abort() {
+    if (this.recorder != null && this.recorder.state !== 'inactive') {
+      this.recorder.stop();
+    }
+    if (this.track != null) {
+      this.track.stop();
+    }
+    this.chunks = [];
+  }
+}
+
+/**
+ * アニメーション GIF のエンコーダ
+ * @class
+ */
+class GifFrameEncoder {
+  constructor(canvas, fps) {
+    this.canvas = canvas;
+    this.fps = fps;
+  }
+
+  async start() {
+    this.copy = document.createElement('canvas');
+    this.copy.width = this.canvas.width;
+    this.copy.height = this.canvas.height;
+    this.ctx = this.copy.getContext('2d', {willReadFrequently: true});
+    this.encoder = new GifEncoder(this.canvas.width, this.canvas.height);
+  }
+
+  async addFrame(index) {
+    this.ctx.drawImage(this.canvas, 0, 0);
+    const pixels = this.ctx.getImageData(0, 0, this.copy.width, this.copy.height).data;
+    // GIF の遅延時間は 1/100 秒単位なので、端数を累積させないようフレームの開始時刻の差で求める
+    const delay = Math.round((index + 1) * 100 / this.fps) - Math.round(index * 100 / this.fps);
+    this.encoder.addFrame(pixels, delay);
+  }
+
+  async finish() {
+    return this.encoder.finish();
+  }
+
+  abort() {
+    this.encoder = null;
+    this.copy = null;
+    this.ctx = null;
+  }
+}
+
+/**
+ * PNG 連番を ZIP にまとめるエンコーダ
+ * @class
+ */
+class PngSequenceEncoder {
+  constructor(canvas) {
+    this.canvas = canvas;
+  }
+
+  async start() {
+    this.zip = new ZipWriter();
+  }
+
+  async addFrame(index) {
+    // toBlob は呼び出した時点の canvas の内容を使う
+    const blob = await new Promise((resolve) => this.canvas.toBlob(resolve, 'image/png'));
+    const data = new Uint8Array(await blob.arrayBuffer());
+    this.zip.addFile(`frame_${String(index).padStart(5, '0')}.png`, data);
+  }
+
+  async finish() {
+    return this.zip.finish();
+  }
+
+  abort() {
+    this.zip = null;
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * シェーダのコンパイル・リンクに失敗した際に送出されるエラー
+ * ドライバのログを解析し、ファイル名・行・列・メッセージのレコードとして保持する
+ * @class
+ */
+export class ShaderCompileError extends Error {
+  /**
+   * @constructor
+   * @param {string} log - ドライバが出力したログ（getShaderInfoLog / getProgramInfoLog）
+   * @param {object} [option={}]
+   * @property {string} option.stage - 失敗した段階（'vertex', 'fragment', 'link' のいずれか）
+   * @property {string} option.file - シェーダのファイル名
+   * @property {string} option.source - シェーダのソースコード
+   */
+  constructor(log, option = {}) {
+    const stage = option.stage || 'link';
+    const file = option.file != null ? option.file : null;
+    const records = ShaderCompileError.parseLog(log, file);
+    super(`${stage} shader ${stage === 'link' ? 'link' : 'compilation'} failed${file != null ? ` (${file})` : ''}`);
+    this.name = 'ShaderCompileError';
+    this.stage = stage;
+    this.file = file;
+    this.log = log;
+    this.records = records;
+    // ファイル名をキーとするソースコード（オーバーレイで該当行を表示するのに使う）
+    this.sources = {};
+    if (file != null && option.source != null) {
+      this.sources[file] = option.source;
+    }
+  }
+
+  /**
+   * ドライバのログを解析してレコードの配列を返す。
+   * ANGLE 形式（ERROR: 0:12: message）と Mesa 形式（0:12(5): error: message）に対応する。
+   * @param {string} log - ドライバが出力したログ
+   * @param {string} [file=null] - レコードに設定するファイル名
+   * @return {Array.<object>} レコードの配列
+   * @property {string} file - ファイル名
+   * @property {number} line - 行番号（1 始まり、不明な場合は null）
+   * @property {number} column - 列番号（1 始まり、不明な場合は null）
+   * @property {string} severity - 'error' または 'warning'
+   * @property {string} message - メッセージ
+   */
+  static parseLog(log, file = null) {
+    const records = [];
+    if (log == null) {return records;}
+    log.split(/\r?\n/).forEach((text) => {
+      const line = text.replace(/\0/g, '').trim();
+      if (line === '') {return;}
+      let match = line.match(/^(ERROR|WARNING):\s*\d+:(\d+):\s*(.*)$/i);
+      if (match != null) {
+        records.push({
+          file: file,
+          line: parseInt(match[2], 10),
+          column: null,
+          severity: match[1].toLowerCase(),
+          message: match[3],
+        });
+        return;
+      }
+      match = line.match(/^\d+:(\d+)\((\d+)\):\s*(error|warning):\s*(.*)$/i);
+      if (match != null) {
+        records.push({
+          file: file,
+          line: parseInt(match[1], 10),
+          column: parseInt(match[2], 10),
+          severity: match[3].toLowerCase(),
+          message: match[4],
+        });
+        return;
+      }
+      // エラー件数の集計行は除外する
+      if (/compilation errors?\.\s*No code generated/i.test(line) === true) {return;}
+      records.push({file: file, line: null, column: null, severity: 'error', message: line});
+    });
+    return records;
+  }
+
+  /**
+   * 行マップを使って、レコードの行番号を展開前のファイル名と行番号に置き換える。
+   * @param {Array.<object>} lineMap - ShaderLoader.load が返す行マップ
+   * @param {object} [sources] - ファイル名をキーとする展開前のソースコード
+   * @return {ShaderCompileError} このエラー自身
+   */
+  remap(lineMap, sources) {
+    this.records.forEach((record) => {
+      if (record.line == null || lineMap[record.line - 1] == null) {return;}
+      const mapped = lineMap[record.line - 1];
+      record.file = mapped.file;
+      record.line = mapped.line;
+    });
+    if (sources != null) {
+      Object.assign(this.sources, sources);
+    }
+    return this;
+  }
+
+  /**
+   * レコードを file:line:column: severity: message 形式の文字列にして返す。
+   * @return {string}
+   */
+  format() {
+    if (this.records.length === 0) {
+      return this.message;
+    }
+    return this.records.map((record) => {
+      const location = [record.file || this.stage, record.line, record.column].filter((v) => v != null).join(':');
+      return `${location}: ${record.severity}: ${record.message}`;
+    }).join('\n');
+  }
+}
+
+/**
+ * ShaderCompileError の内容を canvas の上に重ねて表示するオーバーレイ
+ * @class
+ */
+export class ShaderErrorOverlay {
+  /** @type {number} */
+  static CONTEXT_LINES = 2;
+
+  /**
+   * @constructor
+   * @param {HTMLCanvasElement} canvas - オーバーレイを重ねる canvas 要素
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.element = document.createElement('pre');
+    Object.assign(this.element.style, {
+      position: 'fixed',
+      display: 'none',
+      overflow: 'auto',
+      boxSizing: 'border-box',
+      margin: '0px',
+      padding: '16px',
+      backgroundColor: 'rgba(0, 0, 0, 0.85)',
+      color: '#ddd',
+      font: '12px/1.5 monospace',
+      textAlign: 'left',
+      whiteSpace: 'pre',
+      zIndex: '1000',
+    });
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * エラーの内容を表示する。
+   * 行番号が分かるレコードは、該当行の前後のソースコードも合わせて表示する。
+   * @param {ShaderCompileError} error - 表示するエラー
+   */
+  show(error) {
+    const rect = this.canvas.getBoundingClientRect();
+    Object.assign(this.element.style, {
+      display: 'block',
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
+    this.element.textContent = '';
+    this.append(`${error.name}: ${error.message}\n\n`, '#f66');
+    error.records.forEach((record) => {
+      const location = [record.file || error.stage, record.line, record.column].filter((v) => v != null).join(':');
+      this.append(`${location}: ${record.severity}: ${record.message}\n`, record.severity === 'warning' ? '#fc6' : '#f66');
+      const source = error.sources[record.file];
+      if (source == null || record.line == null) {
+        this.append('\n');
+        return;
+      }
+      const lines = source.split(/\r?\n/);
+      const first = Math.max(1, record.line - ShaderErrorOverlay.CONTEXT_LINES);
+      const last = Math.min(lines.length, record.line + ShaderErrorOverlay.CONTEXT_LINES);
+      const width = String(last).length;
+      for (let i = first; i <= last; ++i) {
+        const marker = i === record.line ? '>' : ' ';
+        this.append(`${marker} ${String(i).padStart(width)} | ${lines[i - 1]}\n`, i === record.line ? '#fff' : '#888');
+        if (i === record.line && record.column != null) {
+          this.append(`  ${' '.repeat(width)} | ${' '.repeat(record.column - 1)}^\n`, '#f66');
+        }
+      }
+      this.append('\n');
+    });
+  }
+
+  /**
+   * オーバーレイを非表示にする。
+   */
+  hide() {
+    this.element.style.display = 'none';
+    this.element.textContent = '';
+  }
+
+  /**
+   * 色付きのテキストを末尾に追加する。
+   * @param {string} text - 追加するテキスト
+   * @param {string} [color] - 文字色
+   */
+  append(text, color) {
+    const span = document.createElement('span');
+    span.textContent = text;
+    if (color != null) {
+      span.style.color = color;
+    }
+    this.element.appendChild(span);
+  }
+}
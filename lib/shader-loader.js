@@ -0,0 +1,130 @@
+import { WebGLUtility } from './webgl.js';
+
+/**
+ * #include を解決しながらシェーダのソースコードを読み込むローダー
+ * 展開後の各行が元のどのファイルの何行目だったかを行マップとして保持する
+ * @class
+ */
+export class ShaderLoader {
+  /** @type {string} */
+  static DEFINES_FILE = '(defines)';
+
+  /**
+   * シェーダファイルを読み込み、#include を再帰的に展開して返す。
+   * #include "path" のパスは記述したファイルからの相対パスとして解決する。
+   * 同じファイルは 1 度だけ展開され、循環した #include はエラーになる。
+   * @param {string} path - 読み込むファイルのパス
+   * @param {object} [option={}]
+   * @property {object} option.defines - #define として先頭に挿入するマクロ（値が true の場合は値なし、false の場合は定義しない）
+   * @property {boolean} option.noCache - ブラウザのキャッシュを使わずに読み込むかどうか
+   * @return {Promise} 読み込み結果のオブジェクトを引数に解決される
+   * @property {string} name - 読み込んだファイルのパス
+   * @property {string} source - 展開後のソースコード
+   * @property {Array.<object>} lineMap - 展開後の各行に対応する元のファイル名（file）と行番号（line）
+   * @property {object} sources - ファイル名をキーとする展開前のソースコード
+   * @property {Array.<string>} files - 読み込んだすべてのファイルのパス
+   */
+  static async load(path, option = {}) {
+    const state = {
+      lines: [],
+      lineMap: [],
+      sources: {},
+      included: new Set(),
+      init: option.noCache === true ? {cache: 'no-store'} : undefined,
+    };
+    await ShaderLoader.expand(path, [], state);
+
+    // #define は #version の直後（なければ先頭）に挿入する
+    const defines = ShaderLoader.createDefines(option.defines);
+    if (defines.length > 0) {
+      const index = state.lines.length > 0 && /^\s*#version\b/.test(state.lines[0]) === true ? 1 : 0;
+      state.lines.splice(index, 0, ...defines);
+      state.lineMap.splice(index, 0, ...defines.map((define, i) => {
+        return {file: ShaderLoader.DEFINES_FILE, line: i + 1};
+      }));
+      state.sources[ShaderLoader.DEFINES_FILE] = defines.join('\n');
+    }
+
+    return {
+      name: path,
+      source: state.lines.join('\n'),
+      lineMap: state.lineMap,
+      sources: state.sources,
+      files: Object.keys(state.sources).filter((file) => file !== ShaderLoader.DEFINES_FILE),
+    };
+  }
+
+  /**
+   * ファイルを読み込み、#include を展開しながら行と行マップを追加する。
+   * @param {string} path - 読み込むファイルのパス
+   * @param {Array.<string>} stack - 展開中のファイルのパス（循環の検出に使う）
+   * @param {object} state - 展開結果を格納するオブジェクト
+   */
+  static async expand(path, stack, state) {
+    if (stack.includes(path) === true) {
+      throw new Error(`circular #include detected: ${stack.concat(path).join(' -> ')}`);
+    }
+    if (state.included.has(path) === true) {return;}
+    state.included.add(path);
+
+    let text = null;
+    try {
+      text = await WebGLUtility.loadFile(path, state.init);
+    } catch (error) {
+      // #include で指定したファイルが見つからない場合は、どこから読み込もうとしたかを示す
+      if (stack.length > 0) {
+        throw new Error(`#include not found: ${path} (included from ${stack[stack.length - 1]})`, {cause: error});
+      }
+      throw error;
+    }
+    state.sources[path] = text;
+    const lines = text.split(/\r?\n/);
+    for (let i = 0; i < lines.length; ++i) {
+      const match = lines[i].match(/^\s*#include\s+["<]([^">]+)[">]\s*(\/\/.*)?$/);
+      if (match != null) {
+        await ShaderLoader.expand(ShaderLoader.resolvePath(path, match[1]), stack.concat(path), state);
+      } else {
+        state.lines.push(lines[i]);
+        state.lineMap.push({file: path, line: i + 1});
+      }
+    }
+  }
+
+  /**
+   * オブジェクトから #define 行の配列を生成する。
+   * @param {object} [defines] - マクロ名をキーとするオブジェクト
+   * @return {Array.<string>} #define 行の配列
+   */
+  static createDefines(defines) {
+    if (defines == null) {return [];}
+    return Object.keys(defines).filter((name) => {
+      return defines[name] !== false && defines[name] != null;
+    }).map((name) => {
+      return defines[name] === true ? `#define ${name}` : `#define ${name} ${defines[name]}`;
+    });
+  }
+
+  /**
+   * #include を記述したファイルのパスを基準に、相対パスを解決する。
+   * @param {string} base - #include を記述したファイルのパス
+   * @param {string} path - #include に指定されたパス
+   * @return {string} 解決したパス
+   */
+  static resolvePath(base, path) {
+    if (path.charAt(0) === '/' || /^[a-z][a-z0-9+.-]*:/i.test(path) === true) {
+      return path;
+    }
+    const directory = base.slice(0, base.lastIndexOf('/') + 1);
+    const resolved = [];
+    (directory + path).split('/').forEach((part, index) => {
+      if (part === '.' && index > 0) {return;}
+      const last = resolved[resolved.length - 1];
+      if (part === '..' && last != null && last !== '..' && last !== '.' && last !== '') {
+        resolved.pop();
+        return;
+      }
+      resolved.push(part);
+    });
+    return resolved.join('/');
+  }
+}
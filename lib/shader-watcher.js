@@ -0,0 +1,138 @@
+import { ShaderLoader } from './shader-loader.js';
+
+/**
+ * 開発時にシェーダファイルの変更を監視し、ShaderProgram をその場で作り直すクラス
+ * ファイルを一定間隔で読み込み直し（ポーリング）、#include 先も含めて内容が変わっていれば再コンパイルする
+ * コンパイルに失敗した場合は元のプログラムを使い続ける
+ * @class
+ */
+export class ShaderWatcher {
+  /** @type {number} */
+  static DEFAULT_INTERVAL = 1000;
+
+  /**
+   * @constructor
+   * @param {object} [option={}]
+   * @property {number} option.interval - 変更を確認する間隔（ミリ秒）
+   * @property {function} option.onReload - 作り直しに成功した際に ShaderProgram を引数に呼ばれる
+   * @property {function} option.onError - 作り直しに失敗した際にエラーと ShaderProgram を引数に呼ばれる
+   */
+  constructor(option = {}) {
+    this.interval = option.interval || ShaderWatcher.DEFAULT_INTERVAL;
+    this.onReload = option.onReload || null;
+    this.onError = option.onError || null;
+    this.entries = [];
+    this.timer = null;
+    this.running = false;
+
+    // self binding
+    this.check = this.check.bind(this);
+  }
+
+  /**
+   * 監視するプログラムを追加する。
+   * プログラムを生成した時のソースコード（ShaderLoader.load の展開結果）を基準にするので、
+   * 監視を始める前に保存された変更も最初の確認で反映される。
+   * @param {ShaderProgram} program - 作り直す対象のプログラム
+   * @param {object} option
+   * @property {string} option.vertexShaderPath - 頂点シェーダのパス
+   * @property {string} option.fragmentShaderPath - フラグメントシェーダのパス
+   * @property {object} option.defines - ShaderLoader.load に渡す #define
+   */
+  watch(program, option) {
+    const built = program.vertexShaderSource != null && program.fragmentShaderSource != null;
+    this.entries.push({
+      program: program,
+      vertexShaderPath: option.vertexShaderPath,
+      fragmentShaderPath: option.fragmentShaderPath,
+      defines: option.defines || {},
+      // 生成時のソースコードがなければ、最初の確認時の内容を基準にする
+      signature: built === true ? `${program.vertexShaderSource}\0${program.fragmentShaderSource}` : null,
+      // 直前に読み込めなかった理由（同じ警告を毎回出さないため）
+      loadError: null,
+    });
+  }
+
+  /**
+   * 監視を開始する。
+   */
+  start() {
+    if (this.running === true) {return;}
+    this.running = true;
+    this.timer = setTimeout(this.check, this.interval);
+  }
+
+  /**
+   * 監視を停止する。
+   */
+  stop() {
+    this.running = false;
+    if (this.timer != null) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * すべてのプログラムのファイルを読み込み直し、変更があれば作り直す。
+   * 前回の確認が終わってから次の確認を予約するので、確認が重なることはない。
+   * @return {Promise}
+   */
+  async check() {
+    for (let i = 0; i < this.entries.length; ++i) {
+      await this.checkEntry(this.entries[i]);
+    }
+    if (this.running === true) {
+      this.timer = setTimeout(this.check, this.interval);
+    }
+  }
+
+  /**
+   * 1 つのプログラムのファイルを読み込み直し、変更があれば作り直す。
+   * @param {object} entry - watch で追加した監視対象
+   * @return {Promise}
+   */
+  async checkEntry(entry) {
+    let vs = null;
+    let fs = null;
+    try {
+      vs = await ShaderLoader.load(entry.vertexShaderPath, {defines: entry.defines, noCache: true});
+      fs = await ShaderLoader.load(entry.fragmentShaderPath, {defines: entry.defines, noCache: true});
+    } catch (error) {
+      // 保存途中（アトミックな保存で一瞬ファイルが存在しない場合など）や、#include のファイルが見つからない場合は
+      // ここで読み飛ばし、signature も更新せずに次の確認に任せる
+      if (entry.loadError !== error.message) {
+        console.warn(error);
+      }
+      entry.loadError = error.message;
+      return;
+    }
+    entry.loadError = null;
+    const signature = `${vs.source}\0${fs.source}`;
+    if (entry.signature == null) {
+      entry.signature = signature;
+      return;
+    }
+    if (signature === entry.signature) {return;}
+    entry.signature = signature;
+    try {
+      entry.program.rebuild({
+        vertexShaderSource: vs.source,
+        fragmentShaderSource: fs.source,
+        vertexShaderLineMap: vs.lineMap,
+        fragmentShaderLineMap: fs.lineMap,
+        shaderSources: Object.assign({}, vs.sources, fs.sources),
+      });
+    } catch (error) {
+      if (this.onError != null) {
+        this.onError(error, entry.program);
+      } else {
+        console.error(error);
+      }
+      return;
+    }
+    if (this.onReload != null) {
+      this.onReload(entry.program);
+    }
+  }
+}
@@ -0,0 +1,394 @@
+import { WebGLMath } from './math.js';
+
+/**
+ * イージング関数の集まり
+ * いずれも 0.0 ~ 1.0 の進行度を受け取り、補間に使う値を返す
+ * @class
+ */
+export class Easing {
+  static linear(t) {return t;}
+  static inQuad(t) {return t * t;}
+  static outQuad(t) {return 1 - (1 - t) * (1 - t);}
+  static inOutQuad(t) {return t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;}
+  static inCubic(t) {return t * t * t;}
+  static outCubic(t) {return 1 - Math.pow(1 - t, 3);}
+  static inOutCubic(t) {return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;}
+  static inQuart(t) {return t * t * t * t;}
+  static outQuart(t) {return 1 - Math.pow(1 - t, 4);}
+  static inOutQuart(t) {return t < 0.5 ? 8 * t * t * t * t : 1 - Math.pow(-2 * t + 2, 4) / 2;}
+  static inQuint(t) {return t * t * t * t * t;}
+  static outQuint(t) {return 1 - Math.pow(1 - t, 5);}
+  static inOutQuint(t) {return t < 0.5 ? 16 * t * t * t * t * t : 1 - Math.pow(-2 * t + 2, 5) / 2;}
+  static inSine(t) {return 1 - Math.cos(t * Math.PI / 2);}
+  static outSine(t) {return Math.sin(t * Math.PI / 2);}
+  static inOutSine(t) {return -(Math.cos(Math.PI * t) - 1) / 2;}
+  static inExpo(t) {return t === 0 ? 0 : Math.pow(2, 10 * t - 10);}
+  static outExpo(t) {return t === 1 ? 1 : 1 - Math.pow(2, -10 * t);}
+  static inOutExpo(t) {
+    if (t === 0 || t === 1) {return t;}
+    return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+  }
+  static inCirc(t) {return 1 - Math.sqrt(1 - t * t);}
+  static outCirc(t) {return Math.sqrt(1 - Math.pow(t - 1, 2));}
+  static inOutCirc(t) {
+    return t < 0.5 ? (1 - Math.sqrt(1 - Math.pow(2 * t, 2))) / 2 : (Math.sqrt(1 - Math.pow(-2 * t + 2, 2)) + 1) / 2;
+  }
+  static inBack(t) {return 2.70158 * t * t * t - 1.70158 * t * t;}
+  static outBack(t) {return 1 + 2.70158 * Math.pow(t - 1, 3) + 1.70158 * Math.pow(t - 1, 2);}
+  static inOutBack(t) {
+    const c = 1.70158 * 1.525;
+    return t < 0.5 ?
+      (Math.pow(2 * t, 2) * ((c + 1) * 2 * t - c)) / 2 :
+      (Math.pow(2 * t - 2, 2) * ((c + 1) * (t * 2 - 2) + c) + 2) / 2;
+  }
+  static inElastic(t) {
+    if (t === 0 || t === 1) {return t;}
+    return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * (2 * Math.PI) / 3);
+  }
+  static outElastic(t) {
+    if (t === 0 || t === 1) {return t;}
+    return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1;
+  }
+  static inOutElastic(t) {
+    if (t === 0 || t === 1) {return t;}
+    const c = (2 * Math.PI) / 4.5;
+    return t < 0.5 ?
+      -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * c)) / 2 :
+      (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * c)) / 2 + 1;
+  }
+  static inBounce(t) {return 1 - Easing.outBounce(1 - t);}
+  static outBounce(t) {
+    const n = 7.5625;
+    const d = 2.75;
+    if (t < 1 / d) {return n * t * t;}
+    if (t < 2 / d) {return n * (t -= 1.5 / d) * t + 0.75;}
+    if (t < 2.5 / d) {return n * (t -= 2.25 / d) * t + 0.9375;}
+    return n * (t -= 2.625 / d) * t + 0.984375;
+  }
+  static inOutBounce(t) {
+    return t < 0.5 ? (1 - Easing.outBounce(1 - 2 * t)) / 2 : (1 + Easing.outBounce(2 * t - 1)) / 2;
+  }
+
+  /**
+   * 名前または関数からイージング関数を取得する。
+   * @param {string|function} easing - イージングの名前（'outCubic' など）または関数
+   * @return {function} イージング関数
+   */
+  static get(easing) {
+    if (easing == null) {return Easing.linear;}
+    if (typeof easing === 'function') {return easing;}
+    if (typeof Easing[easing] !== 'function' || easing === 'get') {
+      throw new Error(`unknown easing: ${easing}`);
+    }
+    return Easing[easing];
+  }
+}
+
+/**
+ * Tween と Timeline に共通する、ディレイ・繰り返し・往復（yoyo）の処理を持つ基底クラス
+ * 時間はすべて秒で、外から与えられた時間に応じて値を決めるだけなので、
+ * 時間を止めたり巻き戻したり（スクラブ）しても同じ結果になる
+ * @class
+ */
+class TimelineItem {
+  /**
+   * @constructor
+   * @param {object} [option={}]
+   * @property {number} option.delay - 開始までの時間（秒）
+   * @property {number} option.repeat - 繰り返す回数（Infinity または -1 の場合は無限にループする）
+   * @property {boolean} option.yoyo - 繰り返しのたびに向きを反転するかどうか
+   * @property {function} option.onComplete - 最後まで進んだ時に呼ばれる
+   */
+  constructor(option = {}) {
+    this.delay = option.delay || 0;
+    this.repeat = option.repeat === -1 ? Infinity : (option.repeat || 0);
+    this.yoyo = option.yoyo === true;
+    this.onComplete = option.onComplete || null;
+  }
+
+  /**
+   * 1 回分の長さ（秒）
+   * @type {number}
+   */
+  get duration() {
+    return 0;
+  }
+
+  /**
+   * ディレイと繰り返しを含めた全体の長さ（秒）
+   * @type {number}
+   */
+  get totalDuration() {
+    return this.delay + this.duration * (this.repeat + 1);
+  }
+
+  /**
+   * 全体の時間を 1 回分の中の時間に変換する。
+   * @param {number} time - 開始からの時間（秒）
+   * @return {object} 1 回分の中の時間（time）と何回目か（iteration）
+   */
+  localTime(time) {
+    const t = time - this.delay;
+    const duration = this.duration;
+    if (t <= 0) {return {time: 0, iteration: 0};}
+    if (duration <= 0) {return {time: duration, iteration: 0};}
+    // 無限にループする子を含む場合は 1 回分が終わらない
+    if (duration === Infinity) {return {time: t, iteration: 0};}
+    let iteration = Math.floor(t / duration);
+    let local = t - iteration * duration;
+    if (iteration > this.repeat) {
+      iteration = this.repeat;
+      local = duration;
+    }
+    if (this.yoyo === true && iteration % 2 === 1) {
+      local = duration - local;
+    }
+    return {time: local, iteration: iteration};
+  }
+
+  /**
+   * 最後まで進んだかどうかを判定し、onComplete を呼ぶ。
+   * @param {number} time - 今回の時間
+   * @param {number} last - 前回の時間
+   */
+  checkComplete(time, last) {
+    const total = this.totalDuration;
+    if (this.onComplete != null && last < total && time >= total) {
+      this.onComplete(this);
+    }
+  }
+}
+
+/**
+ * オブジェクトのプロパティを時間に応じて変化させるアニメーション
+ * 数値のほか、Vec3 などの配列（要素ごとの線形補間）、Qtn（球面線形補間）を扱える
+ * @class
+ */
+export class Tween extends TimelineItem {
+  /**
+   * @constructor
+   * @param {object} target - アニメーションさせるオブジェクト
+   * @param {string} property - プロパティ名
+   * @param {object} option - TimelineItem のオプションに加えて下記を指定する
+   * @property {number|Array.<number>} option.from - 開始値（省略した場合は現在の値）
+   * @property {number|Array.<number>} option.to - 終了値
+   * @property {number} option.duration - 長さ（秒）
+   * @property {Array.<object>} option.keyframes - キーフレームの配列（time（秒）、value、easing）
+   * 指定した場合は from / to / duration の代わりに使う
+   * @property {string|function} option.easing - イージング（キーフレームでは各区間の既定値になる）
+   * @property {string} option.interpolation - 'lerp'（既定値）または 'slerp'（クォータニオン）
+   * @property {function} option.onUpdate - 値を更新するたびに値を引数に呼ばれる
+   */
+  constructor(target, property, option) {
+    super(option);
+    this.target = target;
+    this.property = property;
+    this.easing = Easing.get(option.easing);
+    this.interpolation = option.interpolation || 'lerp';
+    this.onUpdate = option.onUpdate || null;
+
+    if (Array.isArray(option.keyframes) === true) {
+      this.keyframes = option.keyframes.map((keyframe) => {
+        return {time: keyframe.time, value: Tween.clone(keyframe.value), easing: Easing.get(keyframe.easing || option.easing)};
+      }).sort((a, b) => a.time - b.time);
+    } else {
+      const from = option.from != null ? option.from : target[property];
+      this.keyframes = [
+        {time: 0, value: Tween.clone(from), easing: this.easing},
+        {time: option.duration || 0, value: Tween.clone(option.to), easing: this.easing},
+      ];
+    }
+    if (this.keyframes.length === 0) {
+      throw new Error('keyframes are empty');
+    }
+    // 配列の値は補間結果を書き込む作業用の配列を用意しておく
+    const first = this.keyframes[0].value;
+    this.value = typeof first === 'number' ? first : Tween.clone(first);
+  }
+
+  get duration() {
+    return this.keyframes[this.keyframes.length - 1].time;
+  }
+
+  /**
+   * 時間に応じた値を求めてプロパティに設定する（Timeline から呼ばれる）
+   * @param {number} time - 開始からの時間（秒）
+   * @param {number} last - 前回の時間（秒）
+   */
+  render(time, last) {
+    const local = this.localTime(time).time;
+    const value = this.evaluate(local);
+    const current = this.target[this.property];
+    if (typeof value !== 'number' && current != null && current.length === value.length) {
+      // Vec3 などは参照を保ったまま中身だけを書き換える
+      for (let i = 0; i < value.length; ++i) {
+        current[i] = value[i];
+      }
+    } else {
+      this.target[this.property] = typeof value === 'number' ? value : Tween.clone(value);
+    }
+    if (this.onUpdate != null) {
+      this.onUpdate(this.target[this.property]);
+    }
+    this.checkComplete(time, last);
+  }
+
+  /**
+   * 1 回分の中の時間に対応する値を求める。
+   * @param {number} time - 1 回分の中の時間（秒）
+   * @return {number|Array.<number>} 補間した値
+   */
+  evaluate(time) {
+    const keyframes = this.keyframes;
+    if (time <= keyframes[0].time || keyframes.length === 1) {
+      return this.interpolate(keyframes[0].value, keyframes[0].value, 0);
+    }
+    for (let i = 1; i < keyframes.length; ++i) {
+      const next = keyframes[i];
+      if (time <= next.time || i === keyframes.length - 1) {
+        const prev = keyframes[i - 1];
+        const span = next.time - prev.time;
+        const progress = span > 0 ? Math.min(1, (time - prev.time) / span) : 1;
+        return this.interpolate(prev.value, next.value, next.easing(progress));
+      }
+    }
+    return keyframes[keyframes.length - 1].value;
+  }
+
+  /**
+   * 2 つの値を補間する。
+   * @param {number|Array.<number>} a - 開始値
+   * @param {number|Array.<number>} b - 終了値
+   * @param {number} t - イージングを適用した進行度
+   * @return {number|Array.<number>} 補間した値（配列の場合は作業用の配列）
+   */
+  interpolate(a, b, t) {
+    if (typeof a === 'number') {
+      return a + (b - a) * t;
+    }
+    const out = this.value;
+    if (this.interpolation === 'slerp') {
+      // 遠回りしないよう、内積が負の場合は終了値の符号を反転してから補間する
+      const dot = a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+      const end = dot < 0 ? [-b[0], -b[1], -b[2], -b[3]] : b;
+      return WebGLMath.Qtn.slerp(a, end, t, out);
+    }
+    for (let i = 0; i < a.length; ++i) {
+      out[i] = a[i] + (b[i] - a[i]) * t;
+    }
+    return out;
+  }
+
+  /**
+   * 値を複製する（配列は同じ型の配列として複製する）
+   * @param {number|Array.<number>} value - 複製する値
+   * @return {number|Array.<number>}
+   */
+  static clone(value) {
+    if (value == null || typeof value === 'number') {return value;}
+    return typeof value.slice === 'function' ? value.slice() : Array.from(value);
+  }
+}
+
+/**
+ * Tween や Timeline をまとめて再生するグループ
+ * 子を順番に再生する（sequence）か、同時に再生する（parallel）かを選べ、入れ子にもできる
+ * 描画ループの時間を update に渡して使う
+ * @class
+ */
+export class Timeline extends TimelineItem {
+  /**
+   * @constructor
+   * @param {object} [option={}] - TimelineItem のオプションに加えて下記を指定する
+   * @property {string} option.mode - 'parallel'（既定値）または 'sequence'
+   * @property {number} option.startTime - update に渡す時間のうち、このタイムラインの開始時間（秒）
+   */
+  constructor(option = {}) {
+    super(option);
+    this.mode = option.mode || 'parallel';
+    this.children = [];
+    this.startTime = option.startTime || 0;
+    this.last = null;
+  }
+
+  get duration() {
+    return this.children.reduce((max, child) => Math.max(max, child.start + child.item.totalDuration), 0);
+  }
+
+  /**
+   * 子を追加する。
+   * sequence の場合は最後の子の終了後に、parallel の場合はタイムラインの開始時に始まる。
+   * @param {Tween|Timeline} item - 追加する子
+   * @param {number} [offset=0] - 開始時間をずらす量（秒）
+   * @return {Tween|Timeline} 追加した子
+   */
+  add(item, offset = 0) {
+    const start = (this.mode === 'sequence' ? this.duration : 0) + offset;
+    this.children.push({item: item, start: start});
+    return item;
+  }
+
+  /**
+   * Tween を生成して追加する。
+   * @param {object} target - アニメーションさせるオブジェクト
+   * @param {string} property - プロパティ名
+   * @param {object} option - Tween のオプション
+   * @param {number} [offset=0] - 開始時間をずらす量（秒）
+   * @return {Tween} 追加した Tween
+   */
+  to(target, property, option, offset = 0) {
+    return this.add(new Tween(target, property, option), offset);
+  }
+
+  /**
+   * 子を取り除く（取り除いた子はそれ以降値を変更しない）
+   * @param {Tween|Timeline} item - 取り除く子
+   */
+  remove(item) {
+    this.children = this.children.filter((child) => child.item !== item);
+  }
+
+  /**
+   * 描画ループの時間に合わせて更新する。
+   * 時間を戻したり飛ばしたりした場合も、その時間の状態になる。
+   * @param {number} time - 描画ループの時間（秒）
+   */
+  update(time) {
+    const local = time - this.startTime;
+    this.render(local, this.last == null ? 0 : this.last);
+    this.last = local;
+  }
+
+  /**
+   * 時間に応じて子を更新する（親の Timeline または update から呼ばれる）
+   * 前回から今回の時間の間に重なる子だけを更新するので、終わった子がプロパティを上書きし続けることはない。
+   * 同じプロパティを複数の子が変更する場合は、今回の時間に最後に始まった子の値が残る。
+   * @param {number} time - 開始からの時間（秒）
+   * @param {number} last - 前回の時間（秒）
+   */
+  render(time, last) {
+    const current = this.localTime(time);
+    const previous = this.localTime(last);
+    const t = current.time;
+    // 繰り返しをまたいだ場合はすべての子を対象にする
+    const sameIteration = current.iteration === previous.iteration;
+    if (sameIteration === true && previous.time === t) {
+      // 時間が止まっている、または終了後は何もしない（GUI などで変更した値を上書きしない）
+      this.checkComplete(time, last);
+      return;
+    }
+    const from = sameIteration === true ? Math.min(previous.time, t) : -Infinity;
+    const to = sameIteration === true ? Math.max(previous.time, t) : Infinity;
+    const swept = this.children.filter((child) => {
+      return child.start <= to && child.start + child.item.totalDuration >= from;
+    });
+    // まだ始まっていない子は開始時の値に戻し（遅いものから）、始まっている子は早いものから更新する
+    const pending = swept.filter((child) => child.start > t).sort((a, b) => b.start - a.start);
+    const started = swept.filter((child) => child.start <= t).sort((a, b) => a.start - b.start);
+    const lastLocal = sameIteration === true ? previous.time : (t >= previous.time ? -Infinity : Infinity);
+    pending.concat(started).forEach((child) => {
+      child.item.render(t - child.start, lastLocal - child.start);
+    });
+    this.checkComplete(time, last);
+  }
+}
@@ -1,15 +1,51 @@
+import { ShaderCompileError } from './shader-error.js';
 
 export class WebGLUtility {
+  /**
+   * canvas から WebGL コンテキストを取得する。
+   * WebGL 2.0 を優先し、取得できない場合は WebGL 1.0 にフォールバックする。
+   * @param {HTMLCanvasElement} canvas - 対象となる canvas 要素
+   * @param {object} [option={}] - getContext に渡すコンテキストの属性
+   * @param {boolean} [webgl2=true] - WebGL 2.0 を試みるかどうか
+   * @return {WebGLRenderingContext|WebGL2RenderingContext} WebGL コンテキスト（取得できない場合は null）
+   */
+  static createContext(canvas, option = {}, webgl2 = true) {
+    const contextNames = webgl2 === true ?
+      ['webgl2', 'webgl', 'experimental-webgl'] :
+      ['webgl', 'experimental-webgl'];
+    for (let i = 0; i < contextNames.length; ++i) {
+      const gl = canvas.getContext(contextNames[i], option);
+      if (gl != null) {
+        return gl;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * WebGL 2.0 のコンテキストかどうかを返す。
+   * @param {WebGLRenderingContext} gl - WebGL コンテキスト
+   * @return {boolean}
+   */
+  static isWebGL2(gl) {
+    return typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+  }
+
   /**
    * ファイルをプレーンテキストとして読み込む。
+   * 404 などの HTTP エラーの場合も reject する（エラーページの内容を返さない）
    * @param {string} path - 読み込むファイルのパス
+   * @param {object} [init] - fetch に渡すオプション（例: {cache: 'no-store'}）
    * @return {Promise}
    */
-  static loadFile(path) {
+  static loadFile(path, init) {
     return new Promise((resolve, reject) => {
       // fetch を使ってファイルにアクセスする
-      fetch(path)
+      fetch(path, init)
       .then((res) => {
+        if (res.ok !== true) {
+          throw new Error(`failed to load file: ${path} (${res.status} ${res.statusText})`);
+        }
         // テキストとして処理する
         return res.text();
       })
@@ -30,7 +66,7 @@ export class WebGLUtility {
    * @return {Promise}
    */
   static loadImage(path) {
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       // Image オブジェクトの生成
       const img = new Image();
       // ロード完了を検出したいので、先にイベントを設定する
@@ -38,6 +74,10 @@ export class WebGLUtility {
         // 画像を引数に Promise を解決する
         resolve(img);
       }, false);
+      // 読み込めなかった場合は Promise を拒否する
+      img.addEventListener('error', () => {
+        reject(new Error(`failed to load image: ${path}`));
+      }, false);
       // 読み込む画像のパスを設定する
       img.src = path;
     });
@@ -45,27 +85,33 @@ export class WebGLUtility {
 
   /**
    * シェーダオブジェクトを生成して返す。
-   * コンパイルに失敗した場合は理由をアラートし null を返す。
+   * コンパイルに失敗した場合は ShaderCompileError を送出する。
    * @param {WebGLRenderingContext} gl - WebGL コンテキスト
    * @param {string} source - シェーダのソースコード文字列
    * @param {number} type - gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+   * @param {string} [name=null] - エラーの表示に使うファイル名
    * @return {WebGLShader} シェーダオブジェクト
    */
-  static createShader(gl, source, type) {
+  static createShader(gl, source, type, name = null) {
     const shader = gl.createShader(type);
     gl.shaderSource(shader, source);
     gl.compileShader(shader);
     if (gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
       return shader;
     } else {
-      alert(gl.getShaderInfoLog(shader));
-      return null;
+      const log = gl.getShaderInfoLog(shader);
+      gl.deleteShader(shader);
+      throw new ShaderCompileError(log, {
+        stage: type === gl.VERTEX_SHADER ? 'vertex' : 'fragment',
+        file: name,
+        source: source,
+      });
     }
   }
 
   /**
    * プログラムオブジェクトを生成して返す。
-   * シェーダのリンクに失敗した場合は理由をアラートし null を返す。
+   * シェーダのリンクに失敗した場合は ShaderCompileError を送出する。
    * @param {WebGLRenderingContext} gl - WebGL コンテキスト
    * @param {WebGLShader} vs - 頂点シェーダオブジェクト
    * @param {WebGLShader} fs - フラグメントシェーダオブジェクト
@@ -80,14 +126,15 @@ export class WebGLUtility {
       gl.useProgram(program);
       return program;
     } else {
-      alert(gl.getProgramInfoLog(program));
-      return null;
+      const log = gl.getProgramInfoLog(program);
+      gl.deleteProgram(program);
+      throw new ShaderCompileError(log, {stage: 'link'});
     }
   }
 
   /**
    * プログラムオブジェクトを生成して返す。（transform feedback 対応）
-   * シェーダのリンクに失敗した場合は理由をアラートし null を返す。
+   * シェーダのリンクに失敗した場合は ShaderCompileError を送出する。
    * @param {WebGLRenderingContext} gl - WebGL コンテキスト
    * @param {WebGLShader} vs - 頂点シェーダオブジェクト
    * @param {WebGLShader} fs - フラグメントシェーダオブジェクト
@@ -104,8 +151,9 @@ export class WebGLUtility {
       gl.useProgram(program);
       return program;
     } else {
-      alert(gl.getProgramInfoLog(program));
-      return null;
+      const log = gl.getProgramInfoLog(program);
+      gl.deleteProgram(program);
+      throw new ShaderCompileError(log, {stage: 'link'});
     }
   }
 
@@ -140,12 +188,13 @@ export class WebGLUtility {
   /**
    * IBO を生成して返す。(INT 拡張版)
    * @param {WebGLRenderingContext} gl - WebGL コンテキスト
-   * @param {object} ext - getWebGLExtensions の戻り値
+   * @param {object} ext - getWebGLExtensions の戻り値（WebGL 2.0 では不要）
    * @param {Array} data - インデックスデータを格納した配列
    * @return {WebGLBuffer} IBO
    */
   static createIboInt(gl, ext, data) {
-    if (ext == null || ext.elementIndexUint == null) {
+    // WebGL 2.0 では拡張機能なしで利用できる
+    if (WebGLUtility.isWebGL2(gl) !== true && (ext == null || ext.elementIndexUint == null)) {
       throw new Error('element index Uint not supported');
     }
     const ibo = gl.createBuffer();
@@ -155,6 +204,53 @@ export class WebGLUtility {
     return ibo;
   }
 
+  /**
+   * VAO を生成して返す。
+   * WebGL 1.0 では OES_vertex_array_object 拡張機能を利用する。
+   * @param {WebGLRenderingContext} gl - WebGL コンテキスト
+   * @return {WebGLVertexArrayObject} VAO（利用できない場合は null）
+   */
+  static createVertexArray(gl) {
+    if (WebGLUtility.isWebGL2(gl) === true) {
+      return gl.createVertexArray();
+    }
+    const ext = gl.getExtension('OES_vertex_array_object');
+    return ext != null ? ext.createVertexArrayOES() : null;
+  }
+
+  /**
+   * VAO をバインドする。
+   * @param {WebGLRenderingContext} gl - WebGL コンテキスト
+   * @param {WebGLVertexArrayObject} vao - VAO（null の場合はバインドを解除する）
+   */
+  static bindVertexArray(gl, vao) {
+    if (WebGLUtility.isWebGL2(gl) === true) {
+      gl.bindVertexArray(vao);
+      return;
+    }
+    const ext = gl.getExtension('OES_vertex_array_object');
+    if (ext != null) {
+      ext.bindVertexArrayOES(vao);
+    }
+  }
+
+  /**
+   * VAO を削除する。
+   * @param {WebGLRenderingContext} gl - WebGL コンテキスト
+   * @param {WebGLVertexArrayObject} vao - VAO
+   */
+  static deleteVertexArray(gl, vao) {
+    if (vao == null) {return;}
+    if (WebGLUtility.isWebGL2(gl) === true) {
+      gl.deleteVertexArray(vao);
+      return;
+    }
+    const ext = gl.getExtension('OES_vertex_array_object');
+    if (ext != null) {
+      ext.deleteVertexArrayOES(vao);
+    }
+  }
+
   /**
    * 画像ファイルを読み込み、テクスチャを生成してコールバックで返却する。
    * @param {WebGLRenderingContext} gl - WebGL コンテキスト
@@ -213,6 +309,7 @@ export class WebGLUtility {
 
   /**
    * フレームバッファを生成して返す。（フロートテクスチャ版）
+   * WebGL 2.0 のコンテキストでは拡張機能の代わりに createFramebufferFloat2 を使う。
    * @param {WebGLRenderingContext} gl - WebGL コンテキスト
    * @param {object} ext - getWebGLExtensions の戻り値
    * @param {number} width - フレームバッファの幅
@@ -220,8 +317,14 @@ export class WebGLUtility {
    * @return {object} 生成した各種オブジェクトはラップして返却する
    * @property {WebGLFramebuffer} framebuffer - フレームバッファ
    * @property {WebGLTexture} texture - カラーバッファとして設定したテクスチャ
+   * @property {number} internalFormat - テクスチャの内部フォーマット（resizeFramebuffer で使う）
+   * @property {number} type - テクスチャのデータ型（resizeFramebuffer で使う）
    */
   static createFramebufferFloat(gl, ext, width, height) {
+    // WebGL 2.0 では OES_texture_float などの拡張機能は取得できない（サイズ付きフォーマットを使う）
+    if (WebGLUtility.isWebGL2(gl) === true) {
+      return WebGLUtility.createFramebufferFloat2(gl, width, height);
+    }
     if (ext == null || (ext.textureFloat == null && ext.textureHalfFloat == null)) {
       throw new Error('float texture not supported');
     }
@@ -238,25 +341,36 @@ export class WebGLUtility {
     gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, fTexture, 0);
     gl.bindTexture(gl.TEXTURE_2D, null);
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    return {framebuffer: frameBuffer, texture: fTexture};
+    return {framebuffer: frameBuffer, texture: fTexture, internalFormat: gl.RGBA, type: flg};
   }
 
   /**
    * フレームバッファを生成して返す。（フロートテクスチャ・WebGL 2.0 版）
-   * @param {WebGLRenderingContext} gl - WebGL コンテキスト
+   * EXT_color_buffer_float が使える場合は RGBA32F、EXT_color_buffer_half_float のみの場合は RGBA16F にする。
+   * @param {WebGL2RenderingContext} gl - WebGL コンテキスト
    * @param {number} width - フレームバッファの幅
    * @param {number} height - フレームバッファの高さ
    * @return {object} 生成した各種オブジェクトはラップして返却する
    * @property {WebGLFramebuffer} framebuffer - フレームバッファ
    * @property {WebGLTexture} texture - カラーバッファとして設定したテクスチャ
+   * @property {number} internalFormat - テクスチャの内部フォーマット（resizeFramebuffer で使う）
+   * @property {number} type - テクスチャのデータ型（resizeFramebuffer で使う）
    */
   static createFramebufferFloat2(gl, width, height) {
+    // フロートテクスチャへの描画には拡張機能が必要
+    const colorBufferFloat = gl.getExtension('EXT_color_buffer_float');
+    const colorBufferHalfFloat = colorBufferFloat == null ? gl.getExtension('EXT_color_buffer_half_float') : null;
+    if (colorBufferFloat == null && colorBufferHalfFloat == null) {
+      throw new Error('float framebuffer not supported');
+    }
+    const internalFormat = colorBufferFloat != null ? gl.RGBA32F : gl.RGBA16F;
+    const type = colorBufferFloat != null ? gl.FLOAT : gl.HALF_FLOAT;
     const frameBuffer = gl.createFramebuffer();
     gl.bindFramebuffer(gl.FRAMEBUFFER, frameBuffer);
     const fTexture = gl.createTexture();
     gl.bindTexture(gl.TEXTURE_2D, fTexture);
-    // RGBA32F かつ FLOAT
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA32F, width, height, 0, gl.RGBA, gl.FLOAT, null);
+    // RGBA32F かつ FLOAT（または RGBA16F かつ HALF_FLOAT）
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, gl.RGBA, type, null);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
     gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
@@ -264,25 +378,30 @@ export class WebGLUtility {
     gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, fTexture, 0);
     gl.bindTexture(gl.TEXTURE_2D, null);
     gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    return {framebuffer: frameBuffer, texture: fTexture};
+    return {framebuffer: frameBuffer, texture: fTexture, internalFormat: internalFormat, type: type};
   }
 
   /**
    * フレームバッファをリサイズする。
+   * フロートテクスチャ版で生成したものは、生成時と同じフォーマットで作り直す。
    * @param {WebGLRenderingContext} gl - WebGL コンテキスト
    * @param {object} obj - createFramebuffer が返すオブジェクト
    * @param {number} width - リサイズ後の幅
    * @param {number} height - リサイズ後の高さ
    */
-  static deleteFramebuffer(gl, obj, width, height) {
+  static resizeFramebuffer(gl, obj, width, height) {
     if (obj == null) {return;}
     if (obj.hasOwnProperty('renderbuffer') === true && gl.isRenderbuffer(obj.renderbuffer) === true) {
-      gl.bindRenderbuffer(gl.RENDERBUFFER, this.buffers.renderbuffer);
+      gl.bindRenderbuffer(gl.RENDERBUFFER, obj.renderbuffer);
       gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, width, height);
+      gl.bindRenderbuffer(gl.RENDERBUFFER, null);
     }
     if (obj.hasOwnProperty('texture') === true && gl.isTexture(obj.texture) === true) {
-      gl.bindTexture(gl.TEXTURE_2D, this.buffers.texture);
-      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.bindTexture(gl.TEXTURE_2D, obj.texture);
+      const internalFormat = obj.internalFormat != null ? obj.internalFormat : gl.RGBA;
+      const type = obj.type != null ? obj.type : gl.UNSIGNED_BYTE;
+      gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, gl.RGBA, type, null);
+      gl.bindTexture(gl.TEXTURE_2D, null);
     }
   }
 
@@ -318,16 +437,72 @@ export class WebGLUtility {
    * @property {object} elementIndexUint - Uint32 フォーマットを利用できるようにする
    * @property {object} textureFloat - フロートテクスチャを利用できるようにする
    * @property {object} textureHalfFloat - ハーフフロートテクスチャを利用できるようにする
+   * @property {object} vertexArrayObject - VAO を利用できるようにする
    */
   static getWebGLExtensions(gl) {
     return {
-      elementIndexUint: gl.getExtension('OES_element_index_uint'),
-      textureFloat:     gl.getExtension('OES_texture_float'),
-      textureHalfFloat: gl.getExtension('OES_texture_half_float')
+      elementIndexUint:  gl.getExtension('OES_element_index_uint'),
+      textureFloat:      gl.getExtension('OES_texture_float'),
+      textureHalfFloat:  gl.getExtension('OES_texture_half_float'),
+      vertexArrayObject: gl.getExtension('OES_vertex_array_object')
     };
   }
 }
 
+// uniform 変数の型（WebGL の定数名）と、値を送るメソッド名の対応
+// スカラー型は配列（size > 1）の場合に末尾に v の付いたメソッドを使う
+const UNIFORM_METHODS = {
+  FLOAT:                         'uniform1f',
+  FLOAT_VEC2:                    'uniform2fv',
+  FLOAT_VEC3:                    'uniform3fv',
+  FLOAT_VEC4:                    'uniform4fv',
+  INT:                           'uniform1i',
+  INT_VEC2:                      'uniform2iv',
+  INT_VEC3:                      'uniform3iv',
+  INT_VEC4:                      'uniform4iv',
+  BOOL:                          'uniform1i',
+  BOOL_VEC2:                     'uniform2iv',
+  BOOL_VEC3:                     'uniform3iv',
+  BOOL_VEC4:                     'uniform4iv',
+  FLOAT_MAT2:                    'uniformMatrix2fv',
+  FLOAT_MAT3:                    'uniformMatrix3fv',
+  FLOAT_MAT4:                    'uniformMatrix4fv',
+  SAMPLER_2D:                    'uniform1i',
+  SAMPLER_CUBE:                  'uniform1i',
+  // 以下は WebGL 2.0 のみ
+  UNSIGNED_INT:                  'uniform1ui',
+  UNSIGNED_INT_VEC2:             'uniform2uiv',
+  UNSIGNED_INT_VEC3:             'uniform3uiv',
+  UNSIGNED_INT_VEC4:             'uniform4uiv',
+  FLOAT_MAT2x3:                  'uniformMatrix2x3fv',
+  FLOAT_MAT2x4:                  'uniformMatrix2x4fv',
+  FLOAT_MAT3x2:                  'uniformMatrix3x2fv',
+  FLOAT_MAT3x4:                  'uniformMatrix3x4fv',
+  FLOAT_MAT4x2:                  'uniformMatrix4x2fv',
+  FLOAT_MAT4x3:                  'uniformMatrix4x3fv',
+  SAMPLER_3D:                    'uniform1i',
+  SAMPLER_2D_SHADOW:             'uniform1i',
+  SAMPLER_2D_ARRAY:              'uniform1i',
+  SAMPLER_2D_ARRAY_SHADOW:       'uniform1i',
+  SAMPLER_CUBE_SHADOW:           'uniform1i',
+  INT_SAMPLER_2D:                'uniform1i',
+  INT_SAMPLER_3D:                'uniform1i',
+  INT_SAMPLER_CUBE:              'uniform1i',
+  INT_SAMPLER_2D_ARRAY:          'uniform1i',
+  UNSIGNED_INT_SAMPLER_2D:       'uniform1i',
+  UNSIGNED_INT_SAMPLER_3D:       'uniform1i',
+  UNSIGNED_INT_SAMPLER_CUBE:     'uniform1i',
+  UNSIGNED_INT_SAMPLER_2D_ARRAY: 'uniform1i',
+};
+
+// attribute 変数の型（WebGL の定数名）と、要素数（ストライド）の対応
+const ATTRIBUTE_STRIDES = {
+  FLOAT:      1,
+  FLOAT_VEC2: 2,
+  FLOAT_VEC3: 3,
+  FLOAT_VEC4: 4,
+};
+
 export class ShaderProgram {
   /**
    * @constructor
@@ -335,25 +510,40 @@ export class ShaderProgram {
    * @param {object} option - 各種オプション（下記参照）
    * @property {string} vertexShaderSource - 頂点シェーダのソースコード
    * @property {string} fragmentShaderSource - フラグメントシェーダのソースコード
-   * @property {Array.<string>} attribute - attribute 変数名
-   * @property {Array.<number>} stride - attribute 変数のストライド
-   * @property {Array.<string>} uniform - uniform 変数名
+   * @property {string} vertexShaderName - 頂点シェーダのファイル名（エラーの表示に使う）
+   * @property {string} fragmentShaderName - フラグメントシェーダのファイル名（エラーの表示に使う）
+   * @property {Array.<object>} vertexShaderLineMap - 頂点シェーダの行マップ（ShaderLoader.load の戻り値）
+   * @property {Array.<object>} fragmentShaderLineMap - フラグメントシェーダの行マップ（ShaderLoader.load の戻り値）
+   * @property {object} shaderSources - ファイル名をキーとする展開前のソースコード（エラーの表示に使う）
+   * @property {Array.<string>} attribute - attribute 変数名（省略時はプログラムから取得する）
+   * @property {Array.<number>} stride - attribute 変数のストライド（省略時はプログラムから取得する）
+   * @property {Array.<string>} uniform - uniform 変数名（setUniform で利用する）
    * @property {Array.<string>} type - uniform 変数のタイプ（例: uniform3fv など）
    */
   constructor(gl, option) {
     this.gl = gl;
     this.vertexShaderSource = option.vertexShaderSource;
     this.fragmentShaderSource = option.fragmentShaderSource;
+    this.vertexShaderName = option.vertexShaderName != null ? option.vertexShaderName : null;
+    this.fragmentShaderName = option.fragmentShaderName != null ? option.fragmentShaderName : null;
+    this.vertexShaderLineMap = option.vertexShaderLineMap != null ? option.vertexShaderLineMap : null;
+    this.fragmentShaderLineMap = option.fragmentShaderLineMap != null ? option.fragmentShaderLineMap : null;
+    this.shaderSources = option.shaderSources != null ? option.shaderSources : null;
     this.attribute = option.attribute;
     this.stride = option.stride;
     this.uniform = option.uniform;
     this.type = option.type;
     this.transformFeedbackVaryings = option.transformFeedbackVaryings;
+    this.vaos = [];
 
+    // attribute と stride の両方が省略された場合はプログラムから取得する
+    this.discoverAttribute = this.attribute == null && this.stride == null;
     if (
-      Array.isArray(this.attribute) !== true ||
-      Array.isArray(this.stride) !== true ||
-      this.attribute.length !== this.stride.length
+      this.discoverAttribute !== true && (
+        Array.isArray(this.attribute) !== true ||
+        Array.isArray(this.stride) !== true ||
+        this.attribute.length !== this.stride.length
+      )
     ) {
       throw new Error('attribute or stride does not match');
     }
@@ -372,29 +562,110 @@ export class ShaderProgram {
       this.uniform = null;
       this.type = null;
     }
-    this.vertexShader = WebGLUtility.createShader(gl, this.vertexShaderSource, gl.VERTEX_SHADER);
-    this.fragmentShader = WebGLUtility.createShader(gl, this.fragmentShaderSource, gl.FRAGMENT_SHADER);
-    if (this.vertexShader == null || this.fragmentShader == null) {
-      throw new Error('shader compilation failed');
-    }
-    if (
-      Array.isArray(this.transformFeedbackVaryings) === true &&
-      this.transformFeedbackVaryings.length > 0
-    ) {
-      this.program = WebGLUtility.createTransformFeedbackProgram(gl, this.vertexShader, this.fragmentShader, this.transformFeedbackVaryings);
-    } else {
-      this.program = WebGLUtility.createProgram(gl, this.vertexShader, this.fragmentShader);
-    }
-    if (this.program == null) {
-      throw new Error('shader program creation failed');
+    // コンパイル・リンクに失敗した場合は ShaderCompileError が送出される
+    Object.assign(this, this.build());
+    this.resolveLocation();
+  }
+
+  /**
+   * 現在のソースコードからシェーダとプログラムを生成して返す。
+   * 失敗した場合は途中で生成したオブジェクトを削除してから ShaderCompileError を送出する。
+   * @return {object} 生成した各種オブジェクト
+   * @property {WebGLShader} vertexShader - 頂点シェーダ
+   * @property {WebGLShader} fragmentShader - フラグメントシェーダ
+   * @property {WebGLProgram} program - プログラムオブジェクト
+   */
+  build() {
+    const gl = this.gl;
+    const vertexShader = this.compileShader(this.vertexShaderSource, gl.VERTEX_SHADER, this.vertexShaderName, this.vertexShaderLineMap);
+    let fragmentShader = null;
+    try {
+      fragmentShader = this.compileShader(this.fragmentShaderSource, gl.FRAGMENT_SHADER, this.fragmentShaderName, this.fragmentShaderLineMap);
+      let program = null;
+      if (
+        Array.isArray(this.transformFeedbackVaryings) === true &&
+        this.transformFeedbackVaryings.length > 0
+      ) {
+        program = WebGLUtility.createTransformFeedbackProgram(gl, vertexShader, fragmentShader, this.transformFeedbackVaryings);
+      } else {
+        program = WebGLUtility.createProgram(gl, vertexShader, fragmentShader);
+      }
+      return {vertexShader: vertexShader, fragmentShader: fragmentShader, program: program};
+    } catch (error) {
+      gl.deleteShader(vertexShader);
+      if (fragmentShader != null) {
+        gl.deleteShader(fragmentShader);
+      }
+      throw error;
     }
-    this.attributeLocation = this.attribute.map((attributeName) => {
-      const attributeLocation = gl.getAttribLocation(this.program, attributeName);
-      if (attributeLocation < 0) {
-        console.warn(`"${attributeName}" is an invalid attribute variable`);
+  }
+
+  /**
+   * 新しいソースコードでプログラムを作り直す。
+   * 成功した場合は attribute / uniform のロケーションを取得し直し、createVao で生成した VAO も記録し直す。
+   * 失敗した場合は元のプログラムをそのまま使い続け、ShaderCompileError を送出する。
+   * @param {object} option - 変更するオプション（コンストラクタのシェーダに関するオプションと同じ）
+   * @property {string} vertexShaderSource - 頂点シェーダのソースコード
+   * @property {string} fragmentShaderSource - フラグメントシェーダのソースコード
+   * @property {Array.<object>} vertexShaderLineMap - 頂点シェーダの行マップ
+   * @property {Array.<object>} fragmentShaderLineMap - フラグメントシェーダの行マップ
+   * @property {object} shaderSources - ファイル名をキーとする展開前のソースコード
+   */
+  rebuild(option) {
+    const gl = this.gl;
+    const keys = [
+      'vertexShaderSource', 'fragmentShaderSource',
+      'vertexShaderName', 'fragmentShaderName',
+      'vertexShaderLineMap', 'fragmentShaderLineMap',
+      'shaderSources',
+    ];
+    const previous = {};
+    keys.forEach((key) => {
+      previous[key] = this[key];
+      if (option[key] !== undefined) {
+        this[key] = option[key];
       }
-      return attributeLocation;
     });
+    let built = null;
+    try {
+      built = this.build();
+    } catch (error) {
+      Object.assign(this, previous);
+      throw error;
+    }
+    gl.deleteProgram(this.program);
+    gl.deleteShader(this.vertexShader);
+    gl.deleteShader(this.fragmentShader);
+    Object.assign(this, built);
+    this.resolveLocation();
+    // ロケーションが変わっている可能性があるので VAO は作り直す
+    this.vaos.forEach((obj) => {
+      if (obj.vao == null) {return;}
+      WebGLUtility.deleteVertexArray(gl, obj.vao);
+      obj.vao = WebGLUtility.createVertexArray(gl);
+      WebGLUtility.bindVertexArray(gl, obj.vao);
+      this.recordAttribute(obj.vbo, obj.ibo);
+      WebGLUtility.bindVertexArray(gl, null);
+    });
+  }
+
+  /**
+   * attribute / uniform 変数のロケーションを取得する。
+   */
+  resolveLocation() {
+    const gl = this.gl;
+    if (this.discoverAttribute === true) {
+      this.introspectAttribute();
+    } else {
+      this.attributeLocation = this.attribute.map((attributeName) => {
+        const attributeLocation = gl.getAttribLocation(this.program, attributeName);
+        if (attributeLocation < 0) {
+          console.warn(`"${attributeName}" is an invalid attribute variable`);
+        }
+        return attributeLocation;
+      });
+    }
+    this.introspectUniform();
     if (this.uniform != null) {
       this.uniformLocation = this.uniform.map((uniformName) => {
         const uniformLocation = gl.getUniformLocation(this.program, uniformName);
@@ -406,6 +677,85 @@ export class ShaderProgram {
     }
   }
 
+  /**
+   * シェーダをコンパイルする。
+   * 行マップがある場合は、エラーの行番号を展開前のファイル名と行番号に置き換える。
+   * @param {string} source - シェーダのソースコード
+   * @param {number} type - gl.VERTEX_SHADER or gl.FRAGMENT_SHADER
+   * @param {string} name - シェーダのファイル名
+   * @param {Array.<object>} lineMap - 行マップ
+   * @return {WebGLShader} シェーダオブジェクト
+   */
+  compileShader(source, type, name, lineMap) {
+    try {
+      return WebGLUtility.createShader(this.gl, source, type, name);
+    } catch (error) {
+      if (error instanceof ShaderCompileError && lineMap != null) {
+        error.remap(lineMap, this.shaderSources);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * プログラムから有効な attribute 変数を取得し、変数名・ストライド・ロケーションを設定する。
+   * 変数はロケーションの昇順に並べる。
+   */
+  introspectAttribute() {
+    const gl = this.gl;
+    const count = gl.getProgramParameter(this.program, gl.ACTIVE_ATTRIBUTES);
+    const attributes = [];
+    for (let i = 0; i < count; ++i) {
+      const info = gl.getActiveAttrib(this.program, i);
+      // gl_VertexID などの組み込み変数は対象外
+      if (info == null || info.name.indexOf('gl_') === 0) {continue;}
+      const typeName = Object.keys(ATTRIBUTE_STRIDES).find((name) => gl[name] === info.type);
+      if (typeName == null) {
+        throw new Error(`"${info.name}" is an unsupported attribute type`);
+      }
+      attributes.push({
+        name: info.name,
+        stride: ATTRIBUTE_STRIDES[typeName],
+        location: gl.getAttribLocation(this.program, info.name),
+      });
+    }
+    attributes.sort((a, b) => a.location - b.location);
+    this.attribute = attributes.map((a) => a.name);
+    this.stride = attributes.map((a) => a.stride);
+    this.attributeLocation = attributes.map((a) => a.location);
+  }
+
+  /**
+   * プログラムから有効な uniform 変数を取得し、setUniforms で利用する情報を設定する。
+   * 配列の変数（foo[0] のように報告される）は末尾の [0] を除いた名前で登録する。
+   */
+  introspectUniform() {
+    const gl = this.gl;
+    const count = gl.getProgramParameter(this.program, gl.ACTIVE_UNIFORMS);
+    this.uniformInfo = {};
+    for (let i = 0; i < count; ++i) {
+      const info = gl.getActiveUniform(this.program, i);
+      if (info == null) {continue;}
+      const typeName = Object.keys(UNIFORM_METHODS).find((name) => gl[name] != null && gl[name] === info.type);
+      if (typeName == null) {
+        console.warn(`"${info.name}" is an unsupported uniform type`);
+        continue;
+      }
+      let method = UNIFORM_METHODS[typeName];
+      const isArray = /\[0\]$/.test(info.name);
+      if (isArray === true && /^uniform1(f|i|ui)$/.test(method) === true) {
+        method += 'v';
+      }
+      const name = isArray === true ? info.name.slice(0, -3) : info.name;
+      this.uniformInfo[name] = {
+        location: gl.getUniformLocation(this.program, info.name),
+        type: info.type,
+        size: info.size,
+        method: method,
+      };
+    }
+  }
+
   /**
    * プログラムオブジェクトを選択状態にする。
    */
@@ -415,15 +765,88 @@ export class ShaderProgram {
 
   /**
    * VBO を IBO をバインドし有効化する。
-   * @param {Array.<WebGLBuffer>} vbo - VBO を格納した配列
+   * VBO に null を指定した attribute は無効化され、シェーダ側では定数値として扱われる。
+   * @param {Array.<WebGLBuffer>|object} vbo - VBO を格納した配列、または変数名をキーとするオブジェクト
    * @param {WebGLBuffer} [ibo=null] - IBO
    */
   setAttribute(vbo, ibo = null) {
+    // VAO がバインドされたままだとその VAO の状態を書き換えてしまうので解除しておく
+    WebGLUtility.bindVertexArray(this.gl, null);
+    this.recordAttribute(vbo, ibo);
+  }
+
+  /**
+   * VBO と IBO の設定を VAO に記録して返す。
+   * VAO を利用できない環境では bindVao 時に setAttribute と同じ処理を行う。
+   * @param {Array.<WebGLBuffer>|object} vbo - VBO を格納した配列、または変数名をキーとするオブジェクト
+   * @param {WebGLBuffer} [ibo=null] - IBO
+   * @return {object} bindVao に渡すオブジェクト
+   * @property {WebGLVertexArrayObject} vao - VAO（利用できない場合は null）
+   * @property {Array.<WebGLBuffer>} vbo - VBO を格納した配列
+   * @property {WebGLBuffer} ibo - IBO
+   */
+  createVao(vbo, ibo = null) {
+    const gl = this.gl;
+    const obj = {vao: WebGLUtility.createVertexArray(gl), vbo: vbo, ibo: ibo};
+    if (obj.vao != null) {
+      WebGLUtility.bindVertexArray(gl, obj.vao);
+      this.recordAttribute(vbo, ibo);
+      WebGLUtility.bindVertexArray(gl, null);
+    }
+    this.vaos.push(obj);
+    return obj;
+  }
+
+  /**
+   * createVao で記録した設定をバインドする。
+   * 描画後は unbindVao でバインドを解除すること。
+   * @param {object} obj - createVao の戻り値
+   */
+  bindVao(obj) {
+    if (obj.vao != null) {
+      WebGLUtility.bindVertexArray(this.gl, obj.vao);
+    } else {
+      this.setAttribute(obj.vbo, obj.ibo);
+    }
+  }
+
+  /**
+   * VAO のバインドを解除する。
+   */
+  unbindVao() {
+    WebGLUtility.bindVertexArray(this.gl, null);
+  }
+
+  /**
+   * createVao で生成した VAO を削除する。
+   * @param {object} obj - createVao の戻り値
+   */
+  deleteVao(obj) {
+    WebGLUtility.deleteVertexArray(this.gl, obj.vao);
+    obj.vao = null;
+    this.vaos = this.vaos.filter((v) => v !== obj);
+  }
+
+  /**
+   * VBO と IBO をバインドし、attribute の設定を行う（現在バインドされている VAO に記録される）
+   * @param {Array.<WebGLBuffer>|object} vbo - VBO を格納した配列、または変数名をキーとするオブジェクト
+   * @param {WebGLBuffer} [ibo=null] - IBO
+   */
+  recordAttribute(vbo, ibo = null) {
     const gl = this.gl;
+    // 変数名をキーとするオブジェクトの場合は attribute の並び順の配列に変換する
+    if (vbo != null && Array.isArray(vbo) !== true) {
+      vbo = this.attribute.map((name) => vbo[name] != null ? vbo[name] : null);
+    }
     if (Array.isArray(vbo) !== true || vbo.length !== this.attribute.length) {
       throw new Error('vbo or attribute does not match');
     }
     vbo.forEach((v, index) => {
+      if (this.attributeLocation[index] < 0) {return;}
+      if (v == null) {
+        gl.disableVertexAttribArray(this.attributeLocation[index]);
+        return;
+      }
       gl.bindBuffer(gl.ARRAY_BUFFER, v);
       gl.enableVertexAttribArray(this.attributeLocation[index]);
       gl.vertexAttribPointer(this.attributeLocation[index], this.stride[index], gl.FLOAT, false, 0, 0);
@@ -452,5 +875,54 @@ export class ShaderProgram {
       }
     });
   }
+
+  /**
+   * uniform 変数を名前をキーとするオブジェクトでまとめてシェーダに送る。
+   * 構造体はネストしたオブジェクト、構造体の配列はオブジェクトの配列で指定できる。
+   * プログラム内で使われていない（最適化で削除された）変数は無視する。
+   * @param {object} values - 変数名をキー、値を値とするオブジェクト
+   * @example
+   * program.setUniforms({
+   *   uTime: 1.0,
+   *   uTextures: [0, 1, 2],
+   *   uLight: {color: [1.0, 1.0, 1.0], intensity: 0.5},
+   *   uPoints: [{position: [0.0, 0.0]}, {position: [1.0, 0.0]}],
+   * });
+   */
+  setUniforms(values) {
+    const gl = this.gl;
+    const flat = {};
+    ShaderProgram.flattenUniforms('', values, flat);
+    Object.keys(flat).forEach((name) => {
+      const info = this.uniformInfo[name];
+      if (info == null) {return;}
+      if (info.method.includes('Matrix') === true) {
+        gl[info.method](info.location, false, flat[name]);
+      } else {
+        gl[info.method](info.location, flat[name]);
+      }
+    });
+  }
+
+  /**
+   * ネストしたオブジェクトを GLSL の変数名（a.b や a[0].b）をキーとするオブジェクトに展開する。
+   * @param {string} prefix - 親の変数名
+   * @param {*} value - 展開する値
+   * @param {object} out - 結果を格納するオブジェクト
+   */
+  static flattenUniforms(prefix, value, out) {
+    const isPlainObject = (v) => v != null && Object.getPrototypeOf(v) === Object.prototype;
+    if (isPlainObject(value) === true) {
+      Object.keys(value).forEach((key) => {
+        ShaderProgram.flattenUniforms(prefix === '' ? key : `${prefix}.${key}`, value[key], out);
+      });
+    } else if (Array.isArray(value) === true && value.length > 0 && isPlainObject(value[0]) === true) {
+      value.forEach((v, index) => {
+        ShaderProgram.flattenUniforms(`${prefix}[${index}]`, v, out);
+      });
+    } else {
+      out[prefix] = value;
+    }
+  }
 }
 
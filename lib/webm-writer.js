@@ -0,0 +1,152 @@
+/**
+ * WebCodecs（VideoEncoder）が出力した VP8 / VP9 のフレームを WebM ファイルにまとめるクラス
+ * フレームごとのタイムスタンプをそのまま書き込むので、描画にかかった時間に左右されない
+ * @class
+ */
+export class WebMWriter {
+  /** @type {number} */
+  static CLUSTER_DURATION = 5000;
+
+  /**
+   * @constructor
+   * @param {object} option
+   * @property {number} option.width - 映像の幅
+   * @property {number} option.height - 映像の高さ
+   * @property {string} option.codec - WebM のコーデック ID（'V_VP8' または 'V_VP9'）
+   */
+  constructor(option) {
+    this.width = option.width;
+    this.height = option.height;
+    this.codec = option.codec || 'V_VP9';
+    this.clusters = [];
+    this.duration = 0;
+  }
+
+  /**
+   * エンコード済みのフレームを追加する。
+   * キーフレームか、クラスタの先頭から一定時間が経過した場合に新しいクラスタを始める。
+   * @param {Uint8Array} data - エンコード済みのフレーム
+   * @param {number} timestamp - タイムスタンプ（ミリ秒）
+   * @param {boolean} keyframe - キーフレームかどうか
+   * @param {number} [duration=0] - フレームの長さ（ミリ秒）
+   */
+  addFrame(data, timestamp, keyframe, duration = 0) {
+    const time = Math.round(timestamp);
+    let cluster = this.clusters[this.clusters.length - 1];
+    if (cluster == null || keyframe === true || time - cluster.time > WebMWriter.CLUSTER_DURATION) {
+      cluster = {time: time, blocks: []};
+      this.clusters.push(cluster);
+    }
+    // SimpleBlock: トラック番号、クラスタからの相対時間（16 ビット）、フラグ、フレーム
+    const header = new Uint8Array(4);
+    const relative = time - cluster.time;
+    header[0] = 0x81;
+    header[1] = (relative >> 8) & 0xff;
+    header[2] = relative & 0xff;
+    header[3] = keyframe === true ? 0x80 : 0x00;
+    cluster.blocks.push(WebMWriter.element(0xa3, [header, data]));
+    this.duration = Math.max(this.duration, time + duration);
+  }
+
+  /**
+   * WebM ファイルを生成して返す。
+   * @return {Blob} WebM ファイル
+   */
+  finish() {
+    const E = WebMWriter.element;
+    const header = E(0x1a45dfa3, [
+      E(0x4286, WebMWriter.uint(1)),         // EBMLVersion
+      E(0x42f7, WebMWriter.uint(1)),         // EBMLReadVersion
+      E(0x42f2, WebMWriter.uint(4)),         // EBMLMaxIDLength
+      E(0x42f3, WebMWriter.uint(8)),         // EBMLMaxSizeLength
+      E(0x4282, WebMWriter.string('webm')),  // DocType
+      E(0x4287, WebMWriter.uint(2)),         // DocTypeVersion
+      E(0x4285, WebMWriter.uint(2)),         // DocTypeReadVersion
+    ]);
+    const info = E(0x1549a966, [
+      E(0x2ad7b1, WebMWriter.uint(1000000)), // TimecodeScale（1 ミリ秒）
+      E(0x4d80, WebMWriter.string('glsl-school')), // MuxingApp
+      E(0x5741, WebMWriter.string('glsl-school')), // WritingApp
+      E(0x4489, WebMWriter.float(this.duration)),  // Duration
+    ]);
+    const tracks = E(0x1654ae6b, [
+      E(0xae, [                               // TrackEntry
+        E(0xd7, WebMWriter.uint(1)),          // TrackNumber
+        E(0x73c5, WebMWriter.uint(1)),        // TrackUID
+        E(0x9c, WebMWriter.uint(0)),          // FlagLacing
+        E(0x86, WebMWriter.string(this.codec)), // CodecID
+        E(0x83, WebMWriter.uint(1)),          // TrackType（video）
+        E(0xe0, [                             // Video
+          E(0xb0, WebMWriter.uint(this.width)),  // PixelWidth
+          E(0xba, WebMWriter.uint(this.height)), // PixelHeight
+        ]),
+      ]),
+    ]);
+    const clusters = this.clusters.map((cluster) => {
+      return E(0x1f43b675, [
+        E(0xe7, WebMWriter.uint(cluster.time)), // Timecode
+        ...cluster.blocks,
+      ]);
+    });
+    const segment = E(0x18538067, [info, tracks, ...clusters]);
+    return new Blob(header.concat(segment), {type: 'video/webm'});
+  }
+
+  /**
+   * EBML の要素を生成する。
+   * 大きなファイルでもバイト列をコピーし直さないよう、連結せずに配列のまま返す。
+   * @param {number} id - 要素 ID（サイズを表すビットを含んだ値）
+   * @param {Uint8Array|Array} data - 要素の内容（入れ子の配列も可）
+   * @return {Array.<Uint8Array>} 要素を構成するバイト列の配列
+   */
+  static element(id, data) {
+    const parts = Array.isArray(data) === true ? data.flat(Infinity) : [data];
+    const idBytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+      idBytes.unshift(value & 0xff);
+    }
+    // サイズは常に 8 バイトの可変長整数で書き込む
+    const size = new Uint8Array(8);
+    let length = parts.reduce((sum, bytes) => sum + bytes.length, 0);
+    for (let i = 7; i > 0; --i) {
+      size[i] = length & 0xff;
+      length = Math.floor(length / 256);
+    }
+    size[0] = 0x01;
+    return [new Uint8Array(idBytes), size].concat(parts);
+  }
+
+  /**
+   * 符号なし整数をビッグエンディアンのバイト列にする。
+   * @param {number} value - 値
+   * @return {Uint8Array}
+   */
+  static uint(value) {
+    const bytes = [];
+    do {
+      bytes.unshift(value & 0xff);
+      value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * 浮動小数点数を 64 ビットのバイト列にする。
+   * @param {number} value - 値
+   * @return {Uint8Array}
+   */
+  static float(value) {
+    const view = new DataView(new ArrayBuffer(8));
+    view.setFloat64(0, value);
+    return new Uint8Array(view.buffer);
+  }
+
+  /**
+   * 文字列を UTF-8 のバイト列にする。
+   * @param {string} value - 文字列
+   * @return {Uint8Array}
+   */
+  static string(value) {
+    return new TextEncoder().encode(value);
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * 無圧縮（store）の ZIP ファイルを生成するクラス
+ * PNG のように既に圧縮されているファイルをまとめる用途を想定している
+ * @class
+ */
+export class ZipWriter {
+  /** @type {Uint32Array} */
+  static CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let i = 0; i < 256; ++i) {
+      let c = i;
+      for (let j = 0; j < 8; ++j) {
+        c = (c & 1) === 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[i] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * @constructor
+   */
+  constructor() {
+    this.entries = [];
+    this.chunks = [];
+    this.offset = 0;
+  }
+
+  /**
+   * ファイルを追加する。
+   * @param {string} name - アーカイブ内のファイル名（UTF-8 で格納する）
+   * @param {Uint8Array} data - ファイルの内容
+   * @param {Date} [date=new Date()] - 更新日時
+   */
+  addFile(name, data, date = new Date()) {
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = ZipWriter.crc32(data);
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // local file header signature
+    header.setUint16(4, 20, true);         // version needed to extract
+    header.setUint16(6, 0x0800, true);     // general purpose bit flag（UTF-8）
+    header.setUint16(8, 0, true);          // compression method（store）
+    header.setUint16(10, time, true);
+    header.setUint16(12, day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, data.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true);
+
+    this.entries.push({nameBytes, crc, time, day, size: data.length, offset: this.offset});
+    this.chunks.push(new Uint8Array(header.buffer), nameBytes, data);
+    this.offset += 30 + nameBytes.length + data.length;
+  }
+
+  /**
+   * セントラルディレクトリを書き込み、ZIP ファイルを返す。
+   * @return {Blob} ZIP ファイル
+   */
+  finish() {
+    const start = this.offset;
+    let size = 0;
+    this.entries.forEach((entry) => {
+      const header = new DataView(new ArrayBuffer(46));
+      header.setUint32(0, 0x02014b50, true); // central file header signature
+      header.setUint16(4, 20, true);         // version made by
+      header.setUint16(6, 20, true);         // version needed to extract
+      header.setUint16(8, 0x0800, true);
+      header.setUint16(10, 0, true);
+      header.setUint16(12, entry.time, true);
+      header.setUint16(14, entry.day, true);
+      header.setUint32(16, entry.crc, true);
+      header.setUint32(20, entry.size, true);
+      header.setUint32(24, entry.size, true);
+      header.setUint16(28, entry.nameBytes.length, true);
+      header.setUint32(42, entry.offset, true);
+      this.chunks.push(new Uint8Array(header.buffer), entry.nameBytes);
+      size += 46 + entry.nameBytes.length;
+    });
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);    // end of central directory signature
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, size, true);
+    end.setUint32(16, start, true);
+    this.chunks.push(new Uint8Array(end.buffer));
+    return new Blob(this.chunks, {type: 'application/zip'});
+  }
+
+  /**
+   * CRC-32 を計算する。
+   * @param {Uint8Array} data - 計算するデータ
+   * @return {number} CRC-32 の値
+   */
+  static crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; ++i) {
+      crc = ZipWriter.CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
@@ -16,10 +16,15 @@ uniform float uAsciiColorStep; // 色の段階化の強さ（ポスタライズ
 uniform float uTileSize;       // 1つのASCII文字のサイズ（ピクセル）
 uniform float uTileStrength;   // 文字の明るさの強さ
 uniform int uBioMode;          // Bio Mode（緑色モード）のオン/オフ
+uniform float uGlyphCount;     // ASCII文字マップに並んでいる文字の数
+uniform vec2 uGlyphGrid;       // ASCII文字マップの列数と行数
 
 // Varying変数: 頂点シェーダーから受け取る値
 varying vec2 vUv;              // UV座標（0.0 ~ 1.0）
 
+// 共通処理の読み込み（ShaderLoader が展開する）
+#include "common/luminance.glsl"
+
 void main() {
   // ========================================
   // 1. タイルの分割数とローカル座標の計算
@@ -54,33 +59,30 @@ void main() {
   // ========================================
   // 4. 輝度の計算（明るさ）
   // ========================================
-  // RGB値から輝度（明るさ）を計算
-  // 人間の目の感度に基づいた係数を使用:
-  //   赤: 0.299, 緑: 0.587, 青: 0.114
-  // dot() は内積を計算する関数（ベクトル同士の掛け算と足し算）
-  // 結果: 0.0（暗い）~ 1.0（明るい）
-  float luminance = dot(texColor.rgb, vec3(0.299, 0.587, 0.114));
+  // 結果: 0.0（暗い）~ 1.0（明るい）（common/luminance.glsl）
+  float brightness = luminance(texColor.rgb);
 
   // ========================================
   // 5. ASCII文字のインデックスを決定
   // ========================================
-  // 輝度を10段階に分ける（0.0, 0.1, 0.2, ... 0.9）
-  // 暗い: 0.0（スペース）、明るい: 0.9（@記号）
-  // floor() で切り捨て、10.0で割ることで段階化
-  float charIndex = floor(luminance * 10.0) / 10.0;
+  // 輝度を文字の数（uGlyphCount）の段階に分ける
+  // 文字は描画面積の小さい順に並んでいるので、暗い: 0（スペースなど）、明るい: uGlyphCount - 1
+  // 輝度が 1.0 の場合も最後の文字に収まるよう min() で制限する
+  float charIndex = min(floor(brightness * uGlyphCount), uGlyphCount - 1.0);
 
   // ========================================
   // 6. ASCII文字マップからサンプリング
   // ========================================
-  // ASCII文字テクスチャのUV座標を計算
-  // X座標: charIndex（どの文字を使うか）
-  // Y座標: 0.5（文字の中央の高さ）
-  vec2 asciiUv = vec2(charIndex, 0.5);
+  // ASCII文字マップは左上から右へ、行ごとに下へ文字が並んだグリッド
+  // インデックスから文字のセルの列と行を求める
+  // 割り算の誤差で行がずれないよう 0.5 を足してから floor() する
+  float glyphRow = floor((charIndex + 0.5) / uGlyphGrid.x);
+  float glyphColumn = charIndex - glyphRow * uGlyphGrid.x;
 
   // タイル内の位置に応じて文字のどの部分を表示するか決定
-  // tileUv.x は 0.0 ~ 1.0 の範囲なので、10.0で割ることで
-  // 1文字分の幅（0.1）の範囲内に収める
-  asciiUv.x += tileUv.x / 10.0;
+  // テクスチャは canvas の上端が V = 0.0 なので、tileUv.y は上下を反転する
+  // 最後にグリッドの列数・行数で割って 1文字分の範囲内に収める
+  vec2 asciiUv = (vec2(glyphColumn, glyphRow) + vec2(tileUv.x, 1.0 - tileUv.y)) / uGlyphGrid;
 
   // ASCII文字マップテクスチャから文字のピクセル色を取得
   vec4 asciiChar = texture2D(uAsciiMap, asciiUv);
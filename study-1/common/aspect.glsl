@@ -0,0 +1,8 @@
+// ========================================
+// アスペクト比の補正
+// ========================================
+// X座標に画面の縦横比（横幅 / 縦幅）を掛けて、縦横の単位を揃える
+// 円形の影響範囲が楕円にならないようにするために使う
+vec2 correctAspect(vec2 p, vec2 resolution) {
+  return vec2(p.x * resolution.x / resolution.y, p.y);
+}
@@ -0,0 +1,8 @@
+// ========================================
+// 疑似ランダム値
+// ========================================
+// 位置に基づいた疑似ランダム値（-1.0 ~ 1.0）
+// 同じ位置からは常に同じ値が得られる
+float hash(vec2 p) {
+  return sin(p.x * 100.0) * cos(p.y * 100.0);
+}
@@ -0,0 +1,10 @@
+// ========================================
+// 輝度の計算（明るさ）
+// ========================================
+// RGB値から輝度（明るさ）を計算
+// 人間の目の感度に基づいた係数を使用:
+//   赤: 0.299, 緑: 0.587, 青: 0.114
+// 結果: 0.0（暗い）~ 1.0（明るい）
+float luminance(vec3 color) {
+  return dot(color, vec3(0.299, 0.587, 0.114));
+}
@@ -2,21 +2,55 @@
 // パーティクル用頂点シェーダー
 // 動画の各ピクセルをパーティクルとして表示
 // マウス位置に応じてパーティクルが反応する
+//
+// 【2つのモード】
+// CPUモード: position / color ともにCPUで動画から抽出した値を使う
+// GPUモード: position は固定のグリッド、色は動画テクスチャから直接サンプリングする
 // ========================================
 
 // 頂点属性: CPUから受け取るデータ
 attribute vec3 position;  // パーティクルの位置 (x, y, z)
-attribute vec4 color;     // パーティクルの色 (r, g, b, a)
+attribute vec4 color;     // パーティクルの色 (r, g, b, a)（GPUモードでは未使用）
 
 // Uniform変数: すべての頂点で共通の値
 uniform vec2 mouse;       // マウス位置 (-1.0 ~ 1.0)
 uniform vec2 resolution;  // 画面解像度 (width, height)
 uniform float time;       // 経過時間（秒）
+uniform sampler2D videoTexture; // 動画フレームのテクスチャ（GPUモード用）
+uniform int useVideoTexture;    // GPUモードのオン/オフ（1: GPUモード）
+uniform float alphaThreshold;   // この値以下のアルファ値を持つピクセルは描画しない（0.0 ~ 1.0）
 
 // Varying変数: フラグメントシェーダーに渡す値
 varying vec4 vColor;      // パーティクルの色をフラグメントシェーダーに渡す
 
+// 共通処理の読み込み（ShaderLoader が展開する）
+#include "common/aspect.glsl"
+#include "common/hash.glsl"
+
 void main() {
+  // ========================================
+  // 0. パーティクルの色の決定
+  // ========================================
+  vec4 particleColor = color;
+
+  if (useVideoTexture == 1) {
+    // グリッドの位置（-1.0 ~ 1.0）をテクスチャ座標（0.0 ~ 1.0）に変換
+    // 動画は上下反転せずにアップロードしているので、Y軸を反転してサンプリングする
+    vec2 texCoord = vec2(position.x * 0.5 + 0.5, 0.5 - position.y * 0.5);
+    particleColor = texture2D(videoTexture, texCoord);
+
+    // 白背景判定（RGBすべてが250/255より大きい）
+    bool isWhiteBackground = all(greaterThan(particleColor.rgb, vec3(250.0 / 255.0)));
+
+    // アルファ値が閾値以下、または白背景の場合はクリップ空間の外に追い出して描画しない
+    if (particleColor.a <= alphaThreshold || isWhiteBackground) {
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      gl_PointSize = 0.0;
+      vColor = vec4(0.0);
+      return;
+    }
+  }
+
   // ========================================
   // 1. アスペクト比の補正
   // ========================================
@@ -25,12 +59,10 @@ void main() {
 
   // パーティクルの位置をアスペクト比で補正
   // X座標だけを補正することで、円形の影響範囲が楕円にならないようにする
-  vec2 correctedPosition = position.xy;
-  correctedPosition.x *= aspect;
+  vec2 correctedPosition = correctAspect(position.xy, resolution);
 
   // マウス位置もアスペクト比で補正
-  vec2 correctedMouse = mouse;
-  correctedMouse.x *= aspect;
+  vec2 correctedMouse = correctAspect(mouse, resolution);
 
   // ========================================
   // 2. マウスとの距離に基づく影響度の計算
@@ -51,7 +83,7 @@ void main() {
   // ========================================
   // 各パーティクルごとにランダムなオフセット値を生成
   // 位置に基づいた疑似ランダム値（-1.0 ~ 1.0）
-  float randomOffset = sin(position.x * 100.0) * cos(position.y * 100.0);
+  float randomOffset = hash(position.xy);
 
   // 時間とランダムオフセットを使って波のような動き（0.0 ~ 1.0）
   // sin() の結果 (-1.0 ~ 1.0) を 0.5 倍して 0.5 を足すことで 0.0 ~ 1.0 の範囲に変換
@@ -88,7 +120,7 @@ void main() {
   // ========================================
   // 7. フラグメントシェーダーに色を渡す
   // ========================================
-  vColor = vec4(color);
+  vColor = particleColor;
 
   // ========================================
   // 8. パーティクルのサイズを設定
@@ -7,15 +7,39 @@
  * Pass 2: フレームバッファのテクスチャをASCII文字で表現して画面に描画
  *
  * 【処理の流れ】
- * 1. 動画を読み込み、各フレームをCanvas2Dで描画
- * 2. Canvas2Dからピクセルデータを取得
- * 3. 各ピクセルをパーティクルとして3D空間に配置
- * 4. パーティクルをフレームバッファに描画（Pass 1）
- * 5. フレームバッファをASCII文字化して画面に描画（Pass 2）
+ * 1. 動画を読み込み、各フレームをテクスチャとしてGPUに転送
+ * 2. 固定のグリッド状に並べたパーティクルが頂点シェーダーで動画テクスチャをサンプリング
+ * 3. パーティクルをフレームバッファに描画（Pass 1）
+ * 4. フレームバッファをASCII文字化して画面に描画（Pass 2）
+ *
+ * 頂点シェーダーでテクスチャを扱えない環境では、従来通り
+ * Canvas2Dからピクセルデータを取得してCPUでパーティクルを生成する（CPUモード）
  * ========================================================================= */
 
 // WebGLユーティリティとシェーダープログラムクラスをインポート
 import { WebGLUtility, ShaderProgram } from '../lib/webgl.js';
+// シェーダーのエラー表示用クラスをインポート
+import { ShaderCompileError, ShaderErrorOverlay } from '../lib/shader-error.js';
+// #include を解決するシェーダーローダーをインポート
+import { ShaderLoader } from '../lib/shader-loader.js';
+// シェーダーのホットリロード用クラスをインポート
+import { ShaderWatcher } from '../lib/shader-watcher.js';
+// マルチパスレンダリング用のパイプラインをインポート
+import { RenderPipeline, RenderPass, PostEffect } from '../lib/pipeline.js';
+// ASCII文字マップ（グリフアトラス）の生成クラスをインポート
+import { GlyphAtlas } from '../lib/glyph-atlas.js';
+// ASCII効果をテキストとして書き出すクラスをインポート
+import { AsciiExporter } from '../lib/ascii-export.js';
+// Canvasをフレーム単位で録画するクラスをインポート
+import { CanvasRecorder } from '../lib/recorder.js';
+// 入力（動画・カメラ・画像など）を切り替えるためのクラスをインポート
+import { VideoSource, WebcamSource, ImageSource, ImageSequenceSource, CanvasSource, ProceduralSource } from '../lib/media-source.js';
+// GUIのパラメータを保存・共有するためのクラスをインポート
+import { PresetManager } from '../lib/preset.js';
+// Tween / Timeline（パラメータのアニメーション）
+import { Timeline } from '../lib/timeline.js';
+// 描画に使う時間（一時停止・コマ送り・シーク・速度の変更）
+import { Clock } from '../lib/clock.js';
 // Tweakpane（GUIライブラリ）をインポート
 import { Pane } from '../lib/tweakpane-4.0.0.min.js';
 
@@ -29,6 +53,9 @@ window.addEventListener('DOMContentLoaded', async () => {
   // ウィンドウリサイズ時のイベントリスナーを登録
   window.addEventListener('resize', app.resize, false);
 
+  // 動画・画像ファイルのドラッグ&ドロップを受け付ける
+  app.setupFileDrop();
+
   // WebGLの初期化（canvas要素の取得とWebGLコンテキストの作成）
   app.init('webgl-canvas');
 
@@ -71,8 +98,23 @@ class WebGLApp {
     // マウス座標（-1.0 ~ 1.0の正規化座標）
     this.uMouse = [0.0, 0.0];
 
-    // アニメーション開始時刻（ミリ秒）
-    this.startTime = Date.now();
+    // 描画に使う時間
+    // uniform の time、タイムライン、入力の再生位置はすべてこの時間に合わせる
+    this.clock = new Clock();
+
+    // 経過時間（秒）（毎フレーム this.clock から取得する）
+    this.time = 0.0;
+
+    // ========================================
+    // 再生の操作用のパラメータ
+    // ========================================
+    this.playbackParams = {
+      speed: 1.0,            // 時間の進む速さの倍率
+      time: 0.0,             // シークバーの表示用（描画中の時間）
+    };
+
+    // シークバーの範囲（秒）
+    this.SEEK_MAX = 60.0;
 
     // ========================================
     // ASCII効果用のパラメータ
@@ -82,16 +124,93 @@ class WebGLApp {
       tileStrength: 2.0,     // 文字の明るさの強さ（倍率）
       colorStep: 0.01,       // 色の段階化の強さ（小さいほど階調が細かい）
       bioMode: false,        // Bio Mode（緑色モード）のオン/オフ
+      charset: 'ascii',      // 使用する文字セット（charsets のキー）
+    };
+
+    // 選択できる文字セット
+    // 並び順は気にしなくてよい（GlyphAtlas が描画面積の小さい順に並べ替える）
+    this.charsets = {
+      ascii: ' .:-=+*#%@',
+      katakana: ' ･ｰｨｼﾂﾉﾎﾒﾗﾖﾛﾜﾝ',
+      box: ' ·─│┌┼╋▒▓█',
+      emoji: ' 🌑🌘🌗🌖🌕',
+    };
+
+    // パラメータのアニメーション
+    // 時間は Date.now() ではなくアプリの経過時間（this.time）で測る
+    // （録画中は時間がフレーム単位で進むため）
+    this.timeline = null;
+    this.introTween = null;  // 起動時の tileSize のアニメーション
+
+    // ========================================
+    // 録画用のパラメータ
+    // ========================================
+    this.recordParams = {
+      format: 'webm',        // 'webm', 'gif', 'png'（PNG連番のZIP）
+      fps: 30,               // フレームレート
+      resolution: 720,       // 録画する解像度の高さ（幅は入力のアスペクト比から決める、ウィンドウサイズには関係しない）
+      duration: 5,           // 録画する長さ（秒）
+      fromStart: true,       // 時間0（動画の先頭、tileSizeアニメーションの最初）から録画するかどうか
+      status: 'idle',        // 進捗の表示用
     };
 
-    // アニメーション用のパラメータ
-    this.tileSizeAnimation = {
-      isAnimating: false,
-      startValue: 100.0,
-      endValue: 10.0,
-      duration: 2000,        // 2秒（ミリ秒）
-      delay: 2000,           // 2秒待ってから開始（ミリ秒）
-      startTime: 0,
+    // ========================================
+    // GUIの範囲と選択肢
+    // ========================================
+    // スライダーとリストの設定（'グループ名.パラメータ名' をキーにして、プリセットの検証にも使う）
+    this.guiParams = {
+      'ascii.tileSize': { min: 10, max: 100, step: 1 },
+      'ascii.tileStrength': { min: 0.5, max: 2.0, step: 0.1 },
+      'ascii.colorStep': { min: 0.05, max: 0.2, step: 0.01 },
+      'ascii.charset': { options: { ASCII: 'ascii', Katakana: 'katakana', Box: 'box', Emoji: 'emoji' } },
+      'record.format': { options: { WebM: 'webm', GIF: 'gif', 'PNG (zip)': 'png' } },
+      'record.fps': { options: { 24: 24, 30: 30, 60: 60 } },
+      'record.resolution': { options: { '360p': 360, '720p': 720, '1080p': 1080 } },
+      'record.duration': { min: 1, max: 30, step: 1 },
+    };
+
+    // ========================================
+    // 入力の設定
+    // ========================================
+    // 画像ファイルは ImageSource、複数の画像ファイルは連番として ImageSequenceSource で読み込む
+    this.sourceParams = {
+      type: 'video',         // 'video', 'webcam', 'procedural', 'paint', 'file'
+    };
+
+    // 現在の入力（InputSource）とその種類（切り替えに失敗した時に戻すため）
+    this.source = null;
+    this.sourceType = this.sourceParams.type;
+
+    // ドロップまたは選択したファイルのオブジェクトURLと、それを読み込んだ入力（使い終わったら解放する）
+    this.fileUrls = [];
+    this.fileSource = null;
+
+    // Paint の入力に使う、マウスで描画する Canvas（CanvasSource に渡す）
+    this.paintCanvas = null;
+    this.paintPosition = null;  // ドラッグ中の直前の位置
+
+    // ========================================
+    // プリセット（GUIのパラメータの保存・読み込み・URLでの共有）
+    // ========================================
+    // 共有されたリンクやJSONファイルの値は、GUIで選べる範囲にあるものだけを受け付ける
+    const validators = {};
+    Object.keys(this.guiParams).forEach((name) => {
+      validators[name] = PresetManager.createValidator(this.guiParams[name]);
+    });
+    // colorStep の初期値（0.01）はスライダーの最小値より小さいので、0 より大きい値を許可する
+    validators['ascii.colorStep'] = (value) => value > 0.0 && value <= this.guiParams['ascii.colorStep'].max;
+    this.presets = new PresetManager({
+      ascii: this.asciiParams,
+      record: this.recordParams,
+    }, {
+      storageKey: 'study-1-presets',
+      exclude: ['record.status'],   // 進捗の表示は保存しない
+      onApply: (applied) => this.onPresetApplied(applied),
+      validators: validators,
+    });
+    this.presetParams = {
+      name: 'my preset',     // 保存するプリセット名
+      selected: '',          // 読み込む・削除するプリセット名
     };
 
     // ========================================
@@ -111,6 +230,9 @@ class WebGLApp {
       this.uMouse[0] = signedX;
       // Y座標は反転（画面座標系とWebGL座標系でY軸の向きが逆）
       this.uMouse[1] = -signedY;
+
+      // Paint の入力では、ドラッグした軌跡を Canvas に描く
+      this.paint(mouseEvent, x, y);
     }, false);
   }
 
@@ -118,109 +240,373 @@ class WebGLApp {
    * シェーダーと動画の非同期読み込み
    */
   async load() {
+    try {
+      // ========================================
+      // パーティクル用シェーダーの読み込みとコンパイル
+      // ========================================
+      this.particleProgram = await this.loadProgram('./main.vert', './main.frag');
+
+      // ========================================
+      // ASCII効果用シェーダーの読み込みとコンパイル
+      // ========================================
+      this.asciiProgram = await this.loadProgram('./ascii.vert', './ascii.frag');
+    } catch (error) {
+      // コンパイルエラーはファイル名・行番号付きでコンソールとCanvas上に表示する
+      if (error instanceof ShaderCompileError) {
+        console.error(error.format());
+        this.errorOverlay.show(error);
+      }
+      throw error;
+    }
+
     // ========================================
-    // パーティクル用シェーダーの読み込みとコンパイル
-    // ========================================
-    const particleVs = await WebGLUtility.loadFile('./main.vert');
-    const particleFs = await WebGLUtility.loadFile('./main.frag');
-
-    // シェーダープログラムの作成
-    this.particleProgram = new ShaderProgram(this.gl, {
-      vertexShaderSource: particleVs,           // 頂点シェーダーのソースコード
-      fragmentShaderSource: particleFs,         // フラグメントシェーダーのソースコード
-      attribute: ['position', 'color'],         // attribute変数の名前
-      stride: [3, 4],                          // 各attributeの要素数（position: xyz=3, color: rgba=4）
-      uniform: ['mouse', 'resolution', 'time'], // uniform変数の名前
-      type: ['uniform2fv', 'uniform2fv', 'uniform1f'], // uniformの型（2fv: vec2, 1f: float）
-    });
-
-    // ========================================
-    // ASCII効果用シェーダーの読み込みとコンパイル
-    // ========================================
-    const asciiVs = await WebGLUtility.loadFile('./ascii.vert');
-    const asciiFs = await WebGLUtility.loadFile('./ascii.frag');
-
-    // シェーダープログラムの作成
-    this.asciiProgram = new ShaderProgram(this.gl, {
-      vertexShaderSource: asciiVs,
-      fragmentShaderSource: asciiFs,
-      attribute: ['position', 'uv'],            // position: 頂点座標, uv: テクスチャ座標
-      stride: [3, 2],                          // position: xyz=3, uv: st=2
-      uniform: [
-        'uResolution',     // 画面解像度
-        'uTextureSize',    // テクスチャサイズ（現在未使用）
-        'uTexture',        // パーティクルを描画したテクスチャ
-        'uAsciiMap',       // ASCII文字マップテクスチャ
-        'uAsciiColorStep', // 色の段階化
-        'uTileSize',       // タイルサイズ
-        'uTileStrength',   // タイルの強度
-        'uBioMode',        // Bio Mode
-      ],
-      type: [
-        'uniform2fv',      // vec2: 解像度
-        'uniform2fv',      // vec2: テクスチャサイズ
-        'uniform1i',       // sampler2D（整数でテクスチャユニット番号を指定）
-        'uniform1i',       // sampler2D
-        'uniform1f',       // float
-        'uniform1f',       // float
-        'uniform1f',       // float
-        'uniform1i',       // int（boolの代わりに使用）
-      ],
-    });
-
-    // ========================================
-    // 動画ファイルの読み込み
-    // ========================================
-    await this.loadVideo('./44019-437624507_tiny.mp4');
-  }
-
-  /**
-   * 動画の読み込み
-   * @param {string} src - 動画ファイルのパス
-   * @returns {Promise} 読み込み完了時にresolveされるPromise
-   */
-  loadVideo(src) {
-    return new Promise((resolve, reject) => {
-      // video要素を動的に作成
-      this.video = document.createElement('video');
-      this.video.src = src;
-      this.video.loop = true;              // ループ再生を有効化
-      this.video.muted = true;             // ミュート（自動再生に必要）
-      this.video.playsInline = true;       // iOS対応：インライン再生を有効化
-      this.video.setAttribute('playsinline', ''); // iOS Safari対応
-      this.video.crossOrigin = 'anonymous'; // CORS設定（必要に応じて）
-
-      // 動画のメタデータ読み込み完了時のイベント
-      this.video.addEventListener('loadedmetadata', async () => {
-        // 動画のフレームを描画するためのCanvas（オフスクリーン）
-        this.videoCanvas = document.createElement('canvas');
-        this.videoCtx = this.videoCanvas.getContext('2d');
-
-        // Canvasサイズを動画サイズに合わせる
-        this.videoCanvas.width = this.video.videoWidth;
-        this.videoCanvas.height = this.video.videoHeight;
-
-        // 動画の再生を開始（エラーハンドリング付き）
-        try {
-          await this.video.play();
-          console.log('Video playback started successfully');
-          resolve();
-        } catch (error) {
-          console.error('Video playback failed:', error);
-          // 自動再生が失敗した場合、ユーザーインタラクションで再生
-          this.setupVideoPlayOnClick();
-          resolve(); // 一旦resolveして描画は続行
+    // 開発モードではシェーダーの変更を監視してその場で再コンパイル
+    // ========================================
+    if (this.isDevMode()) {
+      this.setupShaderWatcher();
+    }
+
+    // ========================================
+    // 入力（動画ファイル）の読み込み
+    // ========================================
+    await this.setSource(this.createSource(this.sourceParams.type));
+  }
+
+  /**
+   * シェーダーファイルを読み込んでシェーダープログラムを作成
+   * #include は ShaderLoader が展開し、エラーは元のファイルの行番号で報告される
+   * attribute / uniform 変数の名前・要素数・型はシェーダーから自動で取得する
+   * @param {string} vsPath - 頂点シェーダーのパス
+   * @param {string} fsPath - フラグメントシェーダーのパス
+   * @param {Object} [defines={}] - 両方のシェーダーに挿入する #define
+   * @returns {Promise<ShaderProgram>} 作成したシェーダープログラム
+   */
+  async loadProgram(vsPath, fsPath, defines = {}) {
+    const vs = await ShaderLoader.load(vsPath, { defines });
+    const fs = await ShaderLoader.load(fsPath, { defines });
+    return new ShaderProgram(this.gl, {
+      vertexShaderSource: vs.source,       // 頂点シェーダーのソースコード（#include 展開後）
+      fragmentShaderSource: fs.source,     // フラグメントシェーダーのソースコード（#include 展開後）
+      vertexShaderName: vs.name,           // エラー表示用のファイル名
+      fragmentShaderName: fs.name,
+      vertexShaderLineMap: vs.lineMap,     // 展開後の行 → 元のファイルと行番号
+      fragmentShaderLineMap: fs.lineMap,
+      shaderSources: Object.assign({}, vs.sources, fs.sources),
+    });
+  }
+
+  /**
+   * 開発モードかどうか
+   * localhost で開いているか、URLに ?dev が付いている場合に開発モードとする
+   * @returns {boolean}
+   */
+  isDevMode() {
+    const isLocalhost = ['localhost', '127.0.0.1'].includes(location.hostname);
+    return isLocalhost || new URLSearchParams(location.search).has('dev');
+  }
+
+  /**
+   * シェーダーのホットリロードを設定
+   * ファイルが変更されると ShaderProgram を作り直す（ページの再読み込みは不要）
+   * コンパイルに失敗した場合は古いプログラムのまま描画を続け、エラーを表示する
+   */
+  setupShaderWatcher() {
+    this.shaderWatcher = new ShaderWatcher({
+      onReload: (program) => {
+        console.log(`Shader reloaded: ${program.vertexShaderName}, ${program.fragmentShaderName}`);
+        this.errorOverlay.hide();
+      },
+      onError: (error) => {
+        if (error instanceof ShaderCompileError) {
+          console.error(error.format());
+          this.errorOverlay.show(error);
+        } else {
+          console.error(error);
         }
-      });
+      },
+    });
+    this.shaderWatcher.watch(this.particleProgram, {
+      vertexShaderPath: './main.vert',
+      fragmentShaderPath: './main.frag',
+    });
+    this.shaderWatcher.watch(this.asciiProgram, {
+      vertexShaderPath: './ascii.vert',
+      fragmentShaderPath: './ascii.frag',
+    });
+    this.shaderWatcher.start();
+    console.log('Shader hot reload enabled');
+  }
 
-      // エラー時のハンドリング
-      this.video.addEventListener('error', (e) => {
-        console.error('Video loading error:', e);
-        reject(e);
-      });
+  /**
+   * 種類の名前から入力を作成
+   * @param {string} type - 'video', 'webcam', 'procedural', 'paint' のいずれか
+   * @returns {InputSource} 作成した入力（まだ読み込まれていない）
+   */
+  createSource(type) {
+    switch (type) {
+      case 'webcam':
+        return new WebcamSource({ width: 1280, height: 720 });
+      case 'procedural':
+        return new ProceduralSource(this.drawProcedural, { width: 640, height: 360 });
+      case 'paint':
+        return new CanvasSource(this.createPaintCanvas());
+      default:
+        return this.createVideoSource('./44019-437624507_tiny.mp4');
+    }
+  }
+
+  /**
+   * 動画ファイルの入力を作成
+   * @param {string} src - 動画ファイルのURL
+   * @returns {VideoSource} 作成した入力（まだ読み込まれていない）
+   */
+  createVideoSource(src) {
+    return new VideoSource(src, {
+      // 自動再生が失敗した場合、ユーザーインタラクションで再生
+      onAutoplayBlocked: (error) => {
+        console.error('Video playback failed:', error);
+        this.setupVideoPlayOnClick();
+      },
     });
   }
 
+  /**
+   * 入力を切り替え、GUIの表示を切り替え後の種類に合わせる
+   * 失敗した場合は元の入力を使い続ける
+   * @param {string} type - 入力の種類（sourceParams.type の値）
+   * @param {InputSource} source - 新しい入力
+   * @returns {Promise<boolean>} 切り替えに成功したかどうか
+   */
+  async changeSource(type, source) {
+    let succeeded = false;
+    try {
+      await this.setSource(source);
+      this.sourceType = type;
+      succeeded = true;
+    } catch (error) {
+      // カメラへのアクセスが拒否された場合や、ファイルを読み込めなかった場合など
+      console.error('入力の切り替えに失敗しました:', error);
+    }
+    this.sourceParams.type = this.sourceType;
+    if (this.sourceBinding) {
+      this.sourceBinding.refresh();
+    }
+    return succeeded;
+  }
+
+  /**
+   * ユーザーのファイル（動画または画像）を入力にする
+   * ファイルからオブジェクトURLを作成し、動画は VideoSource、画像は ImageSource として読み込む
+   * 複数の画像を選んだ場合は、ファイル名の順に並べた連番として ImageSequenceSource で読み込む
+   * @param {FileList|Array<File>} files - ドロップまたは選択されたファイル
+   * @returns {Promise}
+   */
+  async loadFiles(files) {
+    const images = Array.from(files)
+      .filter((file) => file.type.startsWith('image/'))
+      .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const file = files[0];
+    const isVideo = file.type.startsWith('video/');
+    if (!isVideo && images.length === 0) {
+      console.warn(`Unsupported file type: ${file.type || file.name}`);
+      return;
+    }
+
+    let urls;
+    let source;
+    if (isVideo) {
+      urls = [URL.createObjectURL(file)];
+      source = this.createVideoSource(urls[0]);
+    } else if (images.length === 1) {
+      urls = [URL.createObjectURL(images[0])];
+      source = new ImageSource(urls[0]);
+    } else {
+      urls = images.map((image) => URL.createObjectURL(image));
+      source = new ImageSequenceSource(urls, { fps: 12 });
+    }
+    const succeeded = await this.changeSource('file', source);
+    if (!succeeded) {
+      urls.forEach((url) => URL.revokeObjectURL(url));
+      return;
+    }
+    // 以前のファイルのオブジェクトURLは setSource() で解放済み
+    this.fileUrls = urls;
+    this.fileSource = source;
+  }
+
+  /**
+   * ファイル選択ダイアログを開く
+   */
+  openFilePicker() {
+    if (!this.fileInput) {
+      this.fileInput = document.createElement('input');
+      this.fileInput.type = 'file';
+      this.fileInput.accept = 'video/*,image/*';
+      // 複数の画像を選ぶと連番として読み込む
+      this.fileInput.multiple = true;
+      this.fileInput.addEventListener('change', () => {
+        if (this.fileInput.files.length > 0) {
+          this.loadFiles(this.fileInput.files);
+        }
+        // 同じファイルを続けて選択しても change が発生するようにリセット
+        this.fileInput.value = '';
+      });
+    }
+    this.fileInput.click();
+  }
+
+  /**
+   * ドラッグ&ドロップでファイルを読み込めるようにする
+   * ドラッグ中は body に dragover クラスを付けて枠線を表示する
+   */
+  setupFileDrop() {
+    window.addEventListener('dragover', (event) => {
+      // preventDefault しないとブラウザがファイルを開いてしまう
+      event.preventDefault();
+      document.body.classList.add('dragover');
+    }, false);
+    window.addEventListener('dragleave', (event) => {
+      // ウィンドウの外に出た時だけ解除する（子要素間の移動では relatedTarget がある）
+      if (event.relatedTarget == null) {
+        document.body.classList.remove('dragover');
+      }
+    }, false);
+    window.addEventListener('drop', (event) => {
+      event.preventDefault();
+      document.body.classList.remove('dragover');
+      if (event.dataTransfer.files.length > 0) {
+        this.loadFiles(event.dataTransfer.files);
+      }
+    }, false);
+  }
+
+  /**
+   * 入力の切り替え
+   * 新しい入力を読み込んでから古い入力を破棄し、入力のサイズに合わせてパーティクルを作り直す
+   * @param {InputSource} source - 新しい入力
+   * @returns {Promise} 切り替えが完了するとresolveされるPromise
+   */
+  async setSource(source) {
+    await source.load();
+
+    const previous = this.source;
+    this.source = source;
+    if (previous && previous !== source) {
+      previous.dispose();
+    }
+
+    // 入力のフレームを描画するためのCanvas（オフスクリーン、CPUモードで使用）
+    if (!this.videoCanvas) {
+      this.videoCanvas = document.createElement('canvas');
+      this.videoCtx = this.videoCanvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    // Canvasサイズを入力のサイズに合わせる
+    this.videoCanvas.width = source.width;
+    this.videoCanvas.height = source.height;
+
+    // セットアップ後に切り替えた場合、GPUモードのグリッドを新しいサイズで作り直す
+    if (this.particleMode === 'gpu' && this.particleVao) {
+      this.particleProgram.deleteVao(this.particleVao);
+      this.gl.deleteBuffer(this.particleVbo.position);
+      this.position = [];
+      this.createParticleGrid();
+    }
+    // ファイルの入力から切り替えた場合は、ファイルのオブジェクトURLを解放
+    if (this.fileSource && previous === this.fileSource && source !== previous) {
+      this.fileUrls.forEach((url) => URL.revokeObjectURL(url));
+      this.fileUrls = [];
+      this.fileSource = null;
+    }
+
+    // 再生速度と一時停止の状態を新しい入力にも反映
+    this.syncSource();
+
+    // 入力のアスペクト比に合わせてCanvasのサイズを更新（セットアップ後のみ）
+    if (this.pipeline) {
+      this.resize();
+    }
+    console.log(`Source: ${source.constructor.name} (${source.width}x${source.height})`);
+  }
+
+  /**
+   * 入力のアスペクト比（幅 / 高さ）
+   * 入力がない、またはサイズが分からない場合は 16:9
+   * @returns {number}
+   */
+  getSourceAspect() {
+    if (this.source && this.source.width > 0 && this.source.height > 0) {
+      return this.source.width / this.source.height;
+    }
+    return 16 / 9;
+  }
+
+  /**
+   * プロシージャル入力の描画
+   * 白い背景（パーティクルにならない）の上に、色の付いた円を動かす
+   * @param {CanvasRenderingContext2D} ctx - 描画先
+   * @param {number} time - 経過時間（秒）
+   * @param {number} width - 幅
+   * @param {number} height - 高さ
+   */
+  drawProcedural(ctx, time, width, height) {
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, width, height);
+    for (let i = 0; i < 6; i++) {
+      const angle = time * (0.5 + i * 0.15) + i * Math.PI / 3;
+      const x = width * 0.5 + Math.cos(angle) * width * 0.3;
+      const y = height * 0.5 + Math.sin(angle * 1.3) * height * 0.3;
+      ctx.fillStyle = `hsl(${(i * 60 + time * 40) % 360}, 80%, 50%)`;
+      ctx.beginPath();
+      ctx.arc(x, y, height * 0.15, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  /**
+   * Paint の入力に使う Canvas を作成（切り替えるたびに白紙に戻す）
+   * @returns {HTMLCanvasElement}
+   */
+  createPaintCanvas() {
+    if (!this.paintCanvas) {
+      this.paintCanvas = document.createElement('canvas');
+      this.paintCanvas.width = 640;
+      this.paintCanvas.height = 360;
+    }
+    const ctx = this.paintCanvas.getContext('2d');
+    // 白い背景はパーティクルにならないので、描いた線だけが表示される
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, this.paintCanvas.width, this.paintCanvas.height);
+    return this.paintCanvas;
+  }
+
+  /**
+   * Paint の入力の Canvas に、ドラッグした軌跡を描く
+   * @param {PointerEvent} event - ポインタイベント
+   * @param {number} x - 画面の幅に対する横の位置（0.0 ~ 1.0）
+   * @param {number} y - 画面の高さに対する縦の位置（0.0 ~ 1.0）
+   */
+  paint(event, x, y) {
+    // WebGLのCanvas上でボタンを押している間だけ描く（GUIの操作では描かない）
+    if (this.sourceType !== 'paint' || (event.buttons & 1) === 0 || event.target !== this.canvas) {
+      this.paintPosition = null;
+      return;
+    }
+    const width = this.paintCanvas.width;
+    const height = this.paintCanvas.height;
+    const position = [x * width, y * height];
+    const previous = this.paintPosition || position;
+    const ctx = this.paintCanvas.getContext('2d');
+    ctx.strokeStyle = `hsl(${(this.time * 60) % 360}, 80%, 50%)`;
+    ctx.lineWidth = height * 0.05;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    ctx.moveTo(previous[0], previous[1]);
+    ctx.lineTo(position[0], position[1]);
+    ctx.stroke();
+    this.paintPosition = position;
+  }
+
   /**
    * ユーザーのクリック/タップで動画を再生
    * スマホでの自動再生ブロック対策
@@ -228,7 +614,7 @@ class WebGLApp {
   setupVideoPlayOnClick() {
     const playVideo = async () => {
       try {
-        await this.video.play();
+        await this.source.play();
         console.log('Video started by user interaction');
         document.removeEventListener('click', playVideo);
         document.removeEventListener('touchstart', playVideo);
@@ -255,21 +641,15 @@ class WebGLApp {
     // パーティクル用のジオメトリ（頂点データ）を準備
     this.setupParticleGeometry();
 
-    // フルスクリーンクワッド（画面全体を覆う四角形）を準備
-    this.setupScreenQuad();
-
-    // フレームバッファ（オフスクリーンレンダリング用）を作成
-    this.createFramebuffer();
-
-    // ASCII文字マップテクスチャを作成
+    // ASCII文字マップ（グリフアトラス）を作成
     this.createAsciiMap();
 
+    // レンダリングパイプライン（Pass 1 → Pass 2）を構築
+    this.setupPipeline();
+
     // リサイズ処理を実行（Canvasサイズを画面サイズに合わせる）
     this.resize();
 
-    // クリアカラーの設定（白: RGBA = 1.0, 1.0, 1.0, 1.0）
-    gl.clearColor(1.0, 1.0, 1.0, 1.0);
-
     // ========================================
     // アルファブレンディングの有効化
     // ========================================
@@ -288,71 +668,170 @@ class WebGLApp {
     // tileSizeアニメーションを開始
     // ========================================
     this.startTileSizeAnimation();
+
+    // ========================================
+    // URLのハッシュにプリセットがあれば適用
+    // ========================================
+    // 共有されたリンクを開いた場合は、その見た目をそのまま再現する
+    this.presets.fromHash();
+    window.addEventListener('hashchange', () => this.presets.fromHash(), false);
+  }
+
+  /**
+   * プリセットを適用した後の処理
+   * 文字セットが変わった場合はアトラスを作り直し、GUIの表示を更新する
+   * @param {Object} applied - 適用された値（グループ名 → パラメータ名 → 値）
+   */
+  onPresetApplied(applied) {
+    const ascii = applied.ascii || {};
+    if ('charset' in ascii && this.glyphAtlas) {
+      this.glyphAtlas.update({ charset: this.charsets[this.asciiParams.charset] });
+    }
+    // プリセットの tileSize がアニメーションで上書きされないようにする
+    if ('tileSize' in ascii && this.timeline) {
+      this.timeline.remove(this.introTween);
+    }
+    if (this.pane) {
+      this.pane.refresh();
+    }
   }
 
   /**
    * tileSizeのアニメーションを開始
-   * 100から10まで2秒かけて変化させる
+   * 2秒待ってから、100から10まで2秒かけて変化させる
    */
   startTileSizeAnimation() {
-    this.tileSizeAnimation.isAnimating = true;
-    this.tileSizeAnimation.startTime = Date.now();
+    // 開始時の this.time を 0 秒とするタイムラインを作り直す
+    this.timeline = new Timeline({ startTime: this.time });
+    this.introTween = this.timeline.to(this.asciiParams, 'tileSize', {
+      from: 100.0,
+      to: 10.0,
+      delay: 2.0,
+      duration: 2.0,
+      easing: 'outCubic',    // 最初速く、後半ゆっくり
+    });
   }
 
   /**
-   * tileSizeアニメーションの更新
-   * イージング関数を使ってスムーズに変化させる
+   * タイムラインの更新
+   * 現在の this.time に合わせて、登録されたアニメーションの値を書き込む
    */
-  updateTileSizeAnimation() {
-    if (!this.tileSizeAnimation.isAnimating) {
-      return;
+  updateTimeline() {
+    if (this.timeline) {
+      this.timeline.update(this.time);
     }
+  }
 
-    // 経過時間を計算
-    const elapsed = Date.now() - this.tileSizeAnimation.startTime;
-    const delay = this.tileSizeAnimation.delay;
-    const duration = this.tileSizeAnimation.duration;
-
-    // ========================================
-    // ディレイ期間中は何もしない
-    // ========================================
-    if (elapsed < delay) {
-      return;
+  /**
+   * 一時停止と再生を切り替える
+   * 入力（動画など）も一緒に止める・再生する
+   * @returns {boolean} 切り替えた後に一時停止しているかどうか
+   */
+  togglePause() {
+    const paused = this.clock.toggle();
+    if (paused) {
+      this.source.pause();
+    } else {
+      this.syncSource();
     }
+    return paused;
+  }
 
-    // ディレイを引いた実際のアニメーション経過時間
-    const animationElapsed = elapsed - delay;
+  /**
+   * 一時停止して、指定したフレーム数だけ時間を進める（負の値の場合は戻す）
+   * @param {number} count - 進めるフレーム数
+   */
+  stepFrame(count) {
+    this.time = this.clock.step(count);
+    this.source.pause();
+    this.source.seek(this.time).catch((error) => {
+      console.warn('シークに失敗しました:', error);
+    });
+  }
 
-    // アニメーション完了判定
-    if (animationElapsed >= duration) {
-      this.asciiParams.tileSize = this.tileSizeAnimation.endValue;
-      this.tileSizeAnimation.isAnimating = false;
-      return;
-    }
+  /**
+   * 指定した時間に移動する
+   * 一時停止中でも、移動先の時間のフレームを描画する
+   * @param {number} time - 移動先の時間（秒）
+   */
+  seekTo(time) {
+    this.time = this.clock.seek(time);
+    this.source.seek(this.time).catch((error) => {
+      console.warn('シークに失敗しました:', error);
+    });
+  }
 
-    // 進行度（0.0 ~ 1.0）
-    const progress = animationElapsed / duration;
+  /**
+   * 時間の進む速さを変更する（動画の再生速度も合わせる）
+   * @param {number} speed - 倍率
+   */
+  setSpeed(speed) {
+    this.clock.setSpeed(speed);
+    this.source.setSpeed(this.clock.speed);
+  }
 
-    // イージング関数（easeOutCubic: 最初速く、後半ゆっくり）
-    const eased = 1 - Math.pow(1 - progress, 3);
+  /**
+   * 入力の再生状態を Clock に合わせる
+   * 再生位置を Clock の時間に移動し、速度を合わせ、一時停止中でなければ再生する
+   */
+  async syncSource() {
+    const source = this.source;
+    source.setSpeed(this.clock.speed);
+    try {
+      await source.seek(this.clock.time);
+    } catch (error) {
+      // シークできなくても再生状態だけは合わせる
+      console.warn('シークに失敗しました:', error);
+    }
+    // シークを待っている間に入力が切り替わった場合は何もしない
+    if (source !== this.source) {
+      return;
+    }
+    if (this.clock.paused) {
+      source.pause();
+    } else {
+      source.play().catch(() => {});
+    }
+  }
 
-    // tileSizeを補間
-    const startValue = this.tileSizeAnimation.startValue;
-    const endValue = this.tileSizeAnimation.endValue;
-    this.asciiParams.tileSize = startValue + (endValue - startValue) * eased;
+  /**
+   * シークバーの表示を現在の時間に合わせる
+   */
+  updateSeekBar() {
+    if (!this.seekBinding) {
+      return;
+    }
+    const time = Math.min(this.time, this.SEEK_MAX);
+    if (this.playbackParams.time === time) {
+      return;
+    }
+    this.playbackParams.time = time;
+    // 表示の更新で発生する change イベントでシークしないようにする
+    this.updatingSeekBar = true;
+    this.seekBinding.refresh();
+    this.updatingSeekBar = false;
   }
 
   /**
    * パーティクル用のジオメトリ（頂点データ）を準備
-   * 初期化時は空の配列で、動画フレームごとに更新される
+   * GPUモードでは固定のグリッドを一度だけ作成し、
+   * CPUモードでは空の配列から始めて動画フレームごとに更新する
    */
   setupParticleGeometry() {
+    const gl = this.gl;
+
     // 頂点位置データ（初期は空）
     this.position = [];
 
     // 頂点カラーデータ（初期は空）
     this.color = [];
 
+    // 描画するパーティクルの数
+    this.particleCount = 0;
+
+    // attributeの設定を記録したVAO（GPUモードのみ）
+    this.particleVao = null;
+
     // サンプリング間隔（ピクセル）
     // スマホの場合はサンプリング間隔を大きくしてパフォーマンス向上
     const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
@@ -362,172 +841,159 @@ class WebGLApp {
     // この値より大きいアルファ値を持つピクセルのみパーティクル化
     this.ALPHA_THRESHOLD = 10;
 
-    console.log(`Device: ${isMobile ? 'Mobile' : 'Desktop'}, Sampling: ${this.SAMPLING}`);
-
-    // VBO（Vertex Buffer Object）の作成
-    // GPU上に頂点データを転送するためのバッファ
-    this.particleVbo = [
-      WebGLUtility.createVbo(this.gl, this.position), // 位置データ用VBO
-      WebGLUtility.createVbo(this.gl, this.color),    // カラーデータ用VBO
-    ];
-  }
-
-  /**
-   * フルスクリーンクワッド（画面全体を覆う四角形）のジオメトリを準備
-   * ASCII効果を画面全体に適用するために使用
-   */
-  setupScreenQuad() {
     // ========================================
-    // 頂点位置データ（クリップ空間座標: -1.0 ~ 1.0）
+    // パーティクルモードの決定
     // ========================================
-    // 4つの頂点で構成される四角形
-    // (-1, 1)左上  →  (1, 1)右上
-    //     ↓             ↓
-    // (-1,-1)左下  →  (1,-1)右下
-    const position = [
-      -1.0,  1.0, 0.0,  // 左上
-       1.0,  1.0, 0.0,  // 右上
-      -1.0, -1.0, 0.0,  // 左下
-       1.0, -1.0, 0.0,  // 右下
-    ];
+    // 頂点シェーダーでテクスチャを参照できる環境ならGPUモードを使う
+    // （MAX_VERTEX_TEXTURE_IMAGE_UNITS が 0 の環境ではCPUモードにフォールバック）
+    const vertexTextureUnits = gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS);
+    this.particleMode = vertexTextureUnits > 0 ? 'gpu' : 'cpu';
 
-    // ========================================
-    // UV座標（テクスチャ座標: 0.0 ~ 1.0）
-    // ========================================
-    // テクスチャのどの部分を頂点にマッピングするか
-    // (0, 1)左上  →  (1, 1)右上
-    //    ↓             ↓
-    // (0, 0)左下  →  (1, 0)右下
-    const uv = [
-      0.0, 1.0,  // 左上
-      1.0, 1.0,  // 右上
-      0.0, 0.0,  // 左下
-      1.0, 0.0,  // 右下
-    ];
+    console.log(`Device: ${isMobile ? 'Mobile' : 'Desktop'}, Sampling: ${this.SAMPLING}, Mode: ${this.particleMode}`);
+
+    if (this.particleMode === 'gpu') {
+      // 動画フレームを転送するテクスチャとパーティクルのグリッドを作成
+      this.createVideoTexture();
+      this.createParticleGrid();
+      return;
+    }
 
-    // VBOの作成
-    this.quadVbo = [
-      WebGLUtility.createVbo(this.gl, position), // 位置データ用VBO
-      WebGLUtility.createVbo(this.gl, uv),       // UV座標用VBO
-    ];
+    // VBO（Vertex Buffer Object）の作成
+    // GPU上に頂点データを転送するためのバッファ（attribute変数名をキーにする）
+    this.particleVbo = {
+      position: WebGLUtility.createVbo(this.gl, this.position), // 位置データ用VBO
+      color: WebGLUtility.createVbo(this.gl, this.color),       // カラーデータ用VBO
+    };
   }
 
   /**
-   * フレームバッファの作成
-   * オフスクリーンレンダリング（画面外に描画）を実現
-   * Pass 1でパーティクルをこのフレームバッファに描画し、
-   * Pass 2でそのテクスチャをASCII化して画面に描画
+   * 動画フレームを転送するためのテクスチャを作成（GPUモード）
    */
-  createFramebuffer() {
+  createVideoTexture() {
     const gl = this.gl;
-    const width = this.canvas.width;
-    const height = this.canvas.height;
 
-    // ========================================
-    // フレームバッファオブジェクトの作成
-    // ========================================
-    this.framebuffer = gl.createFramebuffer();
-    // フレームバッファをバインド（以降の操作はこのフレームバッファに対して行われる）
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    this.videoTexture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, this.videoTexture);
 
-    // ========================================
-    // カラーテクスチャの作成
-    // ========================================
-    // フレームバッファに描画された内容を保存するテクスチャ
-    this.renderTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, this.renderTexture);
+    // 初期データは空の1x1テクスチャ（動画フレームが届くまでの仮データ）
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(4));
 
-    // テクスチャ画像データの設定（初期データはnull = 空のテクスチャ）
-    // 引数: target, level, internalformat, width, height, border, format, type, pixels
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    // グリッドの各点はピクセル中心を参照するので補間は不要（NEAREST）
+    // 動画のサイズは2の累乗とは限らないので、ミップマップなし・CLAMP_TO_EDGE にする
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 
-    // テクスチャパラメータの設定
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR); // 縮小時の補間方法
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR); // 拡大時の補間方法
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE); // 横方向のラップモード
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE); // 縦方向のラップモード
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
 
-    // ========================================
-    // テクスチャをフレームバッファに関連付け
-    // ========================================
-    // フレームバッファの COLOR_ATTACHMENT0 にテクスチャをアタッチ
-    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.renderTexture, 0);
+  /**
+   * パーティクルを並べる固定のグリッドを作成（GPUモード）
+   * 入力のサイズとサンプリング間隔から生成し、入力を切り替えた時だけ作り直す
+   */
+  createParticleGrid() {
+    const width = this.videoCanvas.width;
+    const height = this.videoCanvas.height;
 
-    // ========================================
-    // フレームバッファの完全性チェック
-    // ========================================
-    const status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
-    if (status !== gl.FRAMEBUFFER_COMPLETE) {
-      console.error('Framebuffer is not complete:', status);
+    // CPUモードと同じ間隔でピクセルをサンプリングする位置に頂点を置く
+    for (let y = 0; y < height; y += this.SAMPLING) {
+      for (let x = 0; x < width; x += this.SAMPLING) {
+        // ピクセルの中心を -1.0 ~ 1.0 に正規化（Y軸は反転）
+        const normalizedX = ((x + 0.5) / width) * 2.0 - 1.0;
+        const normalizedY = -(((y + 0.5) / height) * 2.0 - 1.0);
+        this.position.push(normalizedX, normalizedY, 0.0);
+      }
     }
+    this.particleCount = this.position.length / 3;
 
-    // バインドを解除（デフォルトのフレームバッファ = 画面に戻す）
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-    gl.bindTexture(gl.TEXTURE_2D, null);
+    // 色は頂点シェーダーで動画テクスチャから取得するので、カラー用VBOは不要（null）
+    this.particleVbo = {
+      position: WebGLUtility.createVbo(this.gl, this.position),
+      color: null,
+    };
+
+    // グリッドは作り直さないので、attributeの設定をVAOに一度だけ記録しておく
+    this.particleVao = this.particleProgram.createVao(this.particleVbo);
   }
 
   /**
-   * ASCII文字マップテクスチャの作成
-   * Canvas2Dで文字を描画し、それをWebGLテクスチャに変換
+   * 現在の入力のフレームをテクスチャに転送（GPUモード）
+   * getImageData による読み戻しやVBOの作り直しは行わない
    */
-  createAsciiMap() {
+  updateVideoTexture() {
     const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, this.videoTexture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.source.element);
+    gl.bindTexture(gl.TEXTURE_2D, null);
+  }
 
-    // ========================================
-    // ASCII文字セット（明るさ順に並べる）
-    // ========================================
-    // 暗い（スペース）→ 明るい（@記号）
-    const chars = ' .:-=+*#%@';
-    const charCount = chars.length;        // 文字数: 10
-    const fontSize = 32;                   // フォントサイズ（ピクセル）
-    const charWidth = fontSize * 0.6;      // 文字幅（等幅フォントの概算）
-
-    // ========================================
-    // Canvas2Dで文字を描画
-    // ========================================
-    const canvas = document.createElement('canvas');
-    canvas.width = charWidth * charCount;  // 全文字を横に並べる幅
-    canvas.height = fontSize;              // 高さは1文字分
-    const ctx = canvas.getContext('2d');
-
-    // 背景を黒で塗りつぶし
-    ctx.fillStyle = 'black';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // 文字を白で描画
-    ctx.fillStyle = 'white';
-    ctx.font = `${fontSize}px monospace`;  // 等幅フォント
-    ctx.textAlign = 'center';              // 中央揃え
-    ctx.textBaseline = 'middle';           // 縦方向中央揃え
+  /**
+   * レンダリングパイプラインの構築
+   * オフスクリーン用のフレームバッファやフルスクリーンクワッドはパイプラインが管理する
+   * Pass 1でパーティクルを 'scene' ターゲットに描画し、
+   * Pass 2でそのテクスチャをASCII化して画面に描画
+   */
+  setupPipeline() {
+    this.pipeline = new RenderPipeline(this.gl, this.canvas.width, this.canvas.height);
 
-    // 各文字を横に並べて描画
-    for (let i = 0; i < charCount; i++) {
-      // X座標: charWidth * i + charWidth / 2（各文字の中心）
-      // Y座標: fontSize / 2（縦方向の中心）
-      ctx.fillText(chars[i], charWidth * i + charWidth / 2, fontSize / 2);
+    // パイプラインの外で作成したテクスチャを名前付きで登録
+    this.pipeline.setTexture('asciiMap', this.glyphAtlas.texture);
+    if (this.particleMode === 'gpu') {
+      this.pipeline.setTexture('video', this.videoTexture);
     }
 
     // ========================================
-    // Canvas画像からWebGLテクスチャを作成
+    // Pass 1: パーティクルをフレームバッファに描画
     // ========================================
-    this.asciiTexture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, this.asciiTexture);
-
-    // CanvasをテクスチャとしてGPUに転送
-    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, canvas);
+    this.particlePass = this.pipeline.addPass(new RenderPass({
+      // GPUモードでは動画テクスチャを videoTexture に自動でバインド
+      inputs: this.particleMode === 'gpu' ? { videoTexture: 'video' } : {},
+      output: 'scene',                // オフスクリーンのターゲットに描画
+      clear: [1.0, 1.0, 1.0, 1.0],    // 白でクリア
+      draw: (gl, units, width, height) => this.renderParticles(units, width, height),
+    }));
 
-    // テクスチャパラメータの設定
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    // ========================================
+    // Pass 2: フレームバッファのテクスチャをASCII化して画面に描画
+    // ========================================
+    this.asciiPass = this.pipeline.addPass(new PostEffect({
+      program: this.asciiProgram,
+      // sampler2D はパイプラインがテクスチャユニットを割り当てて自動で設定する
+      inputs: {
+        uTexture: 'scene',    // Pass 1で描画したテクスチャ
+        uAsciiMap: 'asciiMap', // ASCII文字マップテクスチャ
+      },
+      output: null,                   // 画面に描画
+      clear: [1.0, 1.0, 1.0, 1.0],
+      uniforms: (width, height) => ({
+        uResolution: [width, height],               // 画面解像度（vec2）
+        uTextureSize: [width, height],              // テクスチャサイズ（vec2）
+        uAsciiColorStep: this.asciiParams.colorStep, // 色の段階化（float）
+        uTileSize: this.asciiParams.tileSize,        // タイルサイズ（float）
+        uTileStrength: this.asciiParams.tileStrength, // タイル強度（float）
+        uBioMode: this.asciiParams.bioMode ? 1 : 0,  // Bio Mode（int: 1=ON, 0=OFF）
+        // 文字数（uGlyphCount）とアトラスの列数・行数（uGlyphGrid）
+        ...this.glyphAtlas.getUniforms(),
+      }),
+    }));
+  }
 
-    // バインド解除
-    gl.bindTexture(gl.TEXTURE_2D, null);
+  /**
+   * ASCII文字マップ（グリフアトラス）の作成
+   * GlyphAtlas が Canvas2D で文字をグリッド状に描画し、WebGLテクスチャに変換する
+   * 文字は実際に描画された面積（被覆率）を計測して、暗い → 明るい順に並べ替えられる
+   */
+  createAsciiMap() {
+    this.glyphAtlas = new GlyphAtlas(this.gl, {
+      charset: this.charsets[this.asciiParams.charset], // 文字セット
+      font: 'monospace',                                // フォント
+      cellSize: 32,                                     // 1文字分のセルのサイズ（ピクセル）
+    });
   }
 
   /**
-   * 動画フレームからパーティクルデータを更新
+   * 動画フレームからパーティクルデータを更新（CPUモード）
    * 毎フレーム呼ばれ、動画の現在のフレームをパーティクルに変換
    */
   updateParticlesFromVideo() {
@@ -536,9 +1002,9 @@ class WebGLApp {
     this.color = [];
 
     // ========================================
-    // 動画フレームをCanvasに描画
+    // 入力のフレームをCanvasに描画
     // ========================================
-    this.videoCtx.drawImage(this.video, 0, 0);
+    this.videoCtx.drawImage(this.source.element, 0, 0, this.videoCanvas.width, this.videoCanvas.height);
 
     // ========================================
     // ピクセルデータを取得
@@ -576,12 +1042,13 @@ class WebGLApp {
           // ========================================
           // 座標の正規化（0.0 ~ 1.0 → -1.0 ~ 1.0）
           // ========================================
+          // GPUモードのグリッドと同じく、ピクセルの中心（+0.5）の位置にする
           // X座標: 0 ~ width → 0.0 ~ 1.0 → -1.0 ~ 1.0
-          const normalizedX = (x / width) * 2.0 - 1.0;
+          const normalizedX = ((x + 0.5) / width) * 2.0 - 1.0;
 
           // Y座標: 0 ~ height → 0.0 ~ 1.0 → -1.0 ~ 1.0
           // Y軸を反転（画面座標系とWebGL座標系でY軸の向きが逆）
-          const normalizedY = -((y / height) * 2.0 - 1.0);
+          const normalizedY = -(((y + 0.5) / height) * 2.0 - 1.0);
 
           // 位置データを追加（x, y, z）
           this.position.push(normalizedX, normalizedY, 0.0);
@@ -597,25 +1064,24 @@ class WebGLApp {
     // 古いVBOを削除
     // ========================================
     if (this.particleVbo) {
-      this.particleVbo.forEach(vbo => this.gl.deleteBuffer(vbo));
+      Object.values(this.particleVbo).forEach(vbo => this.gl.deleteBuffer(vbo));
     }
 
     // ========================================
     // 新しいVBOを作成
     // ========================================
-    this.particleVbo = [
-      WebGLUtility.createVbo(this.gl, this.position),
-      WebGLUtility.createVbo(this.gl, this.color),
-    ];
+    this.particleVbo = {
+      position: WebGLUtility.createVbo(this.gl, this.position),
+      color: WebGLUtility.createVbo(this.gl, this.color),
+    };
+    this.particleCount = this.position.length / 3;
   }
 
   /**
    * レンダリング処理（毎フレーム呼ばれる）
-   * 2パスレンダリングを実行
+   * 経過時間を Clock から取得して1フレーム描画する
    */
   render() {
-    const gl = this.gl;
-
     // ========================================
     // 次のフレームをリクエスト（レンダリングループ）
     // ========================================
@@ -623,102 +1089,139 @@ class WebGLApp {
       requestAnimationFrame(this.render);
     }
 
+    // 録画中は CanvasRecorder が時間を進めながら描画するので何もしない
+    if (this.recorder.recording === true) {
+      return;
+    }
+
     // ========================================
-    // tileSizeアニメーションの更新
+    // 経過時間の計算（秒単位）
     // ========================================
-    this.updateTileSizeAnimation();
+    // 一時停止中は時間が進まないので、同じフレームを描画し続ける
+    this.time = this.clock.update();
 
+    this.renderFrame();
+    this.updateSeekBar();
+  }
+
+  /**
+   * 現在の this.time で1フレーム描画する
+   * 2パスレンダリングを実行
+   */
+  renderFrame() {
     // ========================================
-    // 動画フレームが準備できていればパーティクルを更新
+    // タイムライン（tileSizeアニメーションなど）の更新
     // ========================================
-    // readyState >= 2: HAVE_CURRENT_DATA（現在のフレームが利用可能）
-    if (this.video && this.video.readyState >= 2) {
-      this.updateParticlesFromVideo();
-    }
+    this.updateTimeline();
 
     // ========================================
-    // 経過時間の計算（秒単位）
+    // 入力のフレームが準備できていればパーティクルを更新
     // ========================================
-    const time = (Date.now() - this.startTime) * 0.001;
+    // 連番画像やプロシージャル入力は時間に応じてフレームを切り替える
+    this.source.update(this.time);
+    if (this.source.ready) {
+      if (this.particleMode === 'gpu') {
+        // GPUモード: 動画フレームをテクスチャに転送するだけ
+        this.updateVideoTexture();
+      } else {
+        // CPUモード: ピクセルを読み戻してVBOを作り直す
+        this.updateParticlesFromVideo();
+      }
+    }
 
     // ========================================
-    // Pass 1: パーティクルをフレームバッファに描画
+    // パイプラインを実行（Pass 1 → Pass 2）
     // ========================================
-    // フレームバッファにバインド（画面外に描画）
-    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffer);
+    this.pipeline.render();
+  }
 
-    // ビューポートを設定（描画領域）
-    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+  /**
+   * 録画の開始
+   * 解像度を固定し、時間を 1 / fps 秒ずつ進めながら1フレームずつ描画して録画する
+   * 動画もフレームごとにシークするので、描画が重くてもフレームが欠けない
+   */
+  async startRecording() {
+    const params = this.recordParams;
+    // 幅は入力のアスペクト比から決める（動画エンコーダのために偶数にそろえる）
+    const height = params.resolution;
+    const width = Math.round(height * this.getSourceAspect() / 2) * 2;
+    const baseTime = params.fromStart ? 0.0 : this.time;
+
+    // ウィンドウサイズに関係なく、録画する解像度で描画する
+    this.setSize(width, height);
+    if (params.fromStart) {
+      this.time = this.clock.seek(0.0);
+      this.startTileSizeAnimation();
+    }
+    this.source.pause();
+
+    try {
+      const blob = await this.recorder.record(async (time) => {
+        this.time = this.clock.seek(baseTime + time);
+        await this.source.seek(this.time);
+        this.renderFrame();
+      }, {
+        format: params.format,
+        fps: params.fps,
+        duration: params.duration,
+        onProgress: (progress) => {
+          params.status = `${Math.round(progress * 100)}%`;
+        },
+      });
+      if (blob) {
+        const extension = { webm: 'webm', gif: 'gif', png: 'zip' }[params.format];
+        this.download(blob, `study-1.${extension}`);
+      }
+      params.status = blob ? 'done' : 'cancelled';
+    } catch (error) {
+      console.error('録画に失敗しました:', error);
+      params.status = 'error';
+    } finally {
+      // 録画で進めた時間から続けて再生する（一時停止中だった場合は止めたまま）
+      this.syncSource();
+      this.resize();
+    }
+  }
 
-    // フレームバッファをクリア（前フレームの内容を消去）
-    gl.clear(gl.COLOR_BUFFER_BIT);
+  /**
+   * パーティクルの描画（Pass 1）
+   * パイプラインが出力先のフレームバッファをバインドしてから呼び出す
+   * @param {Object} units - sampler2Dの変数名とテクスチャユニット番号の対応
+   * @param {number} width - 出力先の幅
+   * @param {number} height - 出力先の高さ
+   */
+  renderParticles(units, width, height) {
+    const gl = this.gl;
 
     // パーティクル用シェーダープログラムを使用
     this.particleProgram.use();
 
     // VBOをバインド（attribute変数にデータを関連付け）
-    this.particleProgram.setAttribute(this.particleVbo);
+    // GPUモードでは記録済みのVAOをバインドするだけ
+    if (this.particleVao) {
+      this.particleProgram.bindVao(this.particleVao);
+    } else {
+      this.particleProgram.setAttribute(this.particleVbo);
+    }
 
-    // Uniform変数に値を設定
-    this.particleProgram.setUniform([
-      this.uMouse,                              // マウス位置（vec2）
-      [this.canvas.width, this.canvas.height],  // 画面解像度（vec2）
-      time,                                     // 経過時間（float）
-    ]);
+    // Uniform変数に値を設定（変数名をキーにして指定）
+    this.particleProgram.setUniforms({
+      mouse: this.uMouse,                               // マウス位置（vec2）
+      resolution: [width, height],                      // 画面解像度（vec2）
+      time: this.time,                                  // 経過時間（float）
+      videoTexture: units.videoTexture || 0,            // パイプラインが割り当てたテクスチャユニット
+      useVideoTexture: this.particleMode === 'gpu' ? 1 : 0, // GPUモード（int: 1=ON, 0=OFF）
+      alphaThreshold: this.ALPHA_THRESHOLD / 255,       // アルファ値の閾値（0.0 ~ 1.0）
+    });
 
     // パーティクルを描画
     // gl.POINTS: 各頂点を点として描画
     // 0: 開始インデックス
-    // this.position.length / 3: 頂点数（positionは[x,y,z]の3要素で1頂点）
-    gl.drawArrays(gl.POINTS, 0, this.position.length / 3);
-
-    // ========================================
-    // Pass 2: フレームバッファのテクスチャをASCII化して画面に描画
-    // ========================================
-    // デフォルトのフレームバッファにバインド（画面に描画）
-    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
-
-    // ビューポートを設定
-    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
-
-    // 画面をクリア
-    gl.clear(gl.COLOR_BUFFER_BIT);
-
-    // ASCII効果用シェーダープログラムを使用
-    this.asciiProgram.use();
-
-    // フルスクリーンクワッドのVBOをバインド
-    this.asciiProgram.setAttribute(this.quadVbo);
-
-    // ========================================
-    // テクスチャをバインド
-    // ========================================
-    // テクスチャユニット0をアクティブ化
-    gl.activeTexture(gl.TEXTURE0);
-    // Pass 1で描画したテクスチャをバインド
-    gl.bindTexture(gl.TEXTURE_2D, this.renderTexture);
-
-    // テクスチャユニット1をアクティブ化
-    gl.activeTexture(gl.TEXTURE1);
-    // ASCII文字マップテクスチャをバインド
-    gl.bindTexture(gl.TEXTURE_2D, this.asciiTexture);
-
-    // Uniform変数に値を設定
-    this.asciiProgram.setUniform([
-      [this.canvas.width, this.canvas.height],  // 画面解像度（vec2）
-      [this.canvas.width, this.canvas.height],  // テクスチャサイズ（vec2）
-      0,                                        // uTexture: テクスチャユニット0
-      1,                                        // uAsciiMap: テクスチャユニット1
-      this.asciiParams.colorStep,               // 色の段階化（float）
-      this.asciiParams.tileSize,                // タイルサイズ（float）
-      this.asciiParams.tileStrength,            // タイル強度（float）
-      this.asciiParams.bioMode ? 1 : 0,         // Bio Mode（int: 1=ON, 0=OFF）
-    ]);
+    // this.particleCount: 頂点数（GPUモードではグリッドの点の数）
+    gl.drawArrays(gl.POINTS, 0, this.particleCount);
 
-    // フルスクリーンクワッドを描画
-    // gl.TRIANGLE_STRIP: 三角形ストリップ（4頂点で2つの三角形を描画）
-    // 頂点0-1-2で三角形1、頂点1-2-3で三角形2を構成 → 全体で四角形になる
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    // VAOのバインドを解除
+    this.particleProgram.unbindVao();
   }
 
   /**
@@ -728,15 +1231,15 @@ class WebGLApp {
   setupGUI() {
     // Paneインスタンスを作成
     const pane = new Pane();
+    this.pane = pane;
 
     // ========================================
     // Tile Size スライダー
     // ========================================
+    // 最小値（min）・最大値（max）・ステップ（step）は this.guiParams で設定する
     pane.addBinding(this.asciiParams, 'tileSize', {
       label: 'Tile Size',  // ラベル
-      min: 10,             // 最小値
-      max: 100,            // 最大値
-      step: 1,             // ステップ（増減の単位）
+      ...this.guiParams['ascii.tileSize'],
     });
 
     // ========================================
@@ -744,9 +1247,7 @@ class WebGLApp {
     // ========================================
     pane.addBinding(this.asciiParams, 'tileStrength', {
       label: 'Tile Strength',
-      min: 0.5,
-      max: 2.0,
-      step: 0.1,
+      ...this.guiParams['ascii.tileStrength'],
     });
 
     // ========================================
@@ -754,9 +1255,7 @@ class WebGLApp {
     // ========================================
     pane.addBinding(this.asciiParams, 'colorStep', {
       label: 'Color Step',
-      min: 0.05,
-      max: 0.2,
-      step: 0.01,
+      ...this.guiParams['ascii.colorStep'],
     });
 
     // ========================================
@@ -765,18 +1264,308 @@ class WebGLApp {
     pane.addBinding(this.asciiParams, 'bioMode', {
       label: 'Bio Mode',
     });
+
+    // ========================================
+    // Charset 選択
+    // ========================================
+    // 文字セットを切り替えるとアトラスを作り直す（テクスチャはそのまま使い回される）
+    pane.addBinding(this.asciiParams, 'charset', {
+      label: 'Charset',
+      ...this.guiParams['ascii.charset'],
+    }).on('change', (event) => {
+      this.glyphAtlas.update({ charset: this.charsets[event.value] });
+    });
+
+    // ========================================
+    // Source 選択（入力の切り替え）
+    // ========================================
+    // File を選ぶとファイル選択ダイアログを開く（ドラッグ&ドロップでも読み込める、複数の画像は連番になる）
+    // Paint はキャンバス上をドラッグして描いた線を入力にする
+    this.sourceBinding = pane.addBinding(this.sourceParams, 'type', {
+      label: 'Source',
+      options: { Video: 'video', Webcam: 'webcam', Procedural: 'procedural', Paint: 'paint', File: 'file' },
+    });
+    this.sourceBinding.on('change', (event) => {
+      if (event.value === this.sourceType) {
+        return;
+      }
+      if (event.value === 'file') {
+        // ファイルが読み込まれるまでは今の入力の表示に戻しておく
+        this.sourceParams.type = this.sourceType;
+        this.sourceBinding.refresh();
+        this.openFilePicker();
+        return;
+      }
+      this.changeSource(event.value, this.createSource(event.value));
+    });
+    pane.addButton({ title: 'Open File...' }).on('click', () => {
+      this.openFilePicker();
+    });
+
+    // ========================================
+    // Playback フォルダ（一時停止・コマ送り・速度・シーク）
+    // ========================================
+    const playbackFolder = pane.addFolder({ title: 'Playback' });
+    const pauseButton = playbackFolder.addButton({ title: 'Pause' });
+    pauseButton.on('click', () => {
+      pauseButton.title = this.togglePause() ? 'Play' : 'Pause';
+    });
+    // コマ送りすると一時停止するので、ボタンの表示も合わせる
+    playbackFolder.addButton({ title: 'Step Back' }).on('click', () => {
+      this.stepFrame(-1);
+      pauseButton.title = 'Play';
+    });
+    playbackFolder.addButton({ title: 'Step Forward' }).on('click', () => {
+      this.stepFrame(1);
+      pauseButton.title = 'Play';
+    });
+    playbackFolder.addBinding(this.playbackParams, 'speed', {
+      label: 'Speed',
+      min: 0.1,
+      max: 4.0,
+      step: 0.1,
+    }).on('change', (ev) => {
+      this.setSpeed(ev.value);
+    });
+    this.seekBinding = playbackFolder.addBinding(this.playbackParams, 'time', {
+      label: 'Time',
+      min: 0.0,
+      max: this.SEEK_MAX,
+      step: 0.01,
+    });
+    this.seekBinding.on('change', (ev) => {
+      if (this.updatingSeekBar) {
+        return;
+      }
+      this.seekTo(ev.value);
+    });
+
+    // ========================================
+    // Presets フォルダ
+    // ========================================
+    const presetFolder = pane.addFolder({ title: 'Presets', expanded: false });
+    presetFolder.addBinding(this.presetParams, 'name', { label: 'Name' });
+    // 名前が空の場合や localStorage が使えない（容量不足・ブロックされている）場合は保存できない
+    presetFolder.addButton({ title: 'Save' }).on('click', () => {
+      try {
+        this.presets.save(this.presetParams.name);
+      } catch (error) {
+        console.error('プリセットの保存に失敗しました:', error);
+        return;
+      }
+      this.presetParams.selected = this.presetParams.name;
+      this.updatePresetList(presetFolder);
+    });
+    this.updatePresetList(presetFolder);
+    presetFolder.addButton({ title: 'Load' }).on('click', () => {
+      if (this.presetParams.selected) {
+        try {
+          this.presets.load(this.presetParams.selected);
+        } catch (error) {
+          console.error('プリセットの読み込みに失敗しました:', error);
+        }
+      }
+    });
+    presetFolder.addButton({ title: 'Delete' }).on('click', () => {
+      if (this.presetParams.selected) {
+        try {
+          this.presets.remove(this.presetParams.selected);
+        } catch (error) {
+          console.error('プリセットの削除に失敗しました:', error);
+          return;
+        }
+        this.presetParams.selected = '';
+        this.updatePresetList(presetFolder);
+      }
+    });
+    presetFolder.addButton({ title: 'Export JSON' }).on('click', () => {
+      const name = this.presetParams.name;
+      this.download(this.presets.exportFile(name), `${name || 'preset'}.json`);
+    });
+    presetFolder.addButton({ title: 'Import JSON' }).on('click', () => {
+      this.openPresetFile();
+    });
+    presetFolder.addButton({ title: 'Copy Link' }).on('click', () => {
+      this.presets.updateHash();
+      this.copyText(location.href);
+    });
+
+    // パラメータを変更するたびにURLのハッシュを更新（そのままリンクを共有できる）
+    pane.on('change', (ev) => {
+      // シークバーは再生中に毎フレーム refresh され change が発生するので無視する
+      // （history.replaceState を短時間に呼びすぎるとブラウザに制限される）
+      if (ev.target === this.seekBinding) {
+        return;
+      }
+      // スライダーのドラッグ中は操作を終えた時（last が true）だけ更新する
+      if (ev.last === false) {
+        return;
+      }
+      this.presets.updateHash();
+    });
+
+    // ========================================
+    // Export フォルダ（現在のフレームをテキストとして書き出す）
+    // ========================================
+    const exportFolder = pane.addFolder({ title: 'Export', expanded: false });
+    exportFolder.addButton({ title: 'Copy Text' }).on('click', () => {
+      this.copyText(this.exportAscii('text'));
+    });
+    exportFolder.addButton({ title: 'Copy ANSI' }).on('click', () => {
+      this.copyText(this.exportAscii('ansi'));
+    });
+    exportFolder.addButton({ title: 'Download HTML' }).on('click', () => {
+      this.download(new Blob([this.exportAscii('html')], { type: 'text/html' }), 'ascii.html');
+    });
+
+    // ========================================
+    // Record フォルダ（フレーム単位の録画）
+    // ========================================
+    const recordFolder = pane.addFolder({ title: 'Record', expanded: false });
+    recordFolder.addBinding(this.recordParams, 'format', {
+      label: 'Format',
+      ...this.guiParams['record.format'],
+    });
+    recordFolder.addBinding(this.recordParams, 'fps', {
+      label: 'FPS',
+      ...this.guiParams['record.fps'],
+    });
+    recordFolder.addBinding(this.recordParams, 'resolution', {
+      label: 'Resolution',
+      ...this.guiParams['record.resolution'],
+    });
+    recordFolder.addBinding(this.recordParams, 'duration', {
+      label: 'Duration',
+      ...this.guiParams['record.duration'],
+    });
+    recordFolder.addBinding(this.recordParams, 'fromStart', {
+      label: 'From Start',
+    });
+    recordFolder.addBinding(this.recordParams, 'status', {
+      label: 'Status',
+      readonly: true,
+    });
+    // 録画中にもう一度押すと中断する
+    const recordButton = recordFolder.addButton({ title: 'Record' });
+    recordButton.on('click', async () => {
+      if (this.recorder.recording) {
+        this.recorder.cancel();
+        return;
+      }
+      recordButton.title = 'Cancel';
+      await this.startRecording();
+      recordButton.title = 'Record';
+    });
+  }
+
+  /**
+   * 保存済みプリセットの選択リストを作り直す
+   * Tweakpane のリストは選択肢を後から変更できないので、削除して同じ位置に追加し直す
+   * @param {FolderApi} folder - Presets フォルダ
+   */
+  updatePresetList(folder) {
+    const names = this.presets.list();
+    const options = { '(none)': '' };
+    names.forEach((name) => {
+      options[name] = name;
+    });
+    if (!names.includes(this.presetParams.selected)) {
+      this.presetParams.selected = '';
+    }
+    // Name と Save の後ろ（3番目）に置く
+    const index = 2;
+    if (this.presetListBinding) {
+      this.presetListBinding.dispose();
+    }
+    this.presetListBinding = folder.addBinding(this.presetParams, 'selected', {
+      label: 'Saved',
+      options: options,
+      index: index,
+    });
+  }
+
+  /**
+   * プリセットのJSONファイルを選択して読み込む
+   */
+  openPresetFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', async () => {
+      if (input.files.length === 0) {
+        return;
+      }
+      try {
+        const state = await this.presets.importFile(input.files[0]);
+        if (state.name) {
+          this.presetParams.name = state.name;
+          this.pane.refresh();
+        }
+      } catch (error) {
+        console.error('プリセットの読み込みに失敗しました:', error);
+      }
+    });
+    input.click();
+  }
+
+  /**
+   * 現在のフレームのASCII効果をテキストとして書き出す
+   * Pass 1で描画した 'scene' ターゲットのピクセルを読み出し、
+   * ascii.frag と同じ処理（タイル分割 → 輝度 → 文字の選択 → 色の段階化）を行う
+   * @param {string} format - 'text'（色なし）, 'ansi'（ターミナル用の24ビットカラー）, 'html' のいずれか
+   * @return {string} 書き出した文字列
+   */
+  exportAscii(format) {
+    const pixels = this.pipeline.readPixels('scene');
+    return AsciiExporter.export(pixels, {
+      format: format,
+      glyphs: this.glyphAtlas.glyphs,          // 暗い順に並んだ文字
+      tileSize: this.asciiParams.tileSize,
+      colorStep: this.asciiParams.colorStep,
+      bioMode: this.asciiParams.bioMode,
+    });
+  }
+
+  /**
+   * テキストをクリップボードにコピーする
+   * @param {string} text - コピーする文字列
+   */
+  copyText(text) {
+    navigator.clipboard.writeText(text).catch((error) => {
+      console.error('クリップボードへのコピーに失敗しました:', error);
+    });
+  }
+
+  /**
+   * Blob をファイルとしてダウンロードさせる
+   * @param {Blob} blob - ダウンロードするデータ
+   * @param {string} filename - ファイル名
+   */
+  download(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = filename;
+    anchor.click();
+    // クリック直後に解放するとダウンロードが始まらないブラウザがあるため少し待つ
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
   }
 
   /**
    * リサイズ処理
    * ウィンドウサイズが変わった時にCanvasとフレームバッファのサイズを更新
-   * 16:9のアスペクト比を維持
+   * 入力のアスペクト比を維持（入力がない場合は16:9）
    */
   resize() {
+    // 録画中は録画用の解像度を維持する
+    if (this.recorder.recording) {
+      return;
+    }
+
     // ========================================
-    // 16:9のアスペクト比を維持してリサイズ
+    // 入力のアスペクト比を維持してリサイズ（レターボックス）
     // ========================================
-    const targetAspect = 16 / 9; // 目標アスペクト比
+    const targetAspect = this.getSourceAspect(); // 目標アスペクト比
     const windowWidth = window.innerWidth;
     const windowHeight = window.innerHeight;
     const windowAspect = windowWidth / windowHeight;
@@ -793,24 +1582,29 @@ class WebGLApp {
       canvasHeight = windowWidth / targetAspect;
     }
 
+    // CSSの aspect-ratio も入力に合わせる（max-width / max-height で縮小された時に比率が崩れないように）
+    this.canvas.style.aspectRatio = `${targetAspect}`;
+
+    this.setSize(canvasWidth, canvasHeight);
+  }
+
+  /**
+   * Canvasとフレームバッファのサイズを設定
+   * ウィンドウに合わせる場合（resize）と録画用の固定解像度の場合の両方で使う
+   * @param {number} width - 幅（ピクセル）
+   * @param {number} height - 高さ（ピクセル）
+   */
+  setSize(width, height) {
     // Canvasのサイズを設定
-    this.canvas.width = canvasWidth;
-    this.canvas.height = canvasHeight;
+    this.canvas.width = width;
+    this.canvas.height = height;
 
     // ========================================
     // フレームバッファのリサイズ
     // ========================================
-    if (this.framebuffer) {
-      const gl = this.gl;
-
-      // レンダーテクスチャをバインド
-      gl.bindTexture(gl.TEXTURE_2D, this.renderTexture);
-
-      // テクスチャサイズを新しいCanvasサイズに更新
-      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, this.canvas.width, this.canvas.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
-
-      // バインド解除
-      gl.bindTexture(gl.TEXTURE_2D, null);
+    // パイプラインが管理するすべてのレンダーターゲットをまとめてリサイズ
+    if (this.pipeline) {
+      this.pipeline.resize(this.canvas.width, this.canvas.height);
     }
   }
 
@@ -841,10 +1635,17 @@ class WebGLApp {
       throw new Error('invalid argument');
     }
 
+    // シェーダーのコンパイルエラーをCanvas上に表示するオーバーレイ
+    this.errorOverlay = new ShaderErrorOverlay(this.canvas);
+
+    // Canvasをフレーム単位で録画するレコーダー
+    this.recorder = new CanvasRecorder(this.canvas);
+
     // ========================================
     // WebGLコンテキストの取得
     // ========================================
-    this.gl = this.canvas.getContext('webgl', option) || this.canvas.getContext('experimental-webgl', option);
+    // WebGL 2.0 を優先し、使えない場合は WebGL 1.0 にフォールバック
+    this.gl = WebGLUtility.createContext(this.canvas, option);
 
     // WebGLがサポートされていない場合はエラー
     if (this.gl == null) {
@@ -853,7 +1654,7 @@ class WebGLApp {
       throw new Error('webgl not supported');
     }
 
-    console.log('WebGL initialized successfully');
+    console.log(`WebGL initialized successfully (WebGL ${WebGLUtility.isWebGL2(this.gl) ? '2.0' : '1.0'})`);
     console.log('WebGL Version:', this.gl.getParameter(this.gl.VERSION));
     console.log('Renderer:', this.gl.getParameter(this.gl.RENDERER));
   }